@@ -1,7 +1,9 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { isTwoFactorRequired } from '../services/twoFactor.js';
 
-// Verify JWT token
+// Verify JWT token and that the session it was issued for hasn't been revoked
 export const protect = async (req, res, next) => {
   try {
     let token;
@@ -19,6 +21,16 @@ export const protect = async (req, res, next) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+      if (!session || !session.isLive() || !session.userId.equals(decoded.id)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or been revoked'
+        });
+      }
+      req.sessionId = session._id;
+
       req.user = await User.findById(decoded.id).select('-password');
 
       if (!req.user) {
@@ -50,7 +62,8 @@ export const protect = async (req, res, next) => {
   }
 };
 
-// Check if user is admin
+// Check if user is admin. Where 2FA is required for the role, it must be
+// set up first (the setup routes in routes/auth.js only need protect).
 export const authorize = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -59,13 +72,20 @@ export const authorize = (...roles) => {
         message: `User role ${req.user.role} is not authorized to access this route`
       });
     }
+    if (isTwoFactorRequired(req.user) && !req.user.twoFactor?.enabled) {
+      return res.status(403).json({
+        success: false,
+        twoFactorSetupRequired: true,
+        message: 'Set up two-factor authentication to continue'
+      });
+    }
     next();
   };
 };
 
-// Generate JWT token
-export const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// Generate a short-lived access token for a session (see services/authSessions.js)
+export const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
   });
 };
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// 2PL IRT ability per user and topic, produced by the calibration job
+const abilityEstimateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  topicId: {
+    type: String,
+    required: true
+  },
+  ability: {
+    type: Number,
+    required: true
+  },
+  responses: {
+    type: Number,
+    default: 0
+  },
+  calibratedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+abilityEstimateSchema.index({ userId: 1, topicId: 1 }, { unique: true });
+
+const AbilityEstimate = mongoose.model('AbilityEstimate', abilityEstimateSchema);
+
+export default AbilityEstimate;
@@ -14,24 +14,54 @@ const attemptSchema = new mongoose.Schema({
   },
   questionId: {
     type: String,
-    required: true
+    required: true,
+    index: true
+  },
+  // Exact question revision the student answered
+  revisionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuestionRevision',
+    default: null
   },
+  // Shape depends on the question type, see services/questionTypes.js.
+  // Always in authored option letters, whatever order options were shown in
   userAnswer: {
-    type: String,
+    type: mongoose.Schema.Types.Mixed,
     required: true
   },
+  // When options were shuffled: the answer as the student gave it against the
+  // shown options, and the order they were shown in (see services/optionShuffle.js)
+  displayedAnswer: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  optionOrder: {
+    type: [Number],
+    default: undefined
+  },
   correctAnswer: {
-    type: String,
+    type: mongoose.Schema.Types.Mixed,
     required: true
   },
   isCorrect: {
     type: Boolean,
     required: true
   },
+  // Hints revealed before answering
+  hintsUsed: {
+    type: Number,
+    default: 0
+  },
   timeTaken: {
     type: Number, // in seconds
     default: null
   },
+  // How sure the student said they were, if they said
+  confidence: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: null
+  },
   timestamp: {
     type: Date,
     default: Date.now,
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// Per-topic Bayesian Knowledge Tracing parameters, fitted from Attempt history
+const bktParamsSchema = new mongoose.Schema({
+  topicId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  prior: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+  learn: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+  guess: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+  slip: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+  // Fit diagnostics
+  sequences: {
+    type: Number,
+    default: 0
+  },
+  observations: {
+    type: Number,
+    default: 0
+  },
+  logLikelihood: {
+    type: Number,
+    default: null
+  },
+  iterations: {
+    type: Number,
+    default: 0
+  },
+  fittedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const BKTParams = mongoose.model('BKTParams', bktParamsSchema);
+
+export default BKTParams;
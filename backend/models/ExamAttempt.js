@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+// One question drawn for a sitting, with the student's answer and, once
+// graded, the outcome
+const examQuestionSchema = new mongoose.Schema({
+  questionId: {
+    type: String,
+    required: true
+  },
+  topicId: {
+    type: String,
+    required: true
+  },
+  // Revision the question was at when the sitting started
+  revisionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuestionRevision',
+    default: null
+  },
+  // Shape depends on the question type, see services/questionTypes.js
+  userAnswer: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  answeredAt: {
+    type: Date,
+    default: null
+  },
+  isCorrect: {
+    type: Boolean,
+    default: null
+  }
+}, {
+  _id: false
+});
+
+// A student's sitting of an exam paper. Kept apart from Attempt so exam
+// answers never feed practice analytics or mastery before the sitting is graded.
+const examAttemptSchema = new mongoose.Schema({
+  paperId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExamPaper',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in-progress', 'submitted', 'expired'],
+    default: 'in-progress'
+  },
+  questions: {
+    type: [examQuestionSchema],
+    default: []
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Answers are refused after this; set from the paper's time limit at start
+  deadline: {
+    type: Date,
+    required: true
+  },
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  gradedAt: {
+    type: Date,
+    default: null
+  },
+  correct: {
+    type: Number,
+    default: 0
+  },
+  score: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+examAttemptSchema.index({ userId: 1, paperId: 1, status: 1 });
+
+const ExamAttempt = mongoose.model('ExamAttempt', examAttemptSchema);
+
+export default ExamAttempt;
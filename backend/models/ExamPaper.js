@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// How many questions a paper draws from one topic
+const paperSectionSchema = new mongoose.Schema({
+  topicId: {
+    type: String,
+    required: true
+  },
+  questionCount: {
+    type: Number,
+    required: true,
+    min: [1, 'Each section needs at least one question']
+  }
+}, {
+  _id: false
+});
+
+// An exam defined by an admin. Each sitting draws its questions at random
+// from the sections' topics when it starts.
+const examPaperSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please provide a title'],
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  sections: {
+    type: [paperSectionSchema],
+    validate: {
+      validator: (sections) => sections.length > 0,
+      message: 'A paper needs at least one section'
+    }
+  },
+  timeLimitMinutes: {
+    type: Number,
+    required: [true, 'Please provide a time limit'],
+    min: [1, 'The time limit must be at least one minute']
+  },
+  // Question order within a sitting:
+  //   none     - sections in order, questions in authored order
+  //   sections - sections in order, questions shuffled within each
+  //   all      - questions from every section shuffled together
+  shuffle: {
+    type: String,
+    enum: ['none', 'sections', 'all'],
+    default: 'sections'
+  },
+  // Whether graded results update topic mastery like practice answers
+  countTowardsMastery: {
+    type: Boolean,
+    default: true
+  },
+  // Only published papers are visible to students
+  published: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const ExamPaper = mongoose.model('ExamPaper', examPaperSchema);
+
+export default ExamPaper;
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Hints a user has revealed for a question they haven't answered yet.
+// Consumed by submit-answer, which records the count on the Attempt.
+const hintUsageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  questionId: {
+    type: String,
+    required: true
+  },
+  hintsUsed: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+hintUsageSchema.index({ userId: 1, questionId: 1 }, { unique: true });
+
+const HintUsage = mongoose.model('HintUsage', hintUsageSchema);
+
+export default HintUsage;
@@ -42,6 +42,11 @@ const inviteLinkSchema = new mongoose.Schema({
   metadata: {
     label: String,
     description: String
+  },
+  // Mastery engine for the cohort joining through this link (null = deployment default)
+  masteryEngine: {
+    type: String,
+    default: null
   }
 }, {
   timestamps: true
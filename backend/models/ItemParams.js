@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// 2PL IRT parameters per question, produced by the calibration job
+const itemParamsSchema = new mongoose.Schema({
+  questionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  topicId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  difficulty: {
+    type: Number,
+    required: true
+  },
+  discrimination: {
+    type: Number,
+    required: true
+  },
+  responses: {
+    type: Number,
+    default: 0
+  },
+  pCorrect: {
+    type: Number,
+    default: null
+  },
+  calibratedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const ItemParams = mongoose.model('ItemParams', itemParamsSchema);
+
+export default ItemParams;
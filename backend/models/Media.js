@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// An uploaded image or file; questions reference these in Question.media
+const mediaSchema = new mongoose.Schema({
+  // Storage driver key and the URL it is served from
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  storage: {
+    type: String,
+    default: 'local'
+  },
+  originalName: {
+    type: String,
+    default: ''
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Read out by screen readers in place of the image
+  alt: {
+    type: String,
+    required: [true, 'Please describe the file for screen readers'],
+    trim: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const Media = mongoose.model('Media', mediaSchema);
+
+export default Media;
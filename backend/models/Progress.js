@@ -40,6 +40,11 @@ const progressSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Mastery engine that produced the current mastery value
+  masteryEngine: {
+    type: String,
+    default: 'ema'
+  },
   // EMA specific
   emaAlpha: {
     type: Number,
@@ -64,6 +69,7 @@ const progressSchema = new mongoose.Schema({
 
 // Compound index for faster queries
 progressSchema.index({ userId: 1, topicId: 1 }, { unique: true });
+progressSchema.index({ userId: 1, nextReview: 1 });
 
 const Progress = mongoose.model('Progress', progressSchema);
 
@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { QUESTION_TYPES, validateQuestion } from '../services/questionTypes.js';
+
+const questionSchema = new mongoose.Schema({
+  // Stable public identifier, referenced by Attempt.questionId
+  questionId: {
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true,
+    default: () => crypto.randomUUID()
+  },
+  topic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Topic',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    default: 'single'
+  },
+  text: {
+    type: String,
+    required: [true, 'Please provide the question text'],
+    trim: true
+  },
+  options: {
+    type: [String],
+    default: []
+  },
+  // Right-hand column of a matching question
+  matches: {
+    type: [String],
+    default: []
+  },
+  // Shape depends on type, see services/questionTypes.js
+  answer: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Please provide the answer']
+  },
+  // Numeric: accepted distance from the answer
+  tolerance: {
+    type: Number,
+    default: 0
+  },
+  // Short text: regular expression accepted in addition to the listed answers
+  pattern: {
+    type: String,
+    default: null
+  },
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  // Shown after the student answers
+  explanation: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Revealed one at a time on request, each one lowering the mastery credit
+  hints: {
+    type: [String],
+    default: []
+  },
+  // Images and files shown with the question stem
+  media: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'
+  }],
+  order: {
+    type: Number,
+    default: 0
+  },
+  // Latest immutable snapshot of this question
+  currentRevision: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuestionRevision',
+    default: null
+  },
+  revision: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+questionSchema.index({ topic: 1, order: 1 });
+
+// Type-specific checks on options and answer shape
+questionSchema.pre('validate', function(next) {
+  const error = validateQuestion(this);
+  if (error) {
+    this.invalidate('answer', error);
+  }
+  next();
+});
+
+const Question = mongoose.model('Question', questionSchema);
+
+export default Question;
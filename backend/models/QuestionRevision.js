@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+// Immutable snapshot of a question as it was shown to students.
+// A new revision is written on every edit; Attempt.revisionId points here.
+const questionRevisionSchema = new mongoose.Schema({
+  questionId: {
+    type: String,
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    default: 'single'
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  options: {
+    type: [String],
+    default: []
+  },
+  matches: {
+    type: [String],
+    default: []
+  },
+  answer: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  tolerance: {
+    type: Number,
+    default: 0
+  },
+  pattern: {
+    type: String,
+    default: null
+  },
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  explanation: {
+    type: String,
+    default: ''
+  },
+  hints: {
+    type: [String],
+    default: []
+  },
+  media: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'
+  }],
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+questionRevisionSchema.index({ questionId: 1, revision: -1 }, { unique: true });
+
+// Revisions are append-only
+questionRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Question revisions are immutable'));
+  }
+  next();
+});
+
+const rejectUpdate = function(next) {
+  next(new Error('Question revisions are immutable'));
+};
+questionRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], rejectUpdate);
+
+const QuestionRevision = mongoose.model('QuestionRevision', questionRevisionSchema);
+
+export default QuestionRevision;
@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+
+// One answered question within a session
+const sessionAnswerSchema = new mongoose.Schema({
+  questionId: {
+    type: String,
+    required: true
+  },
+  attemptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attempt',
+    required: true
+  },
+  isCorrect: {
+    type: Boolean,
+    required: true
+  },
+  credit: {
+    type: Number,
+    default: 0
+  },
+  timeTaken: {
+    type: Number, // in seconds
+    default: null
+  },
+  answeredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// A student's run through one topic. The server tracks which questions were
+// served and answered, so a session survives reloads and can be resumed on
+// another device until it is finished.
+const quizSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  topicId: {
+    type: String,
+    required: true
+  },
+  strategy: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'finished'],
+    default: 'active'
+  },
+  // Served but not yet answered; next returns it again until it is answered
+  currentQuestionId: {
+    type: String,
+    default: null
+  },
+  // When the pending question was first served; re-fetching it doesn't reset this
+  servedAt: {
+    type: Date,
+    default: null
+  },
+  answers: {
+    type: [sessionAnswerSchema],
+    default: []
+  },
+  // Option order each served question is shown in, by questionId
+  // (see services/optionShuffle.js)
+  optionOrders: {
+    type: Map,
+    of: [Number],
+    default: {}
+  },
+  // Topic mastery when the session started and when it finished
+  startMastery: {
+    type: Number,
+    required: true
+  },
+  endMastery: {
+    type: Number,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+quizSessionSchema.index({ userId: 1, status: 1, updatedAt: -1 });
+
+const QuizSession = mongoose.model('QuizSession', quizSessionSchema);
+
+export default QuizSession;
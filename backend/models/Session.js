@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// A signed-in device. Access tokens carry the session id and are only accepted
+// while the session is live; the refresh token is rotated on every use and
+// only its hash is stored. See services/authSessions.js.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The token rotated out last; presenting it again means it was stolen
+  previousTokenHash: {
+    type: String,
+    default: null,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Drop sessions a day after they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+sessionSchema.methods.isLive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
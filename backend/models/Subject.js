@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+const subjectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a subject name'],
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: [true, 'Please provide a slug'],
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  order: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+const Subject = mongoose.model('Subject', subjectSchema);
+
+export default Subject;
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+const topicSchema = new mongoose.Schema({
+  // Public identifier used by Progress and Attempt (subjects.json `topic_id`)
+  topicId: {
+    type: String,
+    required: [true, 'Please provide a topic ID'],
+    unique: true,
+    trim: true
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Please provide a title'],
+    trim: true
+  },
+  order: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+const Topic = mongoose.model('Topic', topicSchema);
+
+export default Topic;
@@ -14,6 +14,10 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email']
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
   password: {
     type: String,
     minlength: 6,
@@ -83,6 +87,54 @@ const userSchema = new mongoose.Schema({
       default: null
     }
   },
+  // Overrides the deployment/cohort mastery engine (null = inherit)
+  masteryEngine: {
+    type: String,
+    default: null
+  },
+  // Authenticator-app sign-in; see services/twoFactor.js. The secret is
+  // stored encrypted and backup codes hashed.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Set up but not yet confirmed with a code
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    backupCodes: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    // Last time step a code was accepted for; older codes can't be replayed
+    lastUsedStep: {
+      type: Number,
+      default: -1,
+      select: false
+    },
+    // Wrong codes in a row, and when a code was last tried (for the lockout)
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastAttemptAt: {
+      type: Date,
+      default: null
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -120,11 +172,14 @@ userSchema.methods.getPublicProfile = function() {
     id: this._id,
     name: this.name,
     email: this.email,
+    emailVerified: this.emailVerified,
+    twoFactorEnabled: !!this.twoFactor?.enabled,
     role: this.role,
     avatar: this.avatar,
     bio: this.bio,
     preferences: this.preferences,
     stats: this.stats,
+    masteryEngine: this.masteryEngine,
     createdAt: this.createdAt,
     lastLogin: this.lastLogin
   };
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// A single-use token mailed to a user, such as a password reset link. Only an
+// HMAC of the token is stored. See services/userTokens.js.
+const userTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password-reset', 'email-verification'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+userTokenSchema.index({ userId: 1, purpose: 1 });
+// Drop tokens a day after they expire
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const UserToken = mongoose.model('UserToken', userTokenSchema);
+
+export default UserToken;
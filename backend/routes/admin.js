@@ -1,8 +1,25 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
 import Progress from '../models/Progress.js';
 import Attempt from '../models/Attempt.js';
+import BKTParams from '../models/BKTParams.js';
+import ItemParams from '../models/ItemParams.js';
+import AbilityEstimate from '../models/AbilityEstimate.js';
+import Session from '../models/Session.js';
 import { protect, authorize } from '../middleware/auth.js';
+import { ENGINE_NAMES, getDefaultEngineName } from '../services/mastery/index.js';
+import { fitTopicFromAttempts } from '../services/mastery/bktFit.js';
+import { itemFlags } from '../services/irt.js';
+import { MIN_ANSWER_SECONDS } from '../services/answerTiming.js';
+import {
+  revokeSession,
+  revokeUserSessions,
+  listLiveSessions,
+  serializeSession
+} from '../services/authSessions.js';
+import { disableTwoFactor } from '../services/twoFactor.js';
+import { deleteUserData } from '../services/userData.js';
 
 const router = express.Router();
 
@@ -216,6 +233,13 @@ router.get('/users/:id', async (req, res) => {
       }
     ]);
 
+    // IRT calibration results for this user and the questions they answered recently
+    const abilities = await AbilityEstimate.find({ userId: user._id });
+    const calibratedItems = await ItemParams.find({
+      questionId: { $in: [...new Set(recentAttempts.map(a => a.questionId))] }
+    }).lean();
+    const itemParams = calibratedItems.map(item => ({ ...item, flags: itemFlags(item) }));
+
     res.json({
       success: true,
       data: {
@@ -223,7 +247,9 @@ router.get('/users/:id', async (req, res) => {
         progress,
         recentAttempts,
         performanceOverTime,
-        topicBreakdown
+        topicBreakdown,
+        abilities,
+        itemParams
       }
     });
   } catch (error) {
@@ -250,6 +276,10 @@ router.put('/users/:id/toggle-status', async (req, res) => {
     user.isActive = !user.isActive;
     await user.save();
 
+    if (!user.isActive) {
+      await revokeUserSessions(user._id, 'deactivated');
+    }
+
     // Emit socket event to notify user
     const io = req.app.get('io');
     io.to(`user-${user._id}`).emit('account-status-changed', {
@@ -269,12 +299,232 @@ router.put('/users/:id/toggle-status', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/users/:id/sessions
+// @desc    List the devices a user is signed in on
+// @access  Private/Admin
+router.get('/users/:id/sessions', async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id) && await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const sessions = await listLiveSessions(user._id);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(s => serializeSession(s))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/sessions
+// @desc    Force-logout a user from every device
+// @access  Private/Admin
+router.delete('/users/:id/sessions', async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id) && await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const result = await revokeUserSessions(user._id, 'revoked-by-admin');
+
+    res.json({
+      success: true,
+      message: `Signed ${user.name} out of ${result.modifiedCount} session(s)`,
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/sessions/:sessionId
+// @desc    Force-logout one of a user's devices
+// @access  Private/Admin
+router.delete('/users/:id/sessions/:sessionId', async (req, res) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.id) && mongoose.isValidObjectId(req.params.sessionId)
+      ? await Session.findOne({ _id: req.params.sessionId, userId: req.params.id, revokedAt: null })
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session, 'revoked-by-admin');
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/two-factor
+// @desc    Reset a user's 2FA after they lose their authenticator and backup
+//          codes. Signs them out; they enroll again on next login if required.
+// @access  Private/Admin
+router.delete('/users/:id/two-factor', async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id) && await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: `${user.name} does not have two-factor authentication enabled`
+      });
+    }
+
+    await disableTwoFactor(user);
+    await revokeUserSessions(user._id, 'two-factor-reset');
+
+    res.json({
+      success: true,
+      message: `Two-factor authentication reset for ${user.name}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/mastery-engines
+// @desc    List available mastery engines and the deployment default
+// @access  Private/Admin
+router.get('/mastery-engines', async (req, res) => {
+  res.json({
+    success: true,
+    engines: ENGINE_NAMES,
+    defaultEngine: getDefaultEngineName()
+  });
+});
+
+// @route   PUT /api/admin/users/:id/mastery-engine
+// @desc    Override the mastery engine for a user (null to inherit)
+// @access  Private/Admin
+router.put('/users/:id/mastery-engine', async (req, res) => {
+  try {
+    const { masteryEngine = null } = req.body;
+
+    if (masteryEngine !== null && !ENGINE_NAMES.includes(masteryEngine)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown mastery engine. Use one of: ${ENGINE_NAMES.join(', ')}`
+      });
+    }
+
+    const user = mongoose.isValidObjectId(req.params.id) && await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.masteryEngine = masteryEngine;
+    await user.save();
+
+    res.json({
+      success: true,
+      user: user.getPublicProfile()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/bkt/params
+// @desc    List fitted BKT parameters per topic
+// @access  Private/Admin
+router.get('/bkt/params', async (req, res) => {
+  try {
+    const params = await BKTParams.find().sort({ topicId: 1 });
+
+    res.json({
+      success: true,
+      count: params.length,
+      params
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/bkt/fit
+// @desc    Fit BKT parameters from attempt history via EM (one topic or all)
+// @access  Private/Admin
+router.post('/bkt/fit', async (req, res) => {
+  try {
+    const { topicId, minObservations = 20, maxIterations = 100 } = req.body;
+
+    const topicIds = topicId ? [topicId] : await Attempt.distinct('topicId');
+
+    const results = [];
+    for (const id of topicIds) {
+      results.push(await fitTopicFromAttempts(id, {
+        minObservations: parseInt(minObservations),
+        maxIterations: parseInt(maxIterations)
+      }));
+    }
+
+    res.json({
+      success: true,
+      fitted: results.filter(r => !r.skipped).length,
+      skipped: results.filter(r => r.skipped).length,
+      results
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // @route   DELETE /api/admin/users/:id
 // @desc    Delete user and all associated data
 // @access  Private/Admin
 router.delete('/users/:id', async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const user = mongoose.isValidObjectId(req.params.id) && await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -283,8 +533,7 @@ router.delete('/users/:id', async (req, res) => {
     }
 
     // Delete all associated data
-    await Progress.deleteMany({ userId: req.params.id });
-    await Attempt.deleteMany({ userId: req.params.id });
+    await deleteUserData(user._id);
     await user.deleteOne();
 
     res.json({
@@ -299,6 +548,74 @@ router.delete('/users/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/items/:questionId/stats
+// @desc    Get IRT parameters and response statistics for a question
+// @access  Private/Admin
+router.get('/items/:questionId/stats', async (req, res) => {
+  try {
+    const { questionId } = req.params;
+
+    const params = await ItemParams.findOne({ questionId }).lean();
+
+    const [summary] = await Attempt.aggregate([
+      { $match: { questionId } },
+      {
+        $group: {
+          _id: '$questionId',
+          attempts: { $sum: 1 },
+          correct: { $sum: { $cond: ['$isCorrect', 1, 0] } },
+          users: { $addToSet: '$userId' }
+        }
+      },
+      {
+        $project: {
+          attempts: 1,
+          correct: 1,
+          uniqueUsers: { $size: '$users' },
+          accuracy: {
+            $multiply: [
+              { $divide: ['$correct', '$attempts'] },
+              100
+            ]
+          }
+        }
+      }
+    ]);
+
+    if (!params && !summary) {
+      return res.status(404).json({
+        success: false,
+        message: 'No data for this question'
+      });
+    }
+
+    // How often each option was picked, to spot misleading distractors
+    const answerDistribution = await Attempt.aggregate([
+      { $match: { questionId } },
+      { $group: { _id: '$userAnswer', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        questionId,
+        params: params ? { ...params, flags: itemFlags(params) } : null,
+        attempts: summary?.attempts || 0,
+        correct: summary?.correct || 0,
+        uniqueUsers: summary?.uniqueUsers || 0,
+        accuracy: summary?.accuracy || 0,
+        answerDistribution: answerDistribution.map(a => ({ answer: a._id, count: a.count }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // @route   GET /api/admin/analytics/overview
 // @desc    Get comprehensive analytics
 // @access  Private/Admin
@@ -353,12 +670,39 @@ router.get('/analytics/overview', async (req, res) => {
       { $limit: 10 }
     ]);
 
+    // Time per answer by topic, from attempts with a measured latency. Older
+    // attempts stored 0 for unknown, which the lower bound leaves out.
+    const topicLatency = await Attempt.aggregate([
+      { $match: { timestamp: { $gte: daysAgo }, timeTaken: { $gte: MIN_ANSWER_SECONDS } } },
+      {
+        $group: {
+          _id: '$topicId',
+          timedAttempts: { $sum: 1 },
+          avgSeconds: { $avg: '$timeTaken' },
+          avgCorrectSeconds: { $avg: { $cond: ['$isCorrect', '$timeTaken', null] } },
+          avgIncorrectSeconds: { $avg: { $cond: ['$isCorrect', null, '$timeTaken'] } }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          topicId: '$_id',
+          timedAttempts: 1,
+          avgSeconds: 1,
+          avgCorrectSeconds: 1,
+          avgIncorrectSeconds: 1
+        }
+      },
+      { $sort: { avgSeconds: -1 } }
+    ]);
+
     res.json({
       success: true,
       data: {
         activeUsers: activeUsers[0]?.total || 0,
         studyTimeDistribution,
-        challengingTopics
+        challengingTopics,
+        topicLatency
       }
     });
   } catch (error) {
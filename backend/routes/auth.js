@@ -1,10 +1,47 @@
 import express from 'express';
 import { body } from 'express-validator';
 import User from '../models/User.js';
-import { generateToken, protect } from '../middleware/auth.js';
+import { protect } from '../middleware/auth.js';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import {
+  startSession,
+  refreshSession,
+  revokeByRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listLiveSessions,
+  serializeSession
+} from '../services/authSessions.js';
+import { issueUserToken, consumeUserToken, TOKEN_LIFETIME_MINUTES } from '../services/userTokens.js';
+import { sendPasswordResetMail, sendVerificationMail } from '../services/mail/index.js';
+import {
+  LOCKOUT_MINUTES,
+  isTwoFactorRequired,
+  twoFactorStatus,
+  beginEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  checkSecondFactor,
+  issueLoginChallenge,
+  readLoginChallenge
+} from '../services/twoFactor.js';
+import { mergeGuestAccount } from '../services/accountMerge.js';
 
 const router = express.Router();
 
+// Mail a fresh verification link. A mail failure is logged rather than
+// failing the request; the user can ask for another link.
+const sendVerification = async (user) => {
+  try {
+    const token = await issueUserToken(user, 'email-verification');
+    await sendVerificationMail(user, token, TOKEN_LIFETIME_MINUTES['email-verification'] / 60);
+  } catch (error) {
+    console.error('Verification mail error:', error);
+  }
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -33,11 +70,14 @@ router.post('/register', [
       role: 'user'
     });
 
-    const token = generateToken(user._id);
+    await sendVerification(user);
+
+    const { token, refreshToken } = await startSession(user, req);
 
     res.status(201).json({
       success: true,
       token,
+      refreshToken,
       user: user.getPublicProfile()
     });
   } catch (error) {
@@ -84,17 +124,647 @@ router.post('/login', [
       });
     }
 
+    // With 2FA on, the session is only started by POST /login/2fa
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: issueLoginChallenge(user)
+      });
+    }
+
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
-    const token = generateToken(user._id);
+    const { token, refreshToken } = await startSession(user, req);
+
+    res.json({
+      success: true,
+      token,
+      refreshToken,
+      user: user.getPublicProfile(),
+      twoFactorSetupRequired: isTwoFactorRequired(user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: exchange the challenge token from /login and an
+//          authenticator or backup code for a session
+// @access  Public
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (typeof code !== 'string' || !code.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please enter your authentication code'
+      });
+    }
+
+    const userId = readLoginChallenge(challengeToken);
+    const user = userId && await User.findById(userId);
+
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        challengeExpired: true,
+        message: 'Your login has expired. Please log in again.'
+      });
+    }
+
+    const { verified, locked } = await checkSecondFactor(user, code.trim());
+    if (locked) {
+      return res.status(429).json({
+        success: false,
+        challengeExpired: true,
+        message: `Too many incorrect codes. Try again in ${LOCKOUT_MINUTES} minutes.`
+      });
+    }
+    if (!verified) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    const { token, refreshToken } = await startSession(user, req);
+
+    res.json({
+      success: true,
+      token,
+      refreshToken,
+      user: user.getPublicProfile(),
+      ...(verified.method === 'backup' && { backupCodesRemaining: verified.backupCodesRemaining })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const { token, refreshToken, error } = await refreshSession(req.body.refreshToken);
+
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        message: error
+      });
+    }
 
     res.json({
       success: true,
       token,
+      refreshToken
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the session a refresh token belongs to
+// @access  Public
+router.post('/logout', async (req, res) => {
+  try {
+    await revokeByRefreshToken(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Mail a password reset link. Answers the same whether or not the
+//          email has an account, so it can't be used to look accounts up.
+// @access  Public
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (typeof email !== 'string' || !email.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your email'
+      });
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (user?.isActive) {
+      // A mail failure is logged, not returned: an error only accounts can
+      // hit would tell callers which emails are registered
+      try {
+        const token = await issueUserToken(user, 'password-reset');
+        await sendPasswordResetMail(user, token, TOKEN_LIFETIME_MINUTES['password-reset']);
+      } catch (error) {
+        console.error('Password reset mail error:', error);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account uses that email, a reset link is on its way'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token; signs out every device
+// @access  Public
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (typeof password !== 'string' || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const used = await consumeUserToken(token, 'password-reset');
+    const user = used && await User.findById(used.userId);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has expired'
+      });
+    }
+
+    user.password = password;
+    // Following the mailed link proves the address
+    user.emailVerified = true;
+    await user.save();
+
+    await revokeUserSessions(user._id, 'password-reset');
+
+    res.json({
+      success: true,
+      message: 'Password updated. Please log in with your new password.'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm the user's email address with a verification token
+// @access  Public
+router.post('/verify-email', async (req, res) => {
+  try {
+    const used = await consumeUserToken(req.body.token, 'email-verification');
+    const user = used && await User.findByIdAndUpdate(used.userId, { emailVerified: true }, { new: true });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified',
+      user: user.getPublicProfile()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Mail the current user a new verification link
+// @access  Private
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    if (!req.user.email || req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: req.user.email ? 'Your email is already verified' : 'Your account has no email address'
+      });
+    }
+
+    await sendVerification(req.user);
+
+    res.json({
+      success: true,
+      message: `Verification link sent to ${req.user.email}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices the current user is signed in on
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await listLiveSessions(req.user._id);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(s => serializeSession(s, req.sessionId))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/sessions/revoke-others
+// @desc    Sign out every device but this one
+// @access  Private
+router.post('/sessions/revoke-others', protect, async (req, res) => {
+  try {
+    const result = await revokeUserSessions(req.user._id, 'revoked-by-user', req.sessionId);
+
+    res.json({
+      success: true,
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one of the current user's devices
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.id)
+      ? await Session.findOne({ _id: req.params.id, userId: req.user._id, revokedAt: null })
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session, 'revoked-by-user');
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/auth/2fa
+// @desc    Get the current user's two-factor status
+// @access  Private
+router.get('/2fa', protect, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      twoFactor: await twoFactorStatus(req.user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrolling an authenticator app: returns its secret and QR code
+// @access  Private
+router.post('/2fa/setup', protect, async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const enrollment = await beginEnrollment(req.user);
+
+    res.json({
+      success: true,
+      ...enrollment
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the app; returns backup codes
+// @access  Private
+router.post('/2fa/enable', protect, async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const backupCodes = await confirmEnrollment(req.user, req.body.code);
+    if (!backupCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      backupCodes
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor authentication off; needs a current code
+// @access  Private
+router.post('/2fa/disable', protect, async (req, res) => {
+  try {
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your account'
+      });
+    }
+
+    const { verified, locked } = await checkSecondFactor(req.user, req.body.code);
+    if (locked) {
+      return res.status(429).json({
+        success: false,
+        message: `Too many incorrect codes. Try again in ${LOCKOUT_MINUTES} minutes.`
+      });
+    }
+    if (!verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await disableTwoFactor(req.user);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace the backup codes; needs a current code
+// @access  Private
+router.post('/2fa/backup-codes', protect, async (req, res) => {
+  try {
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const { verified, locked } = await checkSecondFactor(req.user, req.body.code);
+    if (locked) {
+      return res.status(429).json({
+        success: false,
+        message: `Too many incorrect codes. Try again in ${LOCKOUT_MINUTES} minutes.`
+      });
+    }
+    if (!verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    res.json({
+      success: true,
+      backupCodes: await regenerateBackupCodes(req.user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Upgrade routes are for guests who joined through an invite link and have
+// no email or password yet
+const requireGuest = (req, res, next) => {
+  if (req.user.email) {
+    return res.status(400).json({
+      success: false,
+      message: 'Your account already has an email and password'
+    });
+  }
+  next();
+};
+
+// @route   POST /api/auth/upgrade
+// @desc    Give a guest account an email and password so it can log in normally
+// @access  Private
+router.post('/upgrade', protect, requireGuest, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (typeof email !== 'string' || !email.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your email'
+      });
+    }
+
+    if (typeof password !== 'string' || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    if (await User.exists({ email: email.trim().toLowerCase() })) {
+      return res.status(400).json({
+        success: false,
+        accountExists: true,
+        message: 'An account already uses this email. Link to it instead to keep your progress there.'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    user.email = email.trim();
+    user.password = password;
+    // Invite quick-login is replaced by the new credentials
+    user.sessionToken = undefined;
+    await user.save();
+
+    await sendVerification(user);
+
+    res.json({
+      success: true,
+      message: 'Account upgraded. You can now log in with your email and password.',
       user: user.getPublicProfile()
     });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.errors?.email?.message || 'An account already uses this email'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/upgrade/merge
+// @desc    Move a guest's learning history into an existing account, given
+//          that account's credentials, and sign in to it. The guest is deleted.
+// @access  Private
+router.post('/upgrade/merge', protect, requireGuest, async (req, res) => {
+  try {
+    const { email, password, code } = req.body;
+
+    if (typeof email !== 'string' || typeof password !== 'string' || !email.trim() || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the email and password of your account'
+      });
+    }
+
+    // Bad credentials are a 400, not a 401: the guest's own session is fine
+    const target = await User.findOne({ email: email.trim().toLowerCase() }).select('+password');
+    if (!target || !target.password || !await target.comparePassword(password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    if (!target.isActive || target.role !== 'user') {
+      return res.status(400).json({
+        success: false,
+        message: 'Your progress can\'t be moved to that account'
+      });
+    }
+
+    if (target.twoFactor?.enabled) {
+      if (typeof code !== 'string' || !code.trim()) {
+        return res.status(400).json({
+          success: false,
+          twoFactorRequired: true,
+          message: 'Enter the authentication code for that account'
+        });
+      }
+      const { verified, locked } = await checkSecondFactor(target, code.trim());
+      if (locked) {
+        return res.status(429).json({
+          success: false,
+          message: `Too many incorrect codes for that account. Try again in ${LOCKOUT_MINUTES} minutes.`
+        });
+      }
+      if (!verified) {
+        return res.status(400).json({
+          success: false,
+          twoFactorRequired: true,
+          message: 'Invalid authentication code'
+        });
+      }
+    }
+
+    const merged = await mergeGuestAccount(req.user, target);
+
+    target.lastLogin = new Date();
+    await target.save();
+
+    const { token, refreshToken } = await startSession(target, req);
+
+    res.json({
+      success: true,
+      message: `Moved ${merged.attempts} answer${merged.attempts === 1 ? '' : 's'} across ${merged.topics} topic${merged.topics === 1 ? '' : 's'} to ${target.email}`,
+      merged,
+      token,
+      refreshToken,
+      user: target.getPublicProfile()
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -0,0 +1,777 @@
+import express from 'express';
+import multer from 'multer';
+import Subject from '../models/Subject.js';
+import Topic from '../models/Topic.js';
+import Question from '../models/Question.js';
+import QuestionRevision from '../models/QuestionRevision.js';
+import Media from '../models/Media.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { listSubjects, hasContentChanges, recordRevision, REVISIONED_FIELDS } from '../services/content.js';
+import { sanitizeQuestionContent } from '../services/markdown.js';
+import { importContent, exportContent } from '../services/contentTransfer.js';
+import { FORMAT_NAMES, getFormat, resolveFormat } from '../services/formats/index.js';
+import { validateMedia, storeMedia, removeMedia, getMaxMediaSize } from '../services/storage/index.js';
+
+const router = express.Router();
+
+// All routes are protected and require admin role
+router.use(protect);
+router.use(authorize('admin'));
+
+// Validation and duplicate-key errors are the client's fault
+const sendError = (res, error) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: `Duplicate value for ${Object.keys(error.keyValue || {}).join(', ')}`
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// Single multipart file in the "file" field, kept in memory until validated
+const receiveFile = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getMaxMediaSize(), files: 1 }
+  }).single('file');
+
+  upload(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE'
+          ? `File is larger than ${getMaxMediaSize() / (1024 * 1024)} MB`
+          : err.message
+      });
+    }
+    next();
+  });
+};
+
+// Question content fields present in the request body, with Markdown sanitized
+const pickContent = (body) => sanitizeQuestionContent(Object.fromEntries(
+  REVISIONED_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+));
+
+// True when every referenced media id exists
+const mediaExists = async (ids) => (
+  !Array.isArray(ids) || (await Media.countDocuments({ _id: { $in: ids } })) === new Set(ids.map(String)).size
+);
+
+// @route   GET /api/admin/content/subjects
+// @desc    Get all subjects with their topics and question counts
+// @access  Private/Admin
+router.get('/subjects', async (req, res) => {
+  try {
+    const subjects = await listSubjects();
+
+    res.json({
+      success: true,
+      subjects
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST /api/admin/content/subjects
+// @desc    Create a subject
+// @access  Private/Admin
+router.post('/subjects', async (req, res) => {
+  try {
+    const { name, slug, order } = req.body;
+
+    const subject = await Subject.create({ name, slug, order });
+
+    res.status(201).json({
+      success: true,
+      subject
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   PUT /api/admin/content/subjects/:id
+// @desc    Update a subject
+// @access  Private/Admin
+router.put('/subjects/:id', async (req, res) => {
+  try {
+    const subject = await Subject.findById(req.params.id);
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subject not found'
+      });
+    }
+
+    const { name, slug, order } = req.body;
+    if (name !== undefined) subject.name = name;
+    if (slug !== undefined) subject.slug = slug;
+    if (order !== undefined) subject.order = order;
+    await subject.save();
+
+    res.json({
+      success: true,
+      subject
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   DELETE /api/admin/content/subjects/:id
+// @desc    Delete a subject with all its topics and questions
+// @access  Private/Admin
+router.delete('/subjects/:id', async (req, res) => {
+  try {
+    const subject = await Subject.findById(req.params.id);
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subject not found'
+      });
+    }
+
+    const topicIds = await Topic.find({ subject: subject._id }).distinct('_id');
+    await Question.deleteMany({ topic: { $in: topicIds } });
+    await Topic.deleteMany({ subject: subject._id });
+    await subject.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Subject and all its content deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   PUT /api/admin/content/subjects/:id/topics/order
+// @desc    Reorder a subject's topics (body: { topicIds: [topic _id, ...] })
+// @access  Private/Admin
+router.put('/subjects/:id/topics/order', async (req, res) => {
+  try {
+    const { topicIds } = req.body;
+
+    if (!Array.isArray(topicIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'topicIds must be an array'
+      });
+    }
+
+    const subject = await Subject.findById(req.params.id);
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subject not found'
+      });
+    }
+
+    const topics = await Topic.find({ subject: subject._id }).select('_id');
+    const existing = new Set(topics.map(t => t._id.toString()));
+    if (topicIds.length !== existing.size || !topicIds.every(id => existing.has(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'topicIds must list every topic of the subject exactly once'
+      });
+    }
+
+    await Topic.bulkWrite(topicIds.map((id, order) => ({
+      updateOne: { filter: { _id: id }, update: { order } }
+    })));
+
+    res.json({
+      success: true,
+      message: 'Topics reordered successfully'
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST /api/admin/content/topics
+// @desc    Create a topic in a subject
+// @access  Private/Admin
+router.post('/topics', async (req, res) => {
+  try {
+    const { subject: subjectId, topicId, title, order } = req.body;
+
+    const subject = await Subject.findById(subjectId);
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subject not found'
+      });
+    }
+
+    const topic = await Topic.create({ subject: subject._id, topicId, title, order });
+
+    res.status(201).json({
+      success: true,
+      topic
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   PUT /api/admin/content/topics/:id
+// @desc    Update a topic (the public topicId is fixed once created)
+// @access  Private/Admin
+router.put('/topics/:id', async (req, res) => {
+  try {
+    const topic = await Topic.findById(req.params.id);
+    if (!topic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Topic not found'
+      });
+    }
+
+    const { title, order, subject: subjectId } = req.body;
+    if (title !== undefined) topic.title = title;
+    if (order !== undefined) topic.order = order;
+    if (subjectId !== undefined) {
+      const subject = await Subject.findById(subjectId);
+      if (!subject) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subject not found'
+        });
+      }
+      topic.subject = subject._id;
+    }
+    await topic.save();
+
+    res.json({
+      success: true,
+      topic
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   DELETE /api/admin/content/topics/:id
+// @desc    Delete a topic with all its questions
+// @access  Private/Admin
+router.delete('/topics/:id', async (req, res) => {
+  try {
+    const topic = await Topic.findById(req.params.id);
+    if (!topic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Topic not found'
+      });
+    }
+
+    await Question.deleteMany({ topic: topic._id });
+    await topic.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Topic and its questions deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   GET /api/admin/content/topics/:id/questions
+// @desc    Get all questions in a topic, answers included
+// @access  Private/Admin
+router.get('/topics/:id/questions', async (req, res) => {
+  try {
+    const topic = await Topic.findById(req.params.id).populate('subject', 'name slug');
+    if (!topic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Topic not found'
+      });
+    }
+
+    const questions = await Question.find({ topic: topic._id })
+      .sort({ order: 1, createdAt: 1 })
+      .populate('media');
+
+    res.json({
+      success: true,
+      topic,
+      questions
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST /api/admin/content/questions
+// @desc    Create a question at the end of a topic
+// @access  Private/Admin
+router.post('/questions', async (req, res) => {
+  try {
+    const { topic: topicId } = req.body;
+
+    const topic = await Topic.findById(topicId);
+    if (!topic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Topic not found'
+      });
+    }
+
+    const content = pickContent(req.body);
+    if (!(await mediaExists(content.media))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown media attachment'
+      });
+    }
+
+    const last = await Question.findOne({ topic: topic._id }).sort({ order: -1 });
+    const question = await Question.create({
+      topic: topic._id,
+      ...content,
+      order: last ? last.order + 1 : 0
+    });
+    await recordRevision(question, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      question
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST /api/admin/content/questions/bulk-delete
+// @desc    Delete several questions at once (body: { ids: [question _id, ...] })
+// @access  Private/Admin
+router.post('/questions/bulk-delete', async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the question ids to delete'
+      });
+    }
+
+    const result = await Question.deleteMany({ _id: { $in: ids } });
+
+    res.json({
+      success: true,
+      deletedCount: result.deletedCount,
+      message: `${result.deletedCount} questions deleted successfully`
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   PUT /api/admin/content/questions/:id
+// @desc    Update a question
+// @access  Private/Admin
+router.put('/questions/:id', async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const content = pickContent(req.body);
+    if (!(await mediaExists(content.media))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown media attachment'
+      });
+    }
+
+    const contentChanged = hasContentChanges(question, content);
+    question.set(content);
+    if (req.body.order !== undefined) question.order = req.body.order;
+    await question.save();
+
+    // Reordering alone doesn't change what students see
+    if (contentChanged) {
+      await recordRevision(question, req.user._id);
+    }
+
+    res.json({
+      success: true,
+      question
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   GET /api/admin/content/questions/:id/revisions
+// @desc    Get a question's revision history, newest first
+// @access  Private/Admin
+router.get('/questions/:id/revisions', async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const revisions = await QuestionRevision.find({ questionId: question.questionId })
+      .sort({ revision: -1 })
+      .populate('editedBy', 'name email');
+
+    res.json({
+      success: true,
+      questionId: question.questionId,
+      currentRevision: question.revision,
+      revisions
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   GET /api/admin/content/questions/:id/revisions/diff?from=1&to=2
+// @desc    Compare two revisions of a question field by field
+// @access  Private/Admin
+router.get('/questions/:id/revisions/diff', async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const to = parseInt(req.query.to) || question.revision;
+    const from = parseInt(req.query.from) || to - 1;
+
+    const [before, after] = await Promise.all([
+      QuestionRevision.findOne({ questionId: question.questionId, revision: from }),
+      QuestionRevision.findOne({ questionId: question.questionId, revision: to })
+    ]);
+
+    if (!before || !after) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const listChanges = (field) => Array.from(
+      { length: Math.max(before[field].length, after[field].length) },
+      (_, i) => ({ field: `${field}[${i}]`, before: before[field][i] ?? null, after: after[field][i] ?? null })
+    );
+    const changes = [
+      { field: 'type', before: before.type, after: after.type },
+      { field: 'text', before: before.text, after: after.text },
+      { field: 'answer', before: before.answer, after: after.answer },
+      { field: 'tolerance', before: before.tolerance, after: after.tolerance },
+      { field: 'pattern', before: before.pattern, after: after.pattern },
+      { field: 'caseSensitive', before: before.caseSensitive, after: after.caseSensitive },
+      { field: 'explanation', before: before.explanation, after: after.explanation },
+      ...listChanges('options'),
+      ...listChanges('matches'),
+      ...listChanges('hints')
+    ].filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+
+    res.json({
+      success: true,
+      from: before,
+      to: after,
+      changes
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   GET /api/admin/content/revisions/:revisionId
+// @desc    Get one revision, e.g. the one referenced by an attempt
+// @access  Private/Admin
+router.get('/revisions/:revisionId', async (req, res) => {
+  try {
+    const revision = await QuestionRevision.findById(req.params.revisionId)
+      .populate('editedBy', 'name email');
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      revision
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   GET /api/admin/content/media
+// @desc    Get uploaded media, newest first
+// @access  Private/Admin
+router.get('/media', async (req, res) => {
+  try {
+    const media = await Media.find().sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      media
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST /api/admin/content/media
+// @desc    Upload an image or file (multipart: file, alt)
+// @access  Private/Admin
+router.post('/media', receiveFile, async (req, res) => {
+  try {
+    const alt = req.body.alt?.trim();
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please attach a file'
+      });
+    }
+
+    if (!alt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please describe the file for screen readers (alt text)'
+      });
+    }
+
+    const invalid = validateMedia(req.file);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const stored = await storeMedia(req.file);
+    const media = await Media.create({
+      ...stored,
+      originalName: req.file.originalname,
+      contentType: req.file.mimetype,
+      size: req.file.size,
+      alt,
+      uploadedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      media
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   PUT /api/admin/content/media/:id
+// @desc    Update a file's alt text
+// @access  Private/Admin
+router.put('/media/:id', async (req, res) => {
+  try {
+    const media = await Media.findById(req.params.id);
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media not found'
+      });
+    }
+
+    if (req.body.alt !== undefined) media.alt = req.body.alt;
+    await media.save();
+
+    res.json({
+      success: true,
+      media
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   DELETE /api/admin/content/media/:id
+// @desc    Delete an uploaded file that no question uses
+// @access  Private/Admin
+router.delete('/media/:id', async (req, res) => {
+  try {
+    const media = await Media.findById(req.params.id);
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media not found'
+      });
+    }
+
+    const usedBy = await Question.countDocuments({ media: media._id });
+    if (usedBy > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Media is used by ${usedBy} question${usedBy > 1 ? 's' : ''}`
+      });
+    }
+
+    await removeMedia(media);
+    await media.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Media deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST /api/admin/content/import?format=csv&dryRun=true&subject=slug&topic=TOPIC_ID
+// @desc    Import questions from a CSV, subjects.json, GIFT or QTI 2.1 file (multipart: file).
+//          format defaults to the file extension; subject and topic apply to
+//          questions the file doesn't place. dryRun only validates.
+// @access  Private/Admin
+router.post('/import', receiveFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please attach a file'
+      });
+    }
+
+    const format = resolveFormat(req.query.format, req.file.originalname);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown format; use one of ${FORMAT_NAMES.join(', ')}`
+      });
+    }
+
+    let items;
+    try {
+      items = format.parseFile(req.file.buffer);
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read ${format.name} file: ${err.message}`
+      });
+    }
+
+    if (items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No questions found in the file'
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+    const report = await importContent(items, {
+      dryRun,
+      subject: req.query.subject || null,
+      topic: req.query.topic || null,
+      editedBy: req.user._id
+    });
+
+    if (!dryRun && !report.imported) {
+      return res.status(400).json({
+        success: false,
+        message: `${report.summary.invalid} question${report.summary.invalid > 1 ? 's have' : ' has'} errors; nothing was imported`,
+        format: format.name,
+        ...report
+      });
+    }
+
+    res.json({
+      success: true,
+      format: format.name,
+      dryRun,
+      ...report
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   GET /api/admin/content/export?format=csv&subject=slug&topic=TOPIC_ID
+// @desc    Download questions as CSV, subjects.json, GIFT or a QTI 2.1 package
+// @access  Private/Admin
+router.get('/export', async (req, res) => {
+  try {
+    const format = getFormat(req.query.format || 'json');
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown format; use one of ${FORMAT_NAMES.join(', ')}`
+      });
+    }
+
+    const subjects = await exportContent({ subject: req.query.subject, topic: req.query.topic });
+    if (!subjects) {
+      return res.status(404).json({
+        success: false,
+        message: req.query.topic ? 'Topic not found' : 'Subject not found'
+      });
+    }
+
+    const name = req.query.topic || req.query.subject || 'questions';
+    const extension = format.exportExtension || format.extensions[0];
+    res.attachment(`${name}${extension}`);
+    res.type(format.contentType);
+    res.send(format.serialize(subjects));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   DELETE /api/admin/content/questions/:id
+// @desc    Delete a question
+// @access  Private/Admin
+router.delete('/questions/:id', async (req, res) => {
+  try {
+    const question = await Question.findByIdAndDelete(req.params.id);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Question deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
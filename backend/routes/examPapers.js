@@ -0,0 +1,187 @@
+import express from 'express';
+import ExamPaper from '../models/ExamPaper.js';
+import ExamAttempt from '../models/ExamAttempt.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { checkSections, finalizeIfExpired } from '../services/exams.js';
+
+const router = express.Router();
+
+// All routes are protected and require admin role
+router.use(protect);
+router.use(authorize('admin'));
+
+const PAPER_FIELDS = ['title', 'description', 'sections', 'timeLimitMinutes', 'shuffle', 'countTowardsMastery', 'published'];
+
+const pickPaper = (body) => Object.fromEntries(
+  PAPER_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Validation errors are the client's fault
+const sendError = (res, error) => {
+  res.status(error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// @route   GET /api/admin/exams
+// @desc    Get all exam papers with how often each was sat
+// @access  Private/Admin
+router.get('/', async (req, res) => {
+  try {
+    const papers = await ExamPaper.find().sort({ createdAt: -1 }).lean();
+    const counts = await ExamAttempt.aggregate([
+      { $group: { _id: '$paperId', attempts: { $sum: 1 }, averageScore: { $avg: '$score' } } }
+    ]);
+    const statsByPaper = new Map(counts.map(c => [c._id.toString(), c]));
+
+    res.json({
+      success: true,
+      papers: papers.map(paper => ({
+        ...paper,
+        attempts: statsByPaper.get(paper._id.toString())?.attempts || 0,
+        averageScore: statsByPaper.get(paper._id.toString())?.averageScore ?? null
+      }))
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST /api/admin/exams
+// @desc    Create an exam paper
+// @access  Private/Admin
+router.post('/', async (req, res) => {
+  try {
+    const fields = pickPaper(req.body);
+
+    const problem = await checkSections(fields.sections);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const paper = await ExamPaper.create({ ...fields, createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      paper
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   PUT /api/admin/exams/:id
+// @desc    Update an exam paper; sittings already started keep their questions
+// @access  Private/Admin
+router.put('/:id', async (req, res) => {
+  try {
+    const paper = await ExamPaper.findById(req.params.id);
+    if (!paper) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam paper not found'
+      });
+    }
+
+    const fields = pickPaper(req.body);
+    if (fields.sections) {
+      const problem = await checkSections(fields.sections);
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: problem
+        });
+      }
+    }
+
+    paper.set(fields);
+    await paper.save();
+
+    res.json({
+      success: true,
+      paper
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   DELETE /api/admin/exams/:id
+// @desc    Delete an exam paper nobody has sat yet
+// @access  Private/Admin
+router.delete('/:id', async (req, res) => {
+  try {
+    const paper = await ExamPaper.findById(req.params.id);
+    if (!paper) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam paper not found'
+      });
+    }
+
+    const sittings = await ExamAttempt.countDocuments({ paperId: paper._id });
+    if (sittings > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `This paper has ${sittings} sitting${sittings > 1 ? 's' : ''}; unpublish it instead`
+      });
+    }
+
+    await paper.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Exam paper deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   GET /api/admin/exams/:id/results
+// @desc    Get every sitting of a paper with student and score
+// @access  Private/Admin
+router.get('/:id/results', async (req, res) => {
+  try {
+    const paper = await ExamPaper.findById(req.params.id);
+    if (!paper) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam paper not found'
+      });
+    }
+
+    // Grade sittings whose time ran out without a submission
+    const running = await ExamAttempt.find({ paperId: paper._id, status: 'in-progress' });
+    for (const attempt of running) {
+      await finalizeIfExpired(attempt, paper);
+    }
+
+    const attempts = await ExamAttempt.find({ paperId: paper._id })
+      .sort({ startedAt: -1 })
+      .populate('userId', 'name email')
+      .select('-questions');
+
+    res.json({
+      success: true,
+      paper,
+      results: attempts.map(attempt => ({
+        id: attempt._id,
+        user: attempt.userId,
+        status: attempt.status,
+        startedAt: attempt.startedAt,
+        submittedAt: attempt.submittedAt,
+        correct: attempt.correct,
+        score: attempt.score
+      }))
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,216 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import ExamPaper from '../models/ExamPaper.js';
+import ExamAttempt from '../models/ExamAttempt.js';
+import { protect } from '../middleware/auth.js';
+import {
+  drawQuestions,
+  isPastDeadline,
+  gradeAttempt,
+  finalizeIfExpired,
+  serializeAttempt
+} from '../services/exams.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// The requesting user's sitting from :id with its paper, graded first if time
+// ran out; null when there is no such sitting
+const loadAttempt = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+
+  const attempt = await ExamAttempt.findOne({ _id: req.params.id, userId: req.user._id });
+  if (!attempt) return null;
+
+  const paper = await ExamPaper.findById(attempt.paperId);
+  return { attempt: await finalizeIfExpired(attempt, paper), paper };
+};
+
+const attemptNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Exam attempt not found'
+});
+
+// @route   GET /api/exams
+// @desc    Get published exam papers with the current user's sittings of each
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const papers = await ExamPaper.find({ published: true }).sort({ createdAt: -1 }).lean();
+    const attempts = await ExamAttempt.find({ userId: req.user._id })
+      .sort({ startedAt: -1 })
+      .select('-questions')
+      .lean();
+
+    res.json({
+      success: true,
+      papers: papers.map(paper => ({
+        id: paper._id,
+        title: paper.title,
+        description: paper.description,
+        timeLimitMinutes: paper.timeLimitMinutes,
+        questionCount: paper.sections.reduce((sum, s) => sum + s.questionCount, 0),
+        attempts: attempts
+          .filter(a => a.paperId.toString() === paper._id.toString())
+          .map(a => ({
+            id: a._id,
+            status: a.status,
+            startedAt: a.startedAt,
+            deadline: a.deadline,
+            correct: a.correct,
+            score: a.score
+          }))
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/exams/:paperId/start
+// @desc    Start a sitting of a published paper, or return the one in progress
+// @access  Private
+router.post('/:paperId/start', async (req, res) => {
+  try {
+    const paper = mongoose.isValidObjectId(req.params.paperId)
+      ? await ExamPaper.findOne({ _id: req.params.paperId, published: true })
+      : null;
+
+    if (!paper) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam paper not found'
+      });
+    }
+
+    let attempt = await ExamAttempt.findOne({ paperId: paper._id, userId: req.user._id, status: 'in-progress' });
+    if (attempt) {
+      attempt = await finalizeIfExpired(attempt, paper);
+    }
+
+    if (!attempt || attempt.status !== 'in-progress') {
+      const startedAt = new Date();
+      attempt = await ExamAttempt.create({
+        paperId: paper._id,
+        userId: req.user._id,
+        questions: await drawQuestions(paper),
+        startedAt,
+        deadline: new Date(startedAt.getTime() + paper.timeLimitMinutes * 60 * 1000)
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      attempt: await serializeAttempt(attempt, paper, req.user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/exams/attempts/:id
+// @desc    Get a sitting: questions and remaining time while it runs, results once graded
+// @access  Private
+router.get('/attempts/:id', async (req, res) => {
+  try {
+    const loaded = await loadAttempt(req);
+    if (!loaded) return attemptNotFound(res);
+
+    res.json({
+      success: true,
+      attempt: await serializeAttempt(loaded.attempt, loaded.paper, req.user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/exams/attempts/:id/answers/:questionId
+// @desc    Save (or change) the answer to one question while the sitting runs
+// @access  Private
+router.put('/attempts/:id/answers/:questionId', async (req, res) => {
+  try {
+    const { userAnswer } = req.body;
+
+    if (userAnswer === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide userAnswer'
+      });
+    }
+
+    const loaded = await loadAttempt(req);
+    if (!loaded) return attemptNotFound(res);
+
+    const { attempt } = loaded;
+    if (attempt.status !== 'in-progress') {
+      return res.status(409).json({
+        success: false,
+        message: 'This exam has ended; answers can no longer be changed'
+      });
+    }
+
+    // Positional update so concurrent saves of different questions don't clobber each other
+    const now = new Date();
+    const result = await ExamAttempt.updateOne(
+      { _id: attempt._id, status: 'in-progress', 'questions.questionId': req.params.questionId },
+      { $set: { 'questions.$.userAnswer': userAnswer, 'questions.$.answeredAt': now } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question is not part of this exam'
+      });
+    }
+
+    res.json({
+      success: true,
+      questionId: req.params.questionId,
+      answeredAt: now
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/exams/attempts/:id/submit
+// @desc    Hand in a sitting for grading and get the results
+// @access  Private
+router.post('/attempts/:id/submit', async (req, res) => {
+  try {
+    const loaded = await loadAttempt(req);
+    if (!loaded) return attemptNotFound(res);
+
+    let { attempt } = loaded;
+    if (attempt.status === 'in-progress') {
+      const status = isPastDeadline(attempt) ? 'expired' : 'submitted';
+      attempt = (await gradeAttempt(attempt._id, loaded.paper, status)) || await ExamAttempt.findById(attempt._id);
+    }
+
+    res.json({
+      success: true,
+      attempt: await serializeAttempt(attempt, loaded.paper, req.user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,9 +1,11 @@
 import express from 'express';
 import crypto from 'crypto';
-import jwt from 'jsonwebtoken';
 import InviteLink from '../models/InviteLink.js';
 import User from '../models/User.js';
 import { protect, authorize } from '../middleware/auth.js';
+import { ENGINE_NAMES } from '../services/mastery/index.js';
+import { startSession } from '../services/authSessions.js';
+import { issueLoginChallenge } from '../services/twoFactor.js';
 
 const router = express.Router();
 
@@ -12,7 +14,14 @@ const router = express.Router();
 // @access  Admin only
 router.post('/create', protect, authorize('admin'), async (req, res) => {
   try {
-    const { label, description, maxUses, expiresInDays } = req.body;
+    const { label, description, maxUses, expiresInDays, masteryEngine } = req.body;
+
+    if (masteryEngine && !ENGINE_NAMES.includes(masteryEngine)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown mastery engine. Use one of: ${ENGINE_NAMES.join(', ')}`
+      });
+    }
 
     const inviteData = {
       createdBy: req.user.id,
@@ -20,6 +29,7 @@ router.post('/create', protect, authorize('admin'), async (req, res) => {
     };
 
     if (maxUses) inviteData.maxUses = maxUses;
+    if (masteryEngine) inviteData.masteryEngine = masteryEngine;
     if (expiresInDays) {
       const expiryDate = new Date();
       expiryDate.setDate(expiryDate.getDate() + expiresInDays);
@@ -39,6 +49,7 @@ router.post('/create', protect, authorize('admin'), async (req, res) => {
         maxUses: inviteLink.maxUses,
         usedCount: inviteLink.usedCount,
         metadata: inviteLink.metadata,
+        masteryEngine: inviteLink.masteryEngine,
         createdAt: inviteLink.createdAt
       }
     });
@@ -117,6 +128,7 @@ router.get('/list', protect, authorize('admin'), async (req, res) => {
           maxUses: link.maxUses,
           usedCount: link.usedCount,
           metadata: link.metadata,
+          masteryEngine: link.masteryEngine,
           usedBy: link.usedBy,
           createdAt: link.createdAt,
           topPerformers: topPerformersWithNames
@@ -221,17 +233,13 @@ router.post('/join', async (req, res) => {
     // Record invite usage
     await inviteLink.recordUse(user._id);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE || '7d' }
-    );
+    const { token, refreshToken } = await startSession(user, req);
 
     res.status(201).json({
       success: true,
       user: user.getPublicProfile(),
-      token
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Join with invite error:', error);
@@ -274,21 +282,26 @@ router.post('/quick-login', async (req, res) => {
       });
     }
 
+    // The session token stands in for a password; finish with POST /api/auth/login/2fa
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: issueLoginChallenge(user)
+      });
+    }
+
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate new JWT
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE || '7d' }
-    );
+    const { token, refreshToken } = await startSession(user, req);
 
     res.json({
       success: true,
       user: user.getPublicProfile(),
-      token
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Quick login error:', error);
@@ -1,145 +1,138 @@
 import express from 'express';
 import Progress from '../models/Progress.js';
 import Attempt from '../models/Attempt.js';
-import User from '../models/User.js';
+import HintUsage from '../models/HintUsage.js';
 import { protect } from '../middleware/auth.js';
-import { readFile } from 'fs/promises';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { getQuestion } from '../services/content.js';
+import { recordAnswer } from '../services/answers.js';
+import { latencyFromToken } from '../services/answerTiming.js';
+import { CONFIDENCE_LEVELS } from '../services/mastery/index.js';
+import { isInOpenExam } from '../services/exams.js';
 
 const router = express.Router();
 
-// Load subjects for answer verification
-let subjectsData = null;
-const loadSubjects = async () => {
-  if (!subjectsData) {
-    const dataPath = join(__dirname, '../../data/subjects.json');
-    const data = await readFile(dataPath, 'utf-8');
-    subjectsData = JSON.parse(data);
-  }
-  return subjectsData;
-};
-
 // @route   POST /api/progress/submit-answer
-// @desc    Submit an answer and update progress
+// @desc    Submit an answer and update progress. Latency is measured from the
+//          servedToken the question was served with; without one it is unknown.
+//          confidence (low | medium | high) is optional.
 // @access  Private
 router.post('/submit-answer', protect, async (req, res) => {
   try {
-    const { topicId, questionId, userAnswer, timeTaken } = req.body;
-    const userId = req.user._id;
-
-    // Load subjects to verify answer
-    const data = await loadSubjects();
-    let correctAnswer = null;
-    let topicTitle = null;
-    let subjectName = null;
-
-    for (const subject of data.subjects) {
-      const topic = subject.topics.find(t => t.topic_id === topicId);
-      if (topic) {
-        subjectName = subject.subject_name;
-        topicTitle = topic.title;
-        // Extract question index from questionId
-        const qIndex = parseInt(questionId.split('_Q')[1]) - 1;
-        correctAnswer = topic.questions[qIndex]?.answer;
-        break;
-      }
+    const { topicId, questionId, userAnswer, servedToken, confidence } = req.body;
+    const answeredAt = new Date();
+
+    if (typeof questionId !== 'string' || typeof topicId !== 'string' || userAnswer === undefined || userAnswer === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide topicId, questionId and userAnswer'
+      });
+    }
+
+    if (confidence !== undefined && confidence !== null && !CONFIDENCE_LEVELS.includes(confidence)) {
+      return res.status(400).json({
+        success: false,
+        message: `confidence must be one of: ${CONFIDENCE_LEVELS.join(', ')}`
+      });
     }
 
-    if (!correctAnswer) {
+    // Load question to verify answer; it must belong to the submitted topic
+    const question = await getQuestion(questionId);
+
+    if (!question || question.topicId !== topicId) {
       return res.status(404).json({
         success: false,
         message: 'Question not found'
       });
     }
 
-    const isCorrect = userAnswer.toUpperCase() === correctAnswer.toUpperCase();
+    if (await isInOpenExam(req.user._id, questionId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This question is part of an exam you are taking'
+      });
+    }
 
-    // Create attempt record
-    const attempt = await Attempt.create({
-      userId,
-      topicId,
-      questionId,
+    const { timeTaken, error } = latencyFromToken(servedToken, req.user._id, questionId, answeredAt);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { result } = await recordAnswer({
+      user: req.user,
+      question,
       userAnswer,
-      correctAnswer,
-      isCorrect,
       timeTaken,
-      timestamp: new Date()
+      confidence,
+      io: req.app.get('io')
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
     });
+  }
+});
+
+// @route   POST /api/progress/hint
+// @desc    Reveal the next hint for a question; used hints lower the credit for answering it
+// @access  Private
+router.post('/hint', protect, async (req, res) => {
+  try {
+    const { topicId, questionId } = req.body;
 
-    // Update or create progress record
-    let progress = await Progress.findOne({ userId, topicId });
+    if (typeof questionId !== 'string' || typeof topicId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide topicId and questionId'
+      });
+    }
 
-    if (!progress) {
-      progress = await Progress.create({
-        userId,
-        topicId,
-        subjectName,
-        topicTitle,
-        mastery: 0.2,
-        attempts: 0,
-        corrects: 0
+    const question = await getQuestion(questionId);
+
+    if (!question || question.topicId !== topicId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
       });
     }
 
-    // Update progress with EMA
-    const alpha = progress.emaAlpha;
-    const newMastery = alpha * (isCorrect ? 1 : 0) + (1 - alpha) * progress.mastery;
-
-    progress.mastery = newMastery;
-    progress.attempts += 1;
-    progress.corrects += isCorrect ? 1 : 0;
-    progress.lastReview = new Date();
-    await progress.save();
-
-    // Update user stats
-    const user = await User.findById(userId);
-    user.stats.totalAttempts += 1;
-    user.stats.totalCorrect += isCorrect ? 1 : 0;
-
-    // Update streak
-    const today = new Date().setHours(0, 0, 0, 0);
-    const lastStudy = user.stats.lastStudyDate ? new Date(user.stats.lastStudyDate).setHours(0, 0, 0, 0) : null;
-
-    if (lastStudy) {
-      const daysDiff = (today - lastStudy) / (1000 * 60 * 60 * 24);
-      if (daysDiff === 1) {
-        user.stats.currentStreak += 1;
-      } else if (daysDiff > 1) {
-        user.stats.currentStreak = 1;
-      }
-    } else {
-      user.stats.currentStreak = 1;
+    if (await isInOpenExam(req.user._id, questionId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This question is part of an exam you are taking'
+      });
     }
 
-    user.stats.longestStreak = Math.max(user.stats.longestStreak, user.stats.currentStreak);
-    user.stats.lastStudyDate = new Date();
-    await user.save();
+    const hints = question.hints || [];
+    const usage = await HintUsage.findOne({ userId: req.user._id, questionId });
+    const revealed = usage?.hintsUsed || 0;
 
-    // Emit real-time update via Socket.IO
-    const io = req.app.get('io');
-    io.to(`user-${userId}`).emit('progress-updated', {
-      topicId,
-      mastery: progress.mastery,
-      attempts: progress.attempts,
-      corrects: progress.corrects
-    });
+    if (revealed >= hints.length) {
+      return res.status(400).json({
+        success: false,
+        message: hints.length === 0 ? 'This question has no hints' : 'All hints have already been shown'
+      });
+    }
+
+    const updated = await HintUsage.findOneAndUpdate(
+      { userId: req.user._id, questionId },
+      { $inc: { hintsUsed: 1 } },
+      { upsert: true, new: true }
+    );
 
     res.json({
       success: true,
-      data: {
-        isCorrect,
-        correctAnswer,
-        progress: {
-          mastery: progress.mastery,
-          attempts: progress.attempts,
-          corrects: progress.corrects
-        },
-        userStats: user.stats
-      }
+      hints: hints.slice(0, updated.hintsUsed),
+      hintsUsed: updated.hintsUsed,
+      hintCount: hints.length
     });
   } catch (error) {
     res.status(500).json({
@@ -178,6 +171,86 @@ router.get('/my-progress', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/progress/due
+// @desc    Get topics whose SM-2 review date has passed
+// @access  Private
+router.get('/due', protect, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const dueTopics = await Progress.find({
+      userId: req.user._id,
+      nextReview: { $ne: null, $lte: new Date() }
+    })
+      .sort({ nextReview: 1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      count: dueTopics.length,
+      dueTopics
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Share of answers a student who is well calibrated gets right at each confidence level
+const CALIBRATION_TARGETS = { low: 0.4, medium: 0.7, high: 0.9 };
+
+// @route   GET /api/progress/calibration?topicId=
+// @desc    Accuracy at each confidence level the user reported, against the
+//          accuracy that level claims
+// @access  Private
+router.get('/calibration', protect, async (req, res) => {
+  try {
+    const match = { userId: req.user._id, confidence: { $in: CONFIDENCE_LEVELS } };
+    if (typeof req.query.topicId === 'string') match.topicId = req.query.topicId;
+
+    const groups = await Attempt.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$confidence',
+          attempts: { $sum: 1 },
+          correct: { $sum: { $cond: ['$isCorrect', 1, 0] } }
+        }
+      }
+    ]);
+
+    const byLevel = new Map(groups.map(g => [g._id, g]));
+    const levels = CONFIDENCE_LEVELS.map((confidence) => {
+      const { attempts = 0, correct = 0 } = byLevel.get(confidence) || {};
+      return {
+        confidence,
+        attempts,
+        correct,
+        accuracy: attempts > 0 ? correct / attempts : null,
+        target: CALIBRATION_TARGETS[confidence]
+      };
+    });
+    const high = levels.find(l => l.confidence === 'high');
+
+    res.json({
+      success: true,
+      data: {
+        levels,
+        rated: levels.reduce((sum, l) => sum + l.attempts, 0),
+        // Confident but wrong: likely misconceptions
+        misconceptions: high.attempts - high.correct
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // @route   GET /api/progress/topic/:topicId
 // @desc    Get progress for a specific topic
 // @access  Private
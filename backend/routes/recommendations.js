@@ -2,34 +2,11 @@ import express from 'express';
 import Progress from '../models/Progress.js';
 import Attempt from '../models/Attempt.js';
 import { protect } from '../middleware/auth.js';
-import { readFile } from 'fs/promises';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { getEngine } from '../services/mastery/index.js';
+import { listTopics } from '../services/content.js';
 
 const router = express.Router();
 
-// Load all topic IDs
-const getAllTopicIds = async () => {
-  const dataPath = join(__dirname, '../../data/subjects.json');
-  const data = await readFile(dataPath, 'utf-8');
-  const subjects = JSON.parse(data).subjects;
-
-  const topics = [];
-  subjects.forEach(subject => {
-    subject.topics.forEach(topic => {
-      topics.push({
-        topicId: topic.topic_id,
-        title: topic.title,
-        subjectName: subject.subject_name
-      });
-    });
-  });
-  return topics;
-};
-
 // @route   GET /api/recommendations
 // @desc    Get personalized topic recommendations
 // @access  Private
@@ -39,7 +16,7 @@ router.get('/', protect, async (req, res) => {
     const { n = 3 } = req.query;
 
     // Get all topics
-    const allTopics = await getAllTopicIds();
+    const allTopics = await listTopics();
 
     // Get user's progress
     const userProgress = await Progress.find({ userId });
@@ -55,7 +32,8 @@ router.get('/', protect, async (req, res) => {
 
     for (const topic of allTopics) {
       const progress = progressMap.get(topic.topicId);
-      const mastery = progress ? progress.mastery : 0.2;
+      // Mastery as of now, with forgetting applied by the topic's engine
+      const mastery = progress ? getEngine(progress.masteryEngine).decay(progress, now) : 0.2;
       const lastReview = progress ? progress.lastReview : null;
 
       // Calculate days since last review
@@ -135,19 +113,15 @@ router.get('/weak-areas', protect, async (req, res) => {
 });
 
 // @route   GET /api/recommendations/ready-for-review
-// @desc    Get topics that haven't been reviewed recently
+// @desc    Get topics whose scheduled review date has passed, most overdue first
 // @access  Private
 router.get('/ready-for-review', protect, async (req, res) => {
   try {
-    const userId = req.user._id;
-    const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-
     const reviewTopics = await Progress.find({
-      userId,
-      mastery: { $gte: 0.5 },
-      lastReview: { $lt: sevenDaysAgo }
+      userId: req.user._id,
+      nextReview: { $ne: null, $lte: new Date() }
     })
-      .sort({ lastReview: 1 })
+      .sort({ nextReview: 1 })
       .limit(5);
 
     res.json({
@@ -0,0 +1,335 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import QuizSession from '../models/QuizSession.js';
+import { protect } from '../middleware/auth.js';
+import { getTopic, getQuestion } from '../services/content.js';
+import { STRATEGIES, getDefaultStrategy } from '../services/questionSelection.js';
+import { recordAnswer } from '../services/answers.js';
+import { latencyFromToken, answerLatency } from '../services/answerTiming.js';
+import { CONFIDENCE_LEVELS } from '../services/mastery/index.js';
+import { isInOpenExam } from '../services/exams.js';
+import {
+  currentMastery,
+  advanceSession,
+  sessionOptionOrder,
+  sessionQuestion,
+  summarizeSession,
+  serializeSession,
+  finishSession
+} from '../services/quizSessions.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// The requesting user's session from :id, or null
+const findSession = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return QuizSession.findOne({ _id: req.params.id, userId: req.user._id });
+};
+
+const sessionNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Session not found'
+});
+
+// @route   POST /api/quiz/sessions
+// @desc    Start a session on a topic, or resume the active one (body: topicId, strategy, restart)
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { topicId, restart } = req.body;
+    const strategy = req.body.strategy || getDefaultStrategy();
+
+    if (!STRATEGIES.includes(strategy)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown selection strategy. Use one of: ${STRATEGIES.join(', ')}`
+      });
+    }
+
+    const topic = typeof topicId === 'string' ? await getTopic(topicId) : null;
+    if (!topic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Topic not found'
+      });
+    }
+
+    const active = await QuizSession.findOne({ userId: req.user._id, topicId, status: 'active' });
+    if (active && !restart) {
+      return res.json({
+        success: true,
+        resumed: true,
+        session: serializeSession(active, topic, { question: sessionQuestion(active, topic, req.user) })
+      });
+    }
+    if (active) {
+      await finishSession(active);
+    }
+
+    const session = await QuizSession.create({
+      userId: req.user._id,
+      topicId,
+      strategy,
+      startMastery: await currentMastery(req.user._id, topicId)
+    });
+
+    res.status(201).json({
+      success: true,
+      resumed: false,
+      session: serializeSession(session, topic, { question: null })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/quiz/sessions?status=active
+// @desc    Get the current user's sessions, most recently used first
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { status, limit = 20 } = req.query;
+    const filter = { userId: req.user._id };
+    if (status) filter.status = status;
+
+    const sessions = await QuizSession.find(filter)
+      .sort({ updatedAt: -1 })
+      .limit(parseInt(limit));
+
+    const topics = new Map();
+    for (const topicId of new Set(sessions.map(s => s.topicId))) {
+      topics.set(topicId, await getTopic(topicId));
+    }
+
+    res.json({
+      success: true,
+      sessions: sessions.map(s => serializeSession(s, topics.get(s.topicId), {
+        ...(s.status === 'finished' && { summary: summarizeSession(s) })
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/quiz/sessions/:id
+// @desc    Get a session with its pending question, or its summary once finished
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const session = await findSession(req);
+    if (!session) return sessionNotFound(res);
+
+    const topic = await getTopic(session.topicId);
+
+    res.json({
+      success: true,
+      session: serializeSession(session, topic, session.status === 'finished'
+        ? { summary: summarizeSession(session) }
+        : { question: topic ? sessionQuestion(session, topic, req.user) : null })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/quiz/sessions/:id/next
+// @desc    Get the session's next question. Returns the pending one until it is
+//          answered; finishes the session when every question has been answered.
+// @access  Private
+router.post('/:id/next', async (req, res) => {
+  try {
+    const session = await findSession(req);
+    if (!session) return sessionNotFound(res);
+
+    if (session.status === 'finished') {
+      return res.status(400).json({
+        success: false,
+        message: 'This session is finished'
+      });
+    }
+
+    const topic = await getTopic(session.topicId);
+    if (!topic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Topic not found'
+      });
+    }
+
+    // A pending question that was deleted since, or is now in an exam the
+    // user has started, is replaced
+    let question = sessionQuestion(session, topic, req.user);
+    if (question && await isInOpenExam(req.user._id, session.currentQuestionId)) {
+      question = null;
+    }
+    if (!question) {
+      const next = await advanceSession(session, topic);
+
+      if (!next) {
+        const summary = await finishSession(session);
+        return res.json({
+          success: true,
+          completed: true,
+          message: 'You have completed all questions in this topic!',
+          session: serializeSession(session, topic, { summary })
+        });
+      }
+
+      await session.save();
+      question = sessionQuestion(session, topic, req.user);
+    }
+
+    res.json({
+      success: true,
+      completed: false,
+      session: serializeSession(session, topic),
+      question
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/quiz/sessions/:id/answer
+// @desc    Answer the session's pending question (body: userAnswer, servedToken, confidence)
+// @access  Private
+router.post('/:id/answer', async (req, res) => {
+  try {
+    const { userAnswer, servedToken, confidence } = req.body;
+    const answeredAt = new Date();
+
+    if (userAnswer === undefined || userAnswer === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide userAnswer'
+      });
+    }
+
+    if (confidence !== undefined && confidence !== null && !CONFIDENCE_LEVELS.includes(confidence)) {
+      return res.status(400).json({
+        success: false,
+        message: `confidence must be one of: ${CONFIDENCE_LEVELS.join(', ')}`
+      });
+    }
+
+    const existing = await findSession(req);
+    if (!existing) return sessionNotFound(res);
+
+    const questionId = existing.currentQuestionId;
+    if (questionId && await isInOpenExam(req.user._id, questionId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This question is part of an exam you are taking'
+      });
+    }
+
+    // The session knows when it served the question; servedToken is only
+    // needed for sessions started before servedAt was recorded
+    const { timeTaken, error } = existing.servedAt
+      ? { timeTaken: answerLatency(existing.servedAt, answeredAt) }
+      : latencyFromToken(servedToken, req.user._id, questionId, answeredAt);
+    if (questionId && error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Claim the pending question so a double submit can't record it twice
+    const session = questionId && await QuizSession.findOneAndUpdate(
+      { _id: existing._id, status: 'active', currentQuestionId: questionId },
+      { currentQuestionId: null, servedAt: null },
+      { new: true }
+    );
+
+    if (!session) {
+      return res.status(409).json({
+        success: false,
+        message: 'No question is waiting for an answer in this session'
+      });
+    }
+
+    const question = await getQuestion(questionId);
+    if (!question || question.topicId !== session.topicId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const { attempt, result } = await recordAnswer({
+      user: req.user,
+      question,
+      userAnswer,
+      optionOrder: sessionOptionOrder(session, questionId),
+      timeTaken,
+      confidence,
+      io: req.app.get('io')
+    });
+
+    session.answers.push({
+      questionId,
+      attemptId: attempt._id,
+      isCorrect: result.isCorrect,
+      credit: result.credit,
+      timeTaken: attempt.timeTaken,
+      answeredAt: attempt.timestamp
+    });
+    await session.save();
+
+    const topic = await getTopic(session.topicId);
+
+    res.json({
+      success: true,
+      data: result,
+      session: serializeSession(session, topic)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/quiz/sessions/:id/finish
+// @desc    End a session and get its summary (score, time, mastery change)
+// @access  Private
+router.post('/:id/finish', async (req, res) => {
+  try {
+    const session = await findSession(req);
+    if (!session) return sessionNotFound(res);
+
+    const summary = session.status === 'finished'
+      ? summarizeSession(session)
+      : await finishSession(session);
+    const topic = await getTopic(session.topicId);
+
+    res.json({
+      success: true,
+      session: serializeSession(session, topic, { summary })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
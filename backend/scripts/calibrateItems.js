@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { calibrateFromAttempts } from '../services/irt.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+dotenv.config({ path: join(__dirname, '../.env') });
+
+const calibrateItems = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    console.log('📐 Fitting 2PL IRT model over attempt history...');
+    const result = await calibrateFromAttempts();
+
+    console.log(`✅ Calibrated ${result.items} questions and ${result.abilities} user/topic abilities`);
+    console.log(`   ${result.responses} responses, ${result.iterations} iterations`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error calibrating items:', error);
+    process.exit(1);
+  }
+};
+
+calibrateItems();
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { readFile } from 'fs/promises';
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { parseFile } from '../services/formats/subjectsJson.js';
+import { importContent } from '../services/contentTransfer.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+dotenv.config({ path: join(__dirname, '../.env') });
+
+// Usage: npm run import-content [-- path/to/subjects.json]
+// Goes through the same import as the admin Content page: questions are
+// matched by question_id, so files exported from the app update in place.
+const dataPath = process.argv[2]
+  ? resolve(process.argv[2])
+  : join(__dirname, '../../data/subjects.json');
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const items = parseFile(await readFile(dataPath));
+    console.log(`📚 Importing question bank from ${dataPath}`);
+
+    const { imported, summary, rows } = await importContent(items);
+
+    if (!imported) {
+      rows.filter(row => row.errors.length > 0).forEach(row => {
+        console.error(`❌ ${row.ref}: ${row.errors.join('; ')}`);
+      });
+      console.error(`❌ Nothing imported: ${summary.invalid} of ${summary.total} questions have errors`);
+      process.exit(1);
+    }
+
+    console.log(`✅ Created ${summary.create}, updated ${summary.update}, unchanged ${summary.unchanged} questions`);
+    if (summary.newSubjects.length > 0) console.log(`   New subjects: ${summary.newSubjects.join(', ')}`);
+    if (summary.newTopics.length > 0) console.log(`   New topics: ${summary.newTopics.join(', ')}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error importing question bank:', error);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import Topic from '../models/Topic.js';
+import Question from '../models/Question.js';
+import Attempt from '../models/Attempt.js';
+import ItemParams from '../models/ItemParams.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+dotenv.config({ path: join(__dirname, '../.env') });
+
+// topicIds are free text, so they are matched literally inside the pattern
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// One-off migration from positional IDs (`${topicId}_Q${n}`) to stable questionIds.
+// Run it before editing or reordering any question, since positions are what
+// map old attempts to questions. Safe to re-run: already-migrated rows are skipped.
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    // Questions stored before questionId existed have no value yet
+    const missing = await Question.find({ questionId: { $exists: false } }).select('_id');
+    for (const question of missing) {
+      await Question.collection.updateOne(
+        { _id: question._id },
+        { $set: { questionId: crypto.randomUUID() } }
+      );
+    }
+    console.log(`🆔 Assigned questionIds to ${missing.length} questions`);
+
+    let attemptsUpdated = 0;
+    let itemsUpdated = 0;
+    const unmatched = new Set();
+
+    const topics = await Topic.find().select('_id topicId');
+    for (const topic of topics) {
+      const questions = await Question.find({ topic: topic._id })
+        .sort({ order: 1, createdAt: 1 })
+        .select('questionId');
+
+      for (const [idx, question] of questions.entries()) {
+        const legacyId = `${topic.topicId}_Q${idx + 1}`;
+
+        const attempts = await Attempt.updateMany(
+          { topicId: topic.topicId, questionId: legacyId },
+          { $set: { questionId: question.questionId } }
+        );
+        attemptsUpdated += attempts.modifiedCount;
+
+        const items = await ItemParams.updateMany(
+          { questionId: legacyId },
+          { $set: { questionId: question.questionId } }
+        );
+        itemsUpdated += items.modifiedCount;
+      }
+
+      // Positional IDs beyond the current question count can't be mapped
+      const leftovers = await Attempt.distinct('questionId', {
+        topicId: topic.topicId,
+        questionId: { $regex: `^${escapeRegex(topic.topicId)}_Q\\d+$` }
+      });
+      leftovers.forEach(id => unmatched.add(id));
+    }
+
+    console.log(`✅ Rewrote ${attemptsUpdated} attempts and ${itemsUpdated} item calibrations`);
+    if (unmatched.size > 0) {
+      console.log(`⚠️  ${unmatched.size} legacy question IDs had no matching question:`, [...unmatched].join(', '));
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating question IDs:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
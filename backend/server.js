@@ -21,9 +21,14 @@ import authRoutes from './routes/auth.js';
 import inviteRoutes from './routes/invite.js';
 import userRoutes from './routes/users.js';
 import adminRoutes from './routes/admin.js';
+import contentRoutes from './routes/content.js';
+import examPaperRoutes from './routes/examPapers.js';
+import examRoutes from './routes/exams.js';
 import quizRoutes from './routes/quiz.js';
+import sessionRoutes from './routes/sessions.js';
 import progressRoutes from './routes/progress.js';
 import recommendationRoutes from './routes/recommendations.js';
+import { mountStorage } from './services/storage/index.js';
 
 const app = express();
 const httpServer = createServer(app);
@@ -68,11 +73,18 @@ mongoose.connect(process.env.MONGODB_URI)
 app.use('/api/auth', authRoutes);
 app.use('/api/invite', inviteRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/admin/content', contentRoutes);
+app.use('/api/admin/exams', examPaperRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/quiz/sessions', sessionRoutes);
 app.use('/api/quiz', quizRoutes);
+app.use('/api/exams', examRoutes);
 app.use('/api/progress', progressRoutes);
 app.use('/api/recommendations', recommendationRoutes);
 
+// Uploaded question media
+mountStorage(app);
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date() });
@@ -0,0 +1,104 @@
+import User from '../models/User.js';
+import Progress from '../models/Progress.js';
+import Attempt from '../models/Attempt.js';
+import AbilityEstimate from '../models/AbilityEstimate.js';
+import HintUsage from '../models/HintUsage.js';
+import QuizSession from '../models/QuizSession.js';
+import ExamAttempt from '../models/ExamAttempt.js';
+import InviteLink from '../models/InviteLink.js';
+import { finishSession } from './quizSessions.js';
+import { closeOpenAttempts } from './exams.js';
+import { deleteUserData } from './userData.js';
+
+// Folding a guest account (joined through an invite link, no email or
+// password) into an existing account, so its learning history isn't lost.
+// There is no transaction: each step is safe to run again if one fails.
+
+// Fields that carry a topic's mastery and review schedule
+const PROGRESS_STATE = ['mastery', 'masteryEngine', 'emaAlpha', 'easinessFactor', 'interval', 'repetitions', 'lastReview', 'nextReview'];
+
+// Give the target the guest's documents of a model that is unique per
+// (userId, key). Where both have one, the target's is kept.
+const moveUnique = async (Model, guestId, targetId, key) => {
+  const taken = await Model.distinct(key, { userId: targetId });
+  await Model.deleteMany({ userId: guestId, [key]: { $in: taken } });
+  await Model.updateMany({ userId: guestId }, { userId: targetId });
+};
+
+// Topic progress both accounts have is combined: attempt counts add up and the
+// mastery state comes from whichever practised the topic most recently
+const mergeProgress = async (guestId, targetId) => {
+  const guestProgress = await Progress.find({ userId: guestId });
+  let combined = 0;
+
+  for (const progress of guestProgress) {
+    const existing = await Progress.findOne({ userId: targetId, topicId: progress.topicId });
+    if (!existing) continue;
+
+    existing.attempts += progress.attempts;
+    existing.corrects += progress.corrects;
+    if (progress.lastReview > (existing.lastReview || 0)) {
+      PROGRESS_STATE.forEach(field => { existing[field] = progress[field]; });
+    }
+    await existing.save();
+    await progress.deleteOne();
+    combined++;
+  }
+
+  await Progress.updateMany({ userId: guestId }, { userId: targetId });
+  return { topics: guestProgress.length, combined };
+};
+
+const mergeStats = (guestStats, targetStats) => {
+  const guestIsLatest = guestStats.lastStudyDate > (targetStats.lastStudyDate || 0);
+  const latest = guestIsLatest ? guestStats : targetStats;
+
+  return {
+    totalAttempts: targetStats.totalAttempts + guestStats.totalAttempts,
+    totalCorrect: targetStats.totalCorrect + guestStats.totalCorrect,
+    currentStreak: latest.currentStreak,
+    longestStreak: Math.max(targetStats.longestStreak, guestStats.longestStreak),
+    lastStudyDate: latest.lastStudyDate
+  };
+};
+
+// Move everything the guest has done to target and delete the guest.
+// Returns { attempts, topics, combined } for the response.
+export const mergeGuestAccount = async (guest, target) => {
+  // Unfinished quizzes are closed first so the target's own stay the ones to
+  // resume, and unsubmitted exams are graded so no timer carries over. Grading
+  // applies to the guest's mastery, which is merged below.
+  const activeSessions = await QuizSession.find({ userId: guest._id, status: 'active' });
+  for (const session of activeSessions) {
+    await finishSession(session);
+  }
+  await closeOpenAttempts(guest._id);
+  await QuizSession.updateMany({ userId: guest._id }, { userId: target._id });
+  await ExamAttempt.updateMany({ userId: guest._id }, { userId: target._id });
+
+  const { modifiedCount: attempts } = await Attempt.updateMany({ userId: guest._id }, { userId: target._id });
+  const { topics, combined } = await mergeProgress(guest._id, target._id);
+
+  // Abilities are re-estimated from the merged attempts at the next calibration
+  await moveUnique(AbilityEstimate, guest._id, target._id, 'topicId');
+  await moveUnique(HintUsage, guest._id, target._id, 'questionId');
+
+  // Keep invite analytics pointing at the account the student now uses
+  await InviteLink.updateMany(
+    { 'usedBy.userId': guest._id },
+    { $set: { 'usedBy.$[use].userId': target._id } },
+    { arrayFilters: [{ 'use.userId': guest._id }] }
+  );
+
+  target.stats = mergeStats(guest.stats, target.stats);
+  // An invite may have put the guest in a cohort with its own mastery engine
+  target.masteryEngine = target.masteryEngine || guest.masteryEngine;
+  target.usedInviteCode = target.usedInviteCode || guest.usedInviteCode;
+  await target.save();
+
+  // Whatever wasn't moved (sessions, conflicting duplicates) goes with the guest
+  await deleteUserData(guest._id);
+  await User.deleteOne({ _id: guest._id });
+
+  return { attempts, topics, combined };
+};
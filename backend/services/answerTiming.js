@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+
+// Answer latency is measured on the server: every served question carries a
+// token recording when it was served, signed so the client can't move it.
+// On submit the token gives back the serve time and the latency is
+// submit time minus serve time.
+
+// Latencies outside this range are not plausible answers (a script, or a
+// student who walked away) and are recorded as unknown
+export const MIN_ANSWER_SECONDS = 1;
+export const MAX_ANSWER_SECONDS = 30 * 60;
+
+const sign = (userId, questionId, servedAt) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`${userId}:${questionId}:${servedAt}`)
+  .digest('hex');
+
+// Token to send along with a question served to userId now
+export const issueServedToken = (userId, questionId, servedAt = Date.now()) => (
+  `${servedAt}.${sign(userId, questionId, servedAt)}`
+);
+
+// When the question was served to userId, or null if the token is malformed,
+// forged or was issued for another user or question
+export const readServedToken = (token, userId, questionId) => {
+  if (typeof token !== 'string') return null;
+
+  const [servedAt, signature] = token.split('.');
+  if (!/^\d+$/.test(servedAt) || !/^[0-9a-f]{64}$/.test(signature || '')) return null;
+
+  const expected = sign(userId, questionId, servedAt);
+  if (!crypto.timingSafeEqual(Buffer.from(signature, 'hex'), Buffer.from(expected, 'hex'))) return null;
+
+  return new Date(Number(servedAt));
+};
+
+// Seconds between serving and answering, or null when implausible
+export const answerLatency = (servedAt, answeredAt = new Date()) => {
+  const seconds = (answeredAt - servedAt) / 1000;
+  if (seconds < MIN_ANSWER_SECONDS || seconds > MAX_ANSWER_SECONDS) return null;
+  return Math.round(seconds * 10) / 10;
+};
+
+// Check a submitted servedToken. Returns { timeTaken } (null when the token is
+// missing or the latency implausible) or { error } when the token is invalid.
+export const latencyFromToken = (token, userId, questionId, answeredAt = new Date()) => {
+  if (token === undefined || token === null) return { timeTaken: null };
+
+  const servedAt = readServedToken(token, userId, questionId);
+  if (!servedAt) return { error: 'Invalid servedToken for this question' };
+
+  return { timeTaken: answerLatency(servedAt, answeredAt) };
+};
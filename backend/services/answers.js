@@ -0,0 +1,162 @@
+import Progress from '../models/Progress.js';
+import Attempt from '../models/Attempt.js';
+import User from '../models/User.js';
+import HintUsage from '../models/HintUsage.js';
+import {
+  getEngine,
+  resolveEngineName,
+  loadEngineParams,
+  applyAnswer,
+  creditForAnswer,
+  weightForAnswer
+} from './mastery/index.js';
+import { getTopic, getCurrentRevisionId } from './content.js';
+import { gradeAnswer, formatAnswer } from './questionTypes.js';
+import { displayQuestion, canonicalAnswer } from './optionShuffle.js';
+
+// Apply one graded answer to the user's mastery of a topic with the engine
+// configured for them, creating the Progress record on first use.
+// topic is a loaded topic (see getTopic); returns the saved Progress.
+export const applyToMastery = async (user, topic, { isCorrect, credit, weight = 1, timestamp }) => {
+  let progress = await Progress.findOne({ userId: user._id, topicId: topic.topicId });
+
+  if (!progress) {
+    progress = await Progress.create({
+      userId: user._id,
+      topicId: topic.topicId,
+      subjectName: topic.subjectName,
+      topicTitle: topic.title,
+      mastery: 0.2,
+      attempts: 0,
+      corrects: 0
+    });
+  }
+
+  const engine = getEngine(await resolveEngineName(user));
+  const params = await loadEngineParams(engine, topic.topicId);
+  applyAnswer(progress, engine, { isCorrect, credit, weight, timestamp }, params);
+
+  progress.attempts += 1;
+  progress.corrects += isCorrect ? 1 : 0;
+  progress.lastReview = timestamp;
+  await progress.save();
+
+  return progress;
+};
+
+// Grade an answer and record everything that follows from it: the Attempt,
+// the topic's mastery, the user's stats and streak, and a progress-updated
+// socket event. Shared by one-off answers and quiz sessions.
+//
+// question is a loaded question with its topicId (see getQuestion); timeTaken
+// is the server-measured latency in seconds (see answerTiming.js) or null;
+// confidence is the level the student reported (see CONFIDENCE_LEVELS) or null.
+// With an optionOrder (see optionShuffle.js) userAnswer refers to the options as
+// shown: it is graded and stored in authored terms, the shown answer is kept
+// alongside, and the feedback uses shown letters.
+// Returns { attempt, result } where result is the response payload.
+export const recordAnswer = async ({
+  user,
+  question,
+  userAnswer,
+  optionOrder = null,
+  timeTaken = null,
+  confidence = null,
+  io = null
+}) => {
+  const userId = user._id;
+  const { topicId, questionId } = question;
+
+  const topic = await getTopic(topicId);
+  const correctAnswer = question.answer;
+  const revisionId = await getCurrentRevisionId(question);
+
+  const shown = displayQuestion(question, optionOrder);
+  const answer = canonicalAnswer(question, optionOrder, userAnswer);
+  const isCorrect = gradeAnswer(question, answer);
+
+  // Hints revealed for this question since it was last answered
+  const hintUsage = await HintUsage.findOneAndDelete({ userId, questionId });
+  const hintsUsed = hintUsage?.hintsUsed || 0;
+
+  // Create attempt record
+  const attempt = await Attempt.create({
+    userId,
+    topicId,
+    questionId,
+    revisionId,
+    userAnswer: answer,
+    correctAnswer,
+    ...(shown !== question && { displayedAnswer: userAnswer, optionOrder }),
+    isCorrect,
+    hintsUsed,
+    timeTaken,
+    confidence,
+    timestamp: new Date()
+  });
+
+  // Update mastery with the engine configured for this user
+  const now = new Date();
+  const credit = creditForAnswer(isCorrect, { hintsUsed, timeTaken, confidence });
+  const weight = weightForAnswer(isCorrect, { confidence });
+  const progress = await applyToMastery(user, topic, { isCorrect, credit, weight, timestamp: now });
+
+  // Update user stats
+  const account = await User.findById(userId);
+  account.stats.totalAttempts += 1;
+  account.stats.totalCorrect += isCorrect ? 1 : 0;
+
+  // Update streak
+  const today = new Date().setHours(0, 0, 0, 0);
+  const lastStudy = account.stats.lastStudyDate ? new Date(account.stats.lastStudyDate).setHours(0, 0, 0, 0) : null;
+
+  if (lastStudy) {
+    const daysDiff = (today - lastStudy) / (1000 * 60 * 60 * 24);
+    if (daysDiff === 1) {
+      account.stats.currentStreak += 1;
+    } else if (daysDiff > 1) {
+      account.stats.currentStreak = 1;
+    }
+  } else {
+    account.stats.currentStreak = 1;
+  }
+
+  account.stats.longestStreak = Math.max(account.stats.longestStreak, account.stats.currentStreak);
+  account.stats.lastStudyDate = new Date();
+  await account.save();
+
+  // Emit real-time update via Socket.IO
+  io?.to(`user-${userId}`).emit('progress-updated', {
+    topicId,
+    mastery: progress.mastery,
+    attempts: progress.attempts,
+    corrects: progress.corrects,
+    masteryEngine: progress.masteryEngine,
+    nextReview: progress.nextReview
+  });
+
+  return {
+    attempt,
+    result: {
+      isCorrect,
+      correctAnswer: shown.answer,
+      correctAnswerText: formatAnswer(shown, shown.answer),
+      explanation: question.explanation || '',
+      hintsUsed,
+      timeTaken,
+      confidence,
+      credit,
+      progress: {
+        mastery: progress.mastery,
+        attempts: progress.attempts,
+        corrects: progress.corrects,
+        masteryEngine: progress.masteryEngine,
+        easinessFactor: progress.easinessFactor,
+        interval: progress.interval,
+        repetitions: progress.repetitions,
+        nextReview: progress.nextReview
+      },
+      userStats: account.stats
+    }
+  };
+};
@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { generateToken } from '../middleware/auth.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A rotated-out refresh token presented within this window is taken to be a
+// race between tabs refreshing at once, not theft
+const REUSE_GRACE_MS = 30 * 1000;
+
+const refreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// Sign a user in from this request: creates the session and returns the
+// { token, refreshToken } pair to send back
+export const startSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + refreshTokenDays() * DAY_MS),
+    userAgent: req.get('user-agent') || '',
+    ip: req.ip || ''
+  });
+
+  return { token: generateToken(user._id, session._id), refreshToken };
+};
+
+// Exchange a refresh token for a new pair, rotating it. Returns
+// { token, refreshToken } or { error } when it can't be used.
+export const refreshSession = async (refreshToken) => {
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    return { error: 'Refresh token required' };
+  }
+
+  const hash = hashToken(refreshToken);
+  const next = newRefreshToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      refreshTokenHash: hashToken(next),
+      previousTokenHash: hash,
+      lastUsedAt: now,
+      expiresAt: new Date(now.getTime() + refreshTokenDays() * DAY_MS)
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // An old token coming back after rotation means someone else holds it
+    const rotated = await Session.findOne({ previousTokenHash: hash, revokedAt: null });
+    if (rotated && now - rotated.lastUsedAt > REUSE_GRACE_MS) {
+      await revokeSession(rotated, 'refresh-token-reuse');
+      return { error: 'Refresh token was already used; the session has been revoked' };
+    }
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || !user.isActive) {
+    await revokeSession(session, 'user-inactive');
+    return { error: 'User account is deactivated' };
+  }
+
+  return { token: generateToken(user._id, session._id), refreshToken: next };
+};
+
+export const revokeSession = (session, reason = 'logout') => (
+  Session.updateOne({ _id: session._id, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason })
+);
+
+// Sign out the session a refresh token belongs to; unknown tokens are ignored
+export const revokeByRefreshToken = async (refreshToken, reason = 'logout') => {
+  if (typeof refreshToken !== 'string' || !refreshToken) return null;
+
+  return Session.findOneAndUpdate(
+    { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Sign a user out everywhere, or everywhere but exceptSessionId
+export const revokeUserSessions = (userId, reason, exceptSessionId = null) => (
+  Session.updateMany(
+    { userId, revokedAt: null, ...(exceptSessionId && { _id: { $ne: exceptSessionId } }) },
+    { revokedAt: new Date(), revokedReason: reason }
+  )
+);
+
+// Sessions a user is still signed in with, most recently used first
+export const listLiveSessions = (userId) => (
+  Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastUsedAt: -1 })
+);
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//]
+];
+
+const SYSTEMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+// A readable device name such as "Chrome on Windows" from a user agent
+export const describeDevice = (userAgent = '') => {
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
+
+// Session as listed to its user or an admin. lastSeen is the last token
+// refresh, so it lags real activity by up to the access token lifetime.
+export const serializeSession = (session, currentSessionId = null) => ({
+  id: session._id,
+  device: describeDevice(session.userAgent),
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeen: session.lastUsedAt,
+  current: !!currentSessionId && session._id.equals(currentSessionId)
+});
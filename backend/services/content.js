@@ -0,0 +1,114 @@
+import Subject from '../models/Subject.js';
+import Topic from '../models/Topic.js';
+import Question from '../models/Question.js';
+import QuestionRevision from '../models/QuestionRevision.js';
+
+// Single read path for the question bank. Every route that needs subjects,
+// topics or questions goes through here instead of reading subjects.json.
+
+const bySortOrder = { order: 1, createdAt: 1 };
+
+// What a question needs to render its attachments
+export const MEDIA_FIELDS = 'url alt contentType originalName';
+
+// All subjects with their topics (no questions)
+export const listSubjects = async () => {
+  const subjects = await Subject.find().sort(bySortOrder).lean();
+  const topics = await Topic.find().sort(bySortOrder).lean();
+  const counts = await Question.aggregate([
+    { $group: { _id: '$topic', count: { $sum: 1 } } }
+  ]);
+  const countByTopic = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+  return subjects.map(subject => ({
+    ...subject,
+    topics: topics
+      .filter(t => t.subject.toString() === subject._id.toString())
+      .map(t => ({ ...t, questionCount: countByTopic.get(t._id.toString()) || 0 }))
+  }));
+};
+
+export const getSubjectBySlug = async (slug) => {
+  const subjects = await listSubjects();
+  return subjects.find(s => s.slug === slug) || null;
+};
+
+// Flat list of every topic with its subject name
+export const listTopics = async () => {
+  const subjects = await listSubjects();
+  return subjects.flatMap(subject => subject.topics.map(topic => ({
+    topicId: topic.topicId,
+    title: topic.title,
+    subjectName: subject.name
+  })));
+};
+
+// One topic with its questions in authored order, or null
+export const getTopic = async (topicId) => {
+  const topic = await Topic.findOne({ topicId }).populate('subject', 'name slug').lean();
+  if (!topic) return null;
+
+  const questions = await Question.find({ topic: topic._id })
+    .sort(bySortOrder)
+    .populate('media', MEDIA_FIELDS)
+    .lean();
+
+  return {
+    ...topic,
+    subjectName: topic.subject?.name,
+    questions
+  };
+};
+
+// One question by its stable ID, with the public topicId it belongs to, or null
+export const getQuestion = async (questionId) => {
+  const question = await Question.findOne({ questionId })
+    .populate('topic', 'topicId')
+    .populate('media', MEDIA_FIELDS)
+    .lean();
+  if (!question) return null;
+
+  return { ...question, topicId: question.topic?.topicId };
+};
+
+// Fields that make up what a student sees or how it is graded;
+// changing any of them is a new revision
+export const REVISIONED_FIELDS = [
+  'type', 'text', 'options', 'matches', 'answer', 'tolerance', 'pattern', 'caseSensitive', 'explanation', 'hints', 'media'
+];
+
+// Media as plain ids, whether or not the question was loaded with media populated
+const mediaIds = (media = []) => media.map(m => (m?._id ? m._id.toString() : m?.toString()));
+
+export const hasContentChanges = (question, update) => REVISIONED_FIELDS.some(field => {
+  if (update[field] === undefined) return false;
+  if (field === 'media') return JSON.stringify(mediaIds(update.media)) !== JSON.stringify(mediaIds(question.media));
+  return JSON.stringify(update[field]) !== JSON.stringify(question[field]);
+});
+
+// Snapshot a saved question as its next revision and point the question at it
+export const recordRevision = async (question, editedBy = null) => {
+  const revision = await QuestionRevision.create({
+    questionId: question.questionId,
+    revision: (question.revision || 0) + 1,
+    ...Object.fromEntries(REVISIONED_FIELDS.map(field => [field, question[field]])),
+    media: mediaIds(question.media),
+    editedBy
+  });
+
+  question.currentRevision = revision._id;
+  question.revision = revision.revision;
+  await Question.updateOne(
+    { _id: question._id },
+    { currentRevision: revision._id, revision: revision.revision }
+  );
+
+  return revision;
+};
+
+// Current revision of a question, snapshotting questions created before versioning
+export const getCurrentRevisionId = async (question) => {
+  if (question.currentRevision) return question.currentRevision;
+  const revision = await recordRevision(question);
+  return revision._id;
+};
@@ -0,0 +1,201 @@
+import mongoose from 'mongoose';
+import Subject from '../models/Subject.js';
+import Topic from '../models/Topic.js';
+import Question from '../models/Question.js';
+import { hasContentChanges, recordRevision, REVISIONED_FIELDS } from './content.js';
+import { sanitizeQuestionContent } from './markdown.js';
+import { isQuestionId } from './formats/common.js';
+
+// Bulk import and export of the question bank. File formats live in
+// services/formats; this module only deals with the common item shape.
+
+const bySortOrder = { order: 1, createdAt: 1 };
+
+// Question bank as the export tree, optionally limited to one subject slug or topicId
+export const exportContent = async ({ subject, topic } = {}) => {
+  const topicFilter = {};
+  const subjectFilter = {};
+
+  if (topic) {
+    const found = await Topic.findOne({ topicId: topic }).lean();
+    if (!found) return null;
+    topicFilter._id = found._id;
+    subjectFilter._id = found.subject;
+  } else if (subject) {
+    const found = await Subject.findOne({ slug: subject }).lean();
+    if (!found) return null;
+    subjectFilter._id = found._id;
+  }
+
+  const subjects = await Subject.find(subjectFilter).sort(bySortOrder).lean();
+  const topics = await Topic.find({ ...topicFilter, subject: { $in: subjects.map(s => s._id) } })
+    .sort(bySortOrder)
+    .lean();
+  const questions = await Question.find({ topic: { $in: topics.map(t => t._id) } })
+    .sort(bySortOrder)
+    .lean();
+
+  return subjects.map(s => ({
+    name: s.name,
+    slug: s.slug,
+    topics: topics
+      .filter(t => t.subject.toString() === s._id.toString())
+      .map(t => ({
+        topicId: t.topicId,
+        title: t.title,
+        questions: questions.filter(q => q.topic.toString() === t._id.toString())
+      }))
+  })).filter(s => s.topics.length > 0 || !topic);
+};
+
+// Schema validation messages for question content, without saving
+const validationErrors = async (content) => {
+  try {
+    await new Question({ topic: new mongoose.Types.ObjectId(), ...content }).validate();
+    return [];
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    return Object.values(error.errors).map(e => e.message);
+  }
+};
+
+// Validate parsed items against the current question bank and, unless dryRun
+// is set, apply them. Items without a subject or topic take the given defaults
+// (a subject slug and a topicId). Questions whose questionId already exists are
+// updated in place; everything else is appended to its topic, creating missing
+// topics and subjects along the way. Nothing is written when any item has errors.
+//
+// Returns { imported, summary, rows } with one row per item:
+//   { ref, topicId, questionId, action: 'create' | 'update' | 'unchanged' | null, errors }
+export const importContent = async (items, { dryRun = false, subject = null, topic = null, editedBy = null } = {}) => {
+  const subjects = new Map();
+  const topics = new Map();
+  const seenQuestionIds = new Set();
+  const plans = [];
+
+  const findSubject = async (slug) => {
+    if (!subjects.has(slug)) subjects.set(slug, await Subject.findOne({ slug }));
+    return subjects.get(slug);
+  };
+  const findTopic = async (topicId) => {
+    if (!topics.has(topicId)) topics.set(topicId, await Topic.findOne({ topicId }));
+    return topics.get(topicId);
+  };
+
+  for (const item of items) {
+    const errors = [...item.errors];
+    const { questionId, ...fields } = item.question;
+    const content = sanitizeQuestionContent(Object.fromEntries(
+      REVISIONED_FIELDS.filter(field => fields[field] !== undefined).map(field => [field, fields[field]])
+    ));
+
+    let existing = null;
+    if (questionId && !isQuestionId(questionId)) {
+      errors.push(`Question ID ${questionId} is not a UUID`);
+    } else if (questionId) {
+      if (seenQuestionIds.has(questionId)) {
+        errors.push(`Question ${questionId} appears more than once`);
+      }
+      seenQuestionIds.add(questionId);
+      existing = await Question.findOne({ questionId });
+    }
+
+    const topicId = item.topic?.topicId || topic;
+    const subjectRef = item.subject || (subject ? { slug: subject, name: subject } : null);
+
+    // Existing questions stay in their topic; topics that don't exist yet
+    // are created in the item's subject
+    if (existing) {
+      // Nothing to resolve
+    } else if (!topicId) {
+      errors.push('No topic given; set one in the file or choose a target topic');
+    } else if (!(await findTopic(topicId))) {
+      if (!subjectRef) {
+        errors.push(`Unknown topic ${topicId}; give its subject to create it`);
+      } else {
+        const title = item.topic?.title || topicId;
+        if (!(await findSubject(subjectRef.slug))) {
+          subjects.set(subjectRef.slug, { isNew: true, slug: subjectRef.slug, name: subjectRef.name });
+        }
+        topics.set(topicId, { isNew: true, topicId, title, subjectSlug: subjectRef.slug });
+      }
+    }
+
+    if (errors.length === 0) {
+      errors.push(...await validationErrors(existing ? { ...existing.toObject(), ...content } : content));
+    }
+
+    let action = null;
+    if (errors.length === 0) {
+      if (!existing) action = 'create';
+      else action = hasContentChanges(existing, content) ? 'update' : 'unchanged';
+    }
+
+    plans.push({
+      ref: item.ref,
+      topicId: existing ? null : topicId,
+      questionId: existing?.questionId || questionId || null,
+      action,
+      errors,
+      content,
+      existing
+    });
+  }
+
+  const count = (action) => plans.filter(p => p.action === action).length;
+  const summary = {
+    total: plans.length,
+    create: count('create'),
+    update: count('update'),
+    unchanged: count('unchanged'),
+    invalid: plans.filter(p => p.errors.length > 0).length,
+    newSubjects: [...subjects.values()].filter(s => s?.isNew).map(s => s.slug),
+    newTopics: [...topics.values()].filter(t => t?.isNew).map(t => t.topicId)
+  };
+
+  const canImport = !dryRun && summary.invalid === 0;
+
+  if (canImport) {
+    for (const [slug, planned] of subjects) {
+      if (planned?.isNew) {
+        subjects.set(slug, await Subject.create({ name: planned.name, slug, order: await Subject.countDocuments() }));
+      }
+    }
+    for (const [topicId, planned] of topics) {
+      if (planned?.isNew) {
+        const owner = subjects.get(planned.subjectSlug);
+        topics.set(topicId, await Topic.create({
+          topicId,
+          title: planned.title,
+          subject: owner._id,
+          order: await Topic.countDocuments({ subject: owner._id })
+        }));
+      }
+    }
+
+    for (const plan of plans) {
+      if (plan.action === 'update') {
+        plan.existing.set(plan.content);
+        await plan.existing.save();
+        await recordRevision(plan.existing, editedBy);
+      } else if (plan.action === 'create') {
+        const target = topics.get(plan.topicId);
+        const last = await Question.findOne({ topic: target._id }).sort({ order: -1 });
+        const question = await Question.create({
+          ...(plan.questionId && { questionId: plan.questionId }),
+          topic: target._id,
+          ...plan.content,
+          order: last ? last.order + 1 : 0
+        });
+        await recordRevision(question, editedBy);
+        plan.questionId = question.questionId;
+      }
+    }
+  }
+
+  return {
+    imported: canImport,
+    summary,
+    rows: plans.map(({ ref, topicId, questionId, action, errors }) => ({ ref, topicId, questionId, action, errors }))
+  };
+};
@@ -0,0 +1,231 @@
+import ExamPaper from '../models/ExamPaper.js';
+import ExamAttempt from '../models/ExamAttempt.js';
+import QuestionRevision from '../models/QuestionRevision.js';
+import User from '../models/User.js';
+import { getTopic, getCurrentRevisionId, MEDIA_FIELDS } from './content.js';
+import { gradeAnswer, formatAnswer } from './questionTypes.js';
+import { serializeQuestion } from './quizSerializer.js';
+import { creditForAnswer } from './mastery/index.js';
+import { applyToMastery } from './answers.js';
+
+// Answers that arrive this long after the deadline still count, to absorb
+// network latency on the last save
+export const EXAM_GRACE_SECONDS = 5;
+
+const shuffled = (list) => {
+  const copy = [...list];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+// Problem with a paper's sections against the current question bank, or null
+export const checkSections = async (sections = []) => {
+  const seen = new Set();
+  for (const section of sections) {
+    // A sitting holds each question once; answers are saved by questionId
+    if (seen.has(section.topicId)) return `Topic ${section.topicId} is in more than one section`;
+    seen.add(section.topicId);
+
+    const topic = await getTopic(section.topicId);
+    if (!topic) return `Unknown topic ${section.topicId}`;
+    if (topic.questions.length < section.questionCount) {
+      return `${topic.title} has only ${topic.questions.length} questions, ${section.questionCount} requested`;
+    }
+  }
+  return null;
+};
+
+// Questions for a new sitting: questionCount drawn at random per section,
+// then ordered by the paper's shuffle rule. No question is drawn twice, even
+// for papers saved with a topic in two sections before checkSections refused it.
+export const drawQuestions = async (paper) => {
+  const sections = [];
+  const drawnIds = new Set();
+
+  for (const section of paper.sections) {
+    const topic = await getTopic(section.topicId);
+    if (!topic) throw new Error(`Unknown topic ${section.topicId}`);
+
+    const available = topic.questions.filter(q => !drawnIds.has(q.questionId));
+    const picked = new Set(shuffled(available).slice(0, section.questionCount));
+    picked.forEach(q => drawnIds.add(q.questionId));
+    const inAuthoredOrder = topic.questions
+      .filter(q => picked.has(q))
+      .map(question => ({ question, topicId: topic.topicId }));
+    sections.push(paper.shuffle === 'none' ? inAuthoredOrder : shuffled(inAuthoredOrder));
+  }
+
+  const drawn = paper.shuffle === 'all' ? shuffled(sections.flat()) : sections.flat();
+
+  const questions = [];
+  for (const { question, topicId } of drawn) {
+    questions.push({
+      questionId: question.questionId,
+      topicId,
+      revisionId: await getCurrentRevisionId(question)
+    });
+  }
+  return questions;
+};
+
+export const isPastDeadline = (attempt, now = new Date()) => (
+  now.getTime() > attempt.deadline.getTime() + EXAM_GRACE_SECONDS * 1000
+);
+
+export const remainingSeconds = (attempt, now = new Date()) => (
+  Math.max(0, Math.round((attempt.deadline.getTime() - now.getTime()) / 1000))
+);
+
+// Whether the question is in a sitting the user hasn't submitted yet. Practice
+// endpoints refuse such questions so they can't reveal answers or hints mid-exam.
+export const isInOpenExam = (userId, questionId) => (
+  ExamAttempt.exists({ userId, status: 'in-progress', 'questions.questionId': questionId })
+);
+
+// Every question in the user's unsubmitted sittings, for picking practice
+// questions that isInOpenExam wouldn't refuse
+export const openExamQuestionIds = async (userId) => {
+  const attempts = await ExamAttempt.find({ userId, status: 'in-progress' }).select('questions.questionId');
+  return new Set(attempts.flatMap(a => a.questions.map(q => q.questionId)));
+};
+
+// The question revisions a sitting was drawn with, by questionId
+const loadRevisions = async (attempt) => {
+  const revisions = await QuestionRevision.find({ _id: { $in: attempt.questions.map(q => q.revisionId) } })
+    .populate('media', MEDIA_FIELDS)
+    .lean();
+  return new Map(revisions.map(r => [r.questionId, r]));
+};
+
+// Grade a sitting once: marks each question, scores it and, when the paper
+// counts towards mastery, applies the answered questions to the student's
+// topic mastery. status is 'submitted' or 'expired'. Returns the graded
+// attempt, or null when another request graded it first.
+export const gradeAttempt = async (attemptId, paper, status) => {
+  const now = new Date();
+  const claimed = await ExamAttempt.findOneAndUpdate(
+    { _id: attemptId, status: 'in-progress' },
+    { status, submittedAt: status === 'expired' ? null : now },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  // An expired sitting ended at its deadline
+  claimed.submittedAt = claimed.submittedAt || claimed.deadline;
+
+  const revisions = await loadRevisions(claimed);
+  for (const question of claimed.questions) {
+    const revision = revisions.get(question.questionId);
+    question.isCorrect = question.userAnswer !== null && !!revision && gradeAnswer(revision, question.userAnswer);
+  }
+
+  claimed.correct = claimed.questions.filter(q => q.isCorrect).length;
+  claimed.score = claimed.questions.length > 0 ? claimed.correct / claimed.questions.length : 0;
+  claimed.gradedAt = now;
+  await claimed.save();
+
+  // Unanswered questions are no evidence either way
+  if (paper.countTowardsMastery) {
+    const user = await User.findById(claimed.userId);
+    const topics = new Map();
+    for (const question of claimed.questions.filter(q => q.userAnswer !== null)) {
+      if (!topics.has(question.topicId)) topics.set(question.topicId, await getTopic(question.topicId));
+      const topic = topics.get(question.topicId);
+      if (!topic) continue;
+
+      await applyToMastery(user, topic, {
+        isCorrect: question.isCorrect,
+        credit: creditForAnswer(question.isCorrect),
+        timestamp: claimed.submittedAt
+      });
+    }
+  }
+
+  return claimed;
+};
+
+// Grade every sitting the user hasn't submitted, as the submit route would:
+// expired once past the deadline, otherwise submitted now
+export const closeOpenAttempts = async (userId) => {
+  const open = await ExamAttempt.find({ userId, status: 'in-progress' });
+  for (const attempt of open) {
+    const paper = await ExamPaper.findById(attempt.paperId);
+    await gradeAttempt(attempt._id, paper, isPastDeadline(attempt) ? 'expired' : 'submitted');
+  }
+};
+
+// Grade a sitting whose time ran out; returns the up-to-date attempt
+export const finalizeIfExpired = async (attempt, paper) => {
+  if (attempt.status !== 'in-progress' || !isPastDeadline(attempt)) return attempt;
+  return (await gradeAttempt(attempt._id, paper, 'expired')) || ExamAttempt.findById(attempt._id);
+};
+
+// Per-topic correct / total for a graded sitting
+const topicBreakdown = (attempt, titles) => {
+  const byTopic = new Map();
+  for (const question of attempt.questions) {
+    const entry = byTopic.get(question.topicId) || { topicId: question.topicId, title: titles.get(question.topicId), correct: 0, total: 0 };
+    entry.total += 1;
+    entry.correct += question.isCorrect ? 1 : 0;
+    byTopic.set(question.topicId, entry);
+  }
+  return [...byTopic.values()];
+};
+
+// A sitting as the student sees it: questions without answers while it runs,
+// with correct answers, explanations and the per-topic breakdown once graded
+export const serializeAttempt = async (attempt, paper, user) => {
+  const revisions = await loadRevisions(attempt);
+  const graded = attempt.status !== 'in-progress';
+
+  const topicIds = [...new Set(attempt.questions.map(q => q.topicId))];
+  const titles = new Map();
+  for (const topicId of topicIds) {
+    titles.set(topicId, (await getTopic(topicId))?.title || topicId);
+  }
+
+  const questions = attempt.questions.map((entry, index) => {
+    const revision = revisions.get(entry.questionId);
+    const base = revision
+      ? serializeQuestion(revision, user, { topicId: entry.topicId, topicTitle: titles.get(entry.topicId), hintCount: 0 })
+      : { id: entry.questionId, topicId: entry.topicId, question: 'This question is no longer available', options: [] };
+
+    return {
+      ...base,
+      number: index + 1,
+      userAnswer: entry.userAnswer,
+      ...(graded && {
+        isCorrect: entry.isCorrect,
+        correctAnswer: revision?.answer,
+        correctAnswerText: revision ? formatAnswer(revision, revision.answer) : null,
+        explanation: revision?.explanation || ''
+      })
+    };
+  });
+
+  return {
+    id: attempt._id,
+    paper: {
+      id: paper._id,
+      title: paper.title,
+      description: paper.description,
+      timeLimitMinutes: paper.timeLimitMinutes
+    },
+    status: attempt.status,
+    startedAt: attempt.startedAt,
+    deadline: attempt.deadline,
+    remainingSeconds: graded ? 0 : remainingSeconds(attempt),
+    submittedAt: attempt.submittedAt,
+    answered: attempt.questions.filter(q => q.userAnswer !== null).length,
+    questions,
+    ...(graded && {
+      correct: attempt.correct,
+      total: attempt.questions.length,
+      score: attempt.score,
+      topics: topicBreakdown(attempt, titles)
+    })
+  };
+};
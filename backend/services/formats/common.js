@@ -0,0 +1,38 @@
+// Helpers shared by the import/export formats.
+//
+// Parsers return items of the form
+//   { ref, subject: { slug, name } | null, topic: { topicId, title } | null, question, errors }
+// where ref names the row or question in the source file for error messages and
+// question holds the Question content fields (plus questionId when the file has one).
+
+const LETTER_PREFIX = /^[A-Z][.)]\s+/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const letterAt = (index) => String.fromCharCode(65 + index);
+
+// Options are stored as "A. text"; formats without letters get them added
+export const withOptionLetters = (options = []) => (
+  options.every(option => LETTER_PREFIX.test(option))
+    ? options
+    : options.map((option, i) => `${letterAt(i)}. ${option}`)
+);
+
+export const stripOptionLetter = (option = '') => option.replace(LETTER_PREFIX, '');
+
+export const letterIndex = (letter) => String(letter).trim().toUpperCase().charCodeAt(0) - 65;
+
+export const isQuestionId = (value) => typeof value === 'string' && UUID.test(value);
+
+export const newItem = (ref, fields = {}) => ({
+  ref,
+  subject: null,
+  topic: null,
+  question: {},
+  errors: [],
+  ...fields
+});
+
+// Flatten the export tree into one entry per question with its subject and topic
+export const eachQuestion = (subjects) => subjects.flatMap(subject => subject.topics.flatMap(topic => (
+  topic.questions.map(question => ({ subject, topic, question }))
+)));
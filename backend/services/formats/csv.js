@@ -0,0 +1,141 @@
+import { parse } from 'csv-parse/sync';
+import { stringify } from 'csv-stringify/sync';
+import { newItem, withOptionLetters, eachQuestion } from './common.js';
+
+// Spreadsheet format: one question per row with a header row. List cells
+// (options, matches, hints and list answers) separate entries with "|";
+// write "\|" for a literal pipe. Matching answers are 1-based match numbers.
+
+export const COLUMNS = [
+  'subject', 'subject_slug', 'topic_id', 'topic_title', 'question_id', 'type', 'question',
+  'options', 'answer', 'matches', 'tolerance', 'pattern', 'case_sensitive', 'explanation', 'hints'
+];
+
+const splitList = (cell = '') => cell
+  .split(/(?<!\\)\|/)
+  .map(entry => entry.replace(/\\\|/g, '|').trim())
+  .filter(entry => entry !== '');
+
+const joinList = (list = []) => list.map(entry => String(entry).replace(/\|/g, '\\|')).join('|');
+
+const parseBoolean = (cell) => {
+  const value = cell.trim().toLowerCase();
+  if (['true', 't', 'yes', 'y', '1'].includes(value)) return true;
+  if (['false', 'f', 'no', 'n', '0'].includes(value)) return false;
+  return null;
+};
+
+// Answer cell -> stored answer shape; throws with a message for the row
+const parseAnswer = (type, cell = '') => {
+  switch (type) {
+    case 'multi':
+    case 'ordering':
+      return splitList(cell).map(letter => letter.toUpperCase());
+    case 'short-text':
+      return splitList(cell);
+    case 'matching':
+      return splitList(cell).map(n => Number(n) - 1);
+    case 'true-false': {
+      const value = parseBoolean(cell);
+      if (value === null) throw new Error('answer must be true or false');
+      return value;
+    }
+    case 'numeric': {
+      const value = Number(cell);
+      if (cell.trim() === '' || !Number.isFinite(value)) throw new Error('answer must be a number');
+      return value;
+    }
+    default:
+      return cell.trim().toUpperCase();
+  }
+};
+
+const formatAnswer = (type, answer) => {
+  switch (type) {
+    case 'multi':
+    case 'ordering':
+    case 'short-text':
+      return joinList(answer);
+    case 'matching':
+      return joinList(answer.map(n => n + 1));
+    default:
+      return String(answer);
+  }
+};
+
+export const parseFile = (buffer) => {
+  const records = parse(buffer, {
+    columns: header => header.map(h => h.trim().toLowerCase()),
+    skip_empty_lines: true,
+    trim: false,
+    bom: true,
+    relax_column_count: true
+  });
+
+  return records.map((row, i) => {
+    // Header is line 1
+    const item = newItem(`Row ${i + 2}`);
+    const type = (row.type || 'single').trim() || 'single';
+
+    if (row.subject_slug?.trim()) {
+      item.subject = { slug: row.subject_slug.trim(), name: row.subject?.trim() || row.subject_slug.trim() };
+    }
+    if (row.topic_id?.trim()) {
+      item.topic = { topicId: row.topic_id.trim(), title: row.topic_title?.trim() || row.topic_id.trim() };
+    }
+
+    item.question = {
+      type,
+      text: row.question || '',
+      options: withOptionLetters(splitList(row.options)),
+      matches: splitList(row.matches),
+      tolerance: row.tolerance?.trim() ? Number(row.tolerance) : 0,
+      pattern: row.pattern?.trim() || null,
+      caseSensitive: row.case_sensitive ? parseBoolean(row.case_sensitive) === true : false,
+      explanation: row.explanation || '',
+      hints: splitList(row.hints)
+    };
+    if (row.question_id?.trim()) item.question.questionId = row.question_id.trim();
+
+    try {
+      item.question.answer = parseAnswer(type, row.answer);
+    } catch (err) {
+      item.errors.push(err.message);
+    }
+
+    return item;
+  });
+};
+
+export const serialize = (subjects) => {
+  const rows = eachQuestion(subjects).map(({ subject, topic, question }) => {
+    const type = question.type || 'single';
+    return [
+      subject.name,
+      subject.slug,
+      topic.topicId,
+      topic.title,
+      question.questionId,
+      type,
+      question.text,
+      joinList(question.options),
+      formatAnswer(type, question.answer),
+      joinList(question.matches),
+      type === 'numeric' ? question.tolerance : '',
+      question.pattern || '',
+      question.caseSensitive ? 'true' : '',
+      question.explanation || '',
+      joinList(question.hints)
+    ];
+  });
+
+  return stringify([COLUMNS, ...rows]);
+};
+
+export default {
+  name: 'csv',
+  extensions: ['.csv'],
+  contentType: 'text/csv',
+  parseFile,
+  serialize
+};
@@ -0,0 +1,289 @@
+import {
+  newItem, withOptionLetters, stripOptionLetter, letterAt, letterIndex, isQuestionId, eachQuestion
+} from './common.js';
+
+// Moodle GIFT. Supported: multiple choice (single and weighted multi-select),
+// true/false, short answer, numeric (value:tolerance and min..max) and matching,
+// with ::title:: and #### general feedback (imported as the explanation).
+// GIFT has no hints, so re-importing leaves a question's stored hints alone.
+// "$CATEGORY: subject-slug/TOPIC_ID" lines set the topic of the questions after them.
+// Ordering questions have no GIFT equivalent and are skipped on export, as are
+// matching questions GIFT can't give back unchanged (see keepsMatches).
+
+const SPECIAL = /[~=#{}:\\]/g;
+
+const escape = (text = '') => String(text).replace(SPECIAL, ch => `\\${ch}`).replace(/\n/g, '\\n');
+const unescape = (text = '') => text.replace(/\\n/g, '\n').replace(/\\([~=#{}:\\])/g, '$1').trim();
+
+// Index of the first unescaped occurrence of token at or after start, or -1
+const findUnescaped = (text, token, start = 0) => {
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text.startsWith(token, i)) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+// Split on unescaped "=" / "~" markers, keeping the marker with each answer
+const splitAnswers = (body) => {
+  const answers = [];
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === '\\') {
+      if (answers.length) answers[answers.length - 1].text += body.slice(i, i + 2);
+      i++;
+    } else if (body[i] === '=' || body[i] === '~') {
+      answers.push({ marker: body[i], text: '' });
+    } else if (answers.length) {
+      answers[answers.length - 1].text += body[i];
+    }
+  }
+
+  return answers.map(({ marker, text }) => {
+    // Drop per-answer feedback
+    const feedbackAt = findUnescaped(text, '#');
+    let value = feedbackAt === -1 ? text : text.slice(0, feedbackAt);
+    let weight = null;
+    const weighted = value.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    if (weighted) {
+      weight = Number(weighted[1]);
+      value = value.slice(weighted[0].length);
+    }
+    return { marker, weight, raw: value };
+  });
+};
+
+const parseNumeric = (body) => {
+  const first = body.replace(/^#/, '').trim().replace(/^=/, '').split(/(?<!\\)[=~]/)[0];
+  const value = first.split(/(?<!\\)#/)[0].replace(/^%\d+%/, '').trim();
+  const range = value.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/);
+  if (range) {
+    const [min, max] = [Number(range[1]), Number(range[2])];
+    return { answer: (min + max) / 2, tolerance: Math.abs(max - min) / 2 };
+  }
+  const [answer, tolerance = '0'] = value.split(':');
+  return { answer: Number(answer), tolerance: Number(tolerance) };
+};
+
+// Question fields for one answer block, or an error message
+const parseAnswerBlock = (body) => {
+  const trimmed = body.trim();
+
+  if (trimmed === '') return 'Essay questions are not supported';
+
+  const truth = trimmed.match(/^(T|TRUE|F|FALSE)\b/i);
+  if (truth) {
+    return { type: 'true-false', answer: truth[1].toUpperCase().startsWith('T') };
+  }
+
+  if (trimmed.startsWith('#')) {
+    return { type: 'numeric', ...parseNumeric(trimmed) };
+  }
+
+  const answers = splitAnswers(trimmed);
+  if (answers.length === 0) return 'No answers found';
+
+  if (answers.every(a => a.marker === '=' && findUnescaped(a.raw, '->') !== -1)) {
+    const pairs = answers.map(a => {
+      const arrow = findUnescaped(a.raw, '->');
+      return { left: unescape(a.raw.slice(0, arrow)), right: unescape(a.raw.slice(arrow + 2)) };
+    });
+    const matches = [...new Set(pairs.map(p => p.right))];
+    return {
+      type: 'matching',
+      options: withOptionLetters(pairs.map(p => p.left)),
+      matches,
+      answer: pairs.map(p => matches.indexOf(p.right))
+    };
+  }
+
+  if (answers.every(a => a.marker === '=')) {
+    return {
+      type: 'short-text',
+      answer: answers.filter(a => a.weight === null || a.weight > 0).map(a => unescape(a.raw))
+    };
+  }
+
+  const options = withOptionLetters(answers.map(a => unescape(a.raw)));
+  const correct = answers
+    .map((a, i) => ((a.marker === '=' || a.weight > 0) ? letterAt(i) : null))
+    .filter(Boolean);
+  const weighted = answers.some(a => a.weight !== null);
+
+  if (!weighted && correct.length === 1) {
+    return { type: 'single', options, answer: correct[0] };
+  }
+  return { type: 'multi', options, answer: correct };
+};
+
+// "$course$/top/subject-slug/TOPIC_ID" -> subject and topic
+const parseCategory = (path) => {
+  const segments = path.split('/').map(s => s.trim()).filter(s => s && s !== '$course$' && s !== 'top');
+  if (segments.length === 0) return { subject: null, topic: null };
+  const topicId = segments[segments.length - 1];
+  const slug = segments.length > 1 ? segments[0] : null;
+  return {
+    subject: slug ? { slug, name: slug } : null,
+    topic: { topicId, title: topicId }
+  };
+};
+
+export const parseFile = (buffer) => {
+  const lines = String(buffer).replace(/\r\n?/g, '\n').split('\n');
+  const items = [];
+  let category = { subject: null, topic: null };
+  let block = [];
+  let blockStart = 0;
+
+  const flush = () => {
+    const source = block.join('\n').trim();
+    block = [];
+    if (!source) return;
+
+    const item = newItem(`Question at line ${blockStart}`, { ...category });
+    const open = findUnescaped(source, '{');
+    const close = open === -1 ? -1 : findUnescaped(source, '}', open);
+    if (open === -1 || close === -1) {
+      item.errors.push('Missing {answers}');
+      items.push(item);
+      return;
+    }
+
+    let stem = source.slice(0, open);
+    const titled = stem.match(/^\s*::([\s\S]*?)::/);
+    const title = titled ? unescape(titled[1]) : null;
+    if (titled) stem = stem.slice(titled[0].length);
+    stem = stem.replace(/^\s*\[(markdown|html|plain|moodle)\]/i, '');
+    const after = source.slice(close + 1).trim();
+    const text = unescape(after ? `${stem.trim()} _____ ${after}` : stem);
+
+    let body = source.slice(open + 1, close);
+    let explanation = '';
+    const generalFeedback = findUnescaped(body, '####');
+    if (generalFeedback !== -1) {
+      explanation = unescape(body.slice(generalFeedback + 4));
+      body = body.slice(0, generalFeedback);
+    }
+
+    const parsed = parseAnswerBlock(body);
+    if (typeof parsed === 'string') {
+      item.errors.push(parsed);
+    }
+    item.question = {
+      options: [],
+      matches: [],
+      tolerance: 0,
+      ...(typeof parsed === 'string' ? {} : parsed),
+      text,
+      explanation
+    };
+    if (isQuestionId(title)) item.question.questionId = title;
+
+    items.push(item);
+  };
+
+  lines.forEach((line, i) => {
+    if (line.trim().startsWith('//')) return;
+
+    const categoryLine = line.match(/^\s*\$CATEGORY:\s*(.*)$/);
+    if (categoryLine) {
+      flush();
+      category = parseCategory(categoryLine[1]);
+      return;
+    }
+
+    if (line.trim() === '') {
+      flush();
+      return;
+    }
+
+    if (block.length === 0) blockStart = i + 1;
+    block.push(line);
+  });
+  flush();
+
+  return items;
+};
+
+// Moodle expects multi-select weights as percentages that add up to 100
+const weight = (value) => Number(value.toFixed(5));
+
+const serializeAnswers = (question) => {
+  const options = (question.options || []).map(o => escape(stripOptionLetter(o)));
+
+  switch (question.type || 'single') {
+    case 'multi': {
+      const correct = question.answer.map(letterIndex);
+      return options.map((o, i) => (
+        correct.includes(i) ? `~%${weight(100 / correct.length)}%${o}` : `~%-100%${o}`
+      ));
+    }
+    case 'true-false':
+      return [question.answer ? 'TRUE' : 'FALSE'];
+    case 'numeric':
+      return [`#${question.answer}:${question.tolerance || 0}`];
+    case 'short-text':
+      return question.answer.map(v => `=${escape(v)}`);
+    case 'matching':
+      return options.map((o, i) => `=${o} -> ${escape(question.matches[question.answer[i]])}`);
+    default: {
+      const correct = letterIndex(question.answer);
+      return options.map((o, i) => `${i === correct ? '=' : '~'}${o}`);
+    }
+  }
+};
+
+// GIFT lists only the pairs, and import rebuilds matches from them in order
+// of first use. A question round-trips only when every match is used, the
+// first uses come in stored order and no two matches read the same.
+const keepsMatches = (question) => {
+  const firstUses = [...new Set(question.answer)];
+  return firstUses.length === question.matches.length
+    && firstUses.every((match, i) => match === i)
+    && new Set(question.matches).size === question.matches.length;
+};
+
+export const serialize = (subjects) => {
+  const out = [];
+  let currentTopic = null;
+
+  for (const { subject, topic, question } of eachQuestion(subjects)) {
+    if (topic !== currentTopic) {
+      out.push(`// ${subject.name} / ${topic.title}`, `$CATEGORY: ${subject.slug}/${topic.topicId}`, '');
+      currentTopic = topic;
+    }
+
+    if (question.type === 'ordering') {
+      out.push(`// Skipped ${question.questionId}: ordering questions have no GIFT equivalent`, '');
+      continue;
+    }
+    if (question.type === 'matching' && !keepsMatches(question)) {
+      out.push(`// Skipped ${question.questionId}: unused or reordered matches have no GIFT equivalent`, '');
+      continue;
+    }
+    if (question.type === 'short-text' && question.answer.length === 0) {
+      out.push(`// Skipped ${question.questionId}: pattern-only answers have no GIFT equivalent`, '');
+      continue;
+    }
+
+    const feedback = question.explanation ? ` ####${escape(question.explanation)}` : '';
+    out.push(
+      `::${question.questionId}:: [markdown]${escape(question.text)} {`,
+      ...serializeAnswers(question).map(a => `\t${a}`),
+      `${feedback.trim() ? `\t${feedback.trim()}\n` : ''}}`,
+      ''
+    );
+  }
+
+  return out.join('\n');
+};
+
+export default {
+  name: 'gift',
+  extensions: ['.gift', '.txt'],
+  contentType: 'text/plain',
+  parseFile,
+  serialize
+};
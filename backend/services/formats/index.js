@@ -0,0 +1,28 @@
+import { extname } from 'path';
+import csvFormat from './csv.js';
+import subjectsJsonFormat from './subjectsJson.js';
+import giftFormat from './gift.js';
+import qtiFormat from './qti.js';
+
+// Every format implements:
+//   parseFile(buffer) -> items (see common.js); throws when the file can't be read at all
+//   serialize(subjects) -> string or Buffer for the export tree
+// and declares its name, file extensions, export content type and, when it
+// differs from the first extension, the exportExtension.
+const formats = {
+  [csvFormat.name]: csvFormat,
+  [subjectsJsonFormat.name]: subjectsJsonFormat,
+  [giftFormat.name]: giftFormat,
+  [qtiFormat.name]: qtiFormat
+};
+
+export const FORMAT_NAMES = Object.keys(formats);
+
+export const getFormat = (name) => formats[name] || null;
+
+// Explicit format name, else guessed from the uploaded file's extension
+export const resolveFormat = (name, filename = '') => {
+  if (name) return getFormat(name);
+  const ext = extname(filename).toLowerCase();
+  return Object.values(formats).find(format => format.extensions.includes(ext)) || null;
+};
@@ -0,0 +1,323 @@
+import AdmZip from 'adm-zip';
+import { DOMParser } from '@xmldom/xmldom';
+import {
+  newItem, withOptionLetters, stripOptionLetter, letterAt, isQuestionId, eachQuestion
+} from './common.js';
+
+// IMS QTI 2.1 assessment items, either as one XML document (which may hold
+// several assessmentItem elements) or as a zipped content package. Supported
+// interactions: choice (single, multi-select and true/false), textEntry
+// (numeric with tolerance, or short text), order and match. Feedback becomes
+// the explanation; hints aren't carried, so re-importing keeps the stored ones.
+// Packages exported from here keep items under
+// items/<subject-slug>/<TOPIC_ID>/, which sets their topic on import.
+
+const QTI_NS = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const INTERACTIONS = ['choiceInteraction', 'textEntryInteraction', 'orderInteraction', 'matchInteraction'];
+
+// QTI identifiers must not start with a digit, so question IDs are prefixed
+const ITEM_PREFIX = 'q_';
+
+const xml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const elements = (node, tag) => Array.from(node.getElementsByTagName(tag));
+const first = (node, tag) => node.getElementsByTagName(tag)[0] || null;
+const text = (node) => (node?.textContent || '').trim();
+
+const choicesOf = (interaction) => elements(interaction, 'simpleChoice').map(choice => ({
+  id: choice.getAttribute('identifier'),
+  text: text(choice)
+}));
+
+// Question stem: itemBody text outside the interactions, plus interaction prompts
+const stemOf = (itemBody) => {
+  const parts = [];
+  for (const child of Array.from(itemBody.childNodes)) {
+    if (child.nodeType === 1 && INTERACTIONS.includes(child.localName)) {
+      const prompt = first(child, 'prompt');
+      if (prompt) parts.push(text(prompt));
+    } else if (child.nodeType === 1 && child.localName.endsWith('Interaction')) {
+      continue;
+    } else {
+      const value = text(child);
+      if (value) parts.push(value);
+    }
+  }
+  return parts.join('\n\n');
+};
+
+// Question fields for one assessmentItem; throws for unsupported items
+const parseItem = (item) => {
+  const declaration = elements(item, 'responseDeclaration')[0];
+  const correct = declaration ? elements(first(declaration, 'correctResponse') || declaration, 'value').map(text) : [];
+  const itemBody = first(item, 'itemBody');
+  if (!itemBody) throw new Error('Missing itemBody');
+
+  const interaction = INTERACTIONS.map(tag => first(itemBody, tag)).find(Boolean);
+  if (!interaction) throw new Error('No supported interaction (choice, textEntry, order or match)');
+
+  const question = { text: stemOf(itemBody), options: [], matches: [], tolerance: 0 };
+
+  switch (interaction.localName) {
+    case 'choiceInteraction': {
+      const choices = choicesOf(interaction);
+      const ids = choices.map(c => c.id.toLowerCase());
+      if (ids.length === 2 && ids.includes('true') && ids.includes('false')) {
+        return { ...question, type: 'true-false', answer: correct[0]?.toLowerCase() === 'true' };
+      }
+      const letters = correct.map(id => letterAt(choices.findIndex(c => c.id === id)));
+      const multi = interaction.getAttribute('maxChoices') !== '1';
+      return {
+        ...question,
+        type: multi ? 'multi' : 'single',
+        options: withOptionLetters(choices.map(c => c.text)),
+        answer: multi ? letters : letters[0]
+      };
+    }
+    case 'orderInteraction': {
+      const choices = choicesOf(interaction);
+      return {
+        ...question,
+        type: 'ordering',
+        options: withOptionLetters(choices.map(c => c.text)),
+        answer: correct.map(id => letterAt(choices.findIndex(c => c.id === id)))
+      };
+    }
+    case 'matchInteraction': {
+      const [sources, targets] = elements(interaction, 'simpleMatchSet').map(set => (
+        elements(set, 'simpleAssociableChoice').map(choice => ({ id: choice.getAttribute('identifier'), text: text(choice) }))
+      ));
+      if (!sources || !targets) throw new Error('matchInteraction needs two simpleMatchSet elements');
+      const pairs = new Map(correct.map(pair => pair.split(/\s+/)));
+      return {
+        ...question,
+        type: 'matching',
+        options: withOptionLetters(sources.map(s => s.text)),
+        matches: targets.map(t => t.text),
+        answer: sources.map(s => targets.findIndex(t => t.id === pairs.get(s.id)))
+      };
+    }
+    default: {
+      const baseType = declaration?.getAttribute('baseType');
+      if (baseType === 'float' || baseType === 'integer') {
+        const equal = first(item, 'equal');
+        const tolerance = equal?.getAttribute('tolerance')?.split(/\s+/)[0];
+        return { ...question, type: 'numeric', answer: Number(correct[0]), tolerance: Number(tolerance) || 0 };
+      }
+      const mapped = elements(item, 'mapEntry').filter(e => Number(e.getAttribute('mappedValue')) > 0);
+      return {
+        ...question,
+        type: 'short-text',
+        answer: [...new Set([...correct, ...mapped.map(e => e.getAttribute('mapKey'))])],
+        caseSensitive: mapped.some(e => e.getAttribute('caseSensitive') === 'true')
+      };
+    }
+  }
+};
+
+const parseDocument = (source, ref, defaults = {}) => {
+  const errors = [];
+  let items = [];
+  try {
+    const doc = new DOMParser({ onError: (level, message) => level !== 'warning' && errors.push(message) })
+      .parseFromString(source, 'text/xml');
+    items = elements(doc, 'assessmentItem');
+  } catch (err) {
+    errors.push(err.message);
+  }
+
+  if (errors.length > 0 || items.length === 0) {
+    const item = newItem(ref, defaults);
+    item.errors.push(errors[0] ? `Invalid XML: ${errors[0]}` : 'No assessmentItem found');
+    return [item];
+  }
+
+  return items.map((element, i) => {
+    const identifier = element.getAttribute('identifier') || '';
+    const item = newItem(items.length > 1 ? `${ref} item ${i + 1}` : ref, defaults);
+
+    try {
+      item.question = parseItem(element);
+    } catch (err) {
+      item.errors.push(err.message);
+    }
+
+    const feedback = [...elements(element, 'modalFeedback'), ...elements(element, 'feedbackBlock')].map(text).filter(Boolean);
+    item.question.explanation = feedback.join('\n\n');
+
+    const questionId = identifier.startsWith(ITEM_PREFIX) ? identifier.slice(ITEM_PREFIX.length) : identifier;
+    if (isQuestionId(questionId)) item.question.questionId = questionId;
+
+    return item;
+  });
+};
+
+const isZip = (buffer) => buffer[0] === 0x50 && buffer[1] === 0x4b;
+
+export const parseFile = (buffer) => {
+  if (!isZip(buffer)) {
+    return parseDocument(String(buffer), 'Document');
+  }
+
+  const entries = new AdmZip(buffer).getEntries()
+    .filter(entry => !entry.isDirectory && entry.entryName.endsWith('.xml') && !entry.entryName.endsWith('imsmanifest.xml'));
+
+  return entries.flatMap(entry => {
+    const segments = entry.entryName.split('/');
+    const folders = segments.slice(segments.indexOf('items') + 1, -1);
+    const defaults = folders.length === 2
+      ? { subject: { slug: folders[0], name: folders[0] }, topic: { topicId: folders[1], title: folders[1] } }
+      : {};
+    return parseDocument(entry.getData().toString('utf8'), entry.entryName, defaults);
+  });
+};
+
+const choiceList = (options, tag) => options
+  .map((option, i) => `      <${tag} identifier="${letterAt(i)}">${xml(stripOptionLetter(option))}</${tag}>`)
+  .join('\n');
+
+const responseDeclaration = (cardinality, baseType, values, extra = '') => `  <responseDeclaration identifier="RESPONSE" cardinality="${cardinality}" baseType="${baseType}">
+    <correctResponse>
+${values.map(v => `      <value>${xml(v)}</value>`).join('\n')}
+    </correctResponse>${extra}
+  </responseDeclaration>`;
+
+const MATCH_CORRECT = `  <responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct"/>`;
+
+// responseDeclaration, interaction markup and responseProcessing for a question
+const itemParts = (question) => {
+  switch (question.type || 'single') {
+    case 'multi':
+      return [
+        responseDeclaration('multiple', 'identifier', question.answer),
+        `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="0">\n${choiceList(question.options, 'simpleChoice')}\n    </choiceInteraction>`,
+        MATCH_CORRECT
+      ];
+    case 'true-false':
+      return [
+        responseDeclaration('single', 'identifier', [question.answer ? 'true' : 'false']),
+        `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+      <simpleChoice identifier="true">True</simpleChoice>
+      <simpleChoice identifier="false">False</simpleChoice>
+    </choiceInteraction>`,
+        MATCH_CORRECT
+      ];
+    case 'numeric':
+      return [
+        responseDeclaration('single', 'float', [question.answer]),
+        `    <p><textEntryInteraction responseIdentifier="RESPONSE"/></p>`,
+        `  <responseProcessing>
+    <responseCondition>
+      <responseIf>
+        <equal toleranceMode="absolute" tolerance="${question.tolerance || 0} ${question.tolerance || 0}">
+          <variable identifier="RESPONSE"/>
+          <correct identifier="RESPONSE"/>
+        </equal>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>
+      </responseIf>
+    </responseCondition>
+  </responseProcessing>`
+      ];
+    case 'short-text': {
+      const mapping = `
+    <mapping defaultValue="0">
+${question.answer.map(v => `      <mapEntry mapKey="${xml(v)}" mappedValue="1" caseSensitive="${question.caseSensitive ? 'true' : 'false'}"/>`).join('\n')}
+    </mapping>`;
+      return [
+        responseDeclaration('single', 'string', question.answer.slice(0, 1), mapping),
+        `    <p><textEntryInteraction responseIdentifier="RESPONSE"/></p>`,
+        `  <responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response"/>`
+      ];
+    }
+    case 'ordering':
+      return [
+        responseDeclaration('ordered', 'identifier', question.answer),
+        `    <orderInteraction responseIdentifier="RESPONSE" shuffle="true">\n${choiceList(question.options, 'simpleChoice')}\n    </orderInteraction>`,
+        MATCH_CORRECT
+      ];
+    case 'matching':
+      return [
+        responseDeclaration('multiple', 'directedPair', question.answer.map((m, i) => `${letterAt(i)} M${m}`)),
+        `    <matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${question.options.length}">
+      <simpleMatchSet>
+${question.options.map((o, i) => `        <simpleAssociableChoice identifier="${letterAt(i)}" matchMax="1">${xml(stripOptionLetter(o))}</simpleAssociableChoice>`).join('\n')}
+      </simpleMatchSet>
+      <simpleMatchSet>
+${question.matches.map((m, i) => `        <simpleAssociableChoice identifier="M${i}" matchMax="0">${xml(m)}</simpleAssociableChoice>`).join('\n')}
+      </simpleMatchSet>
+    </matchInteraction>`,
+        MATCH_CORRECT
+      ];
+    default:
+      return [
+        responseDeclaration('single', 'identifier', [String(question.answer).toUpperCase()]),
+        `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">\n${choiceList(question.options, 'simpleChoice')}\n    </choiceInteraction>`,
+        MATCH_CORRECT
+      ];
+  }
+};
+
+// One question as a standalone QTI 2.1 assessmentItem document, or null if it
+// can't be represented (pattern-only short text)
+export const serializeItem = (question) => {
+  if (question.type === 'short-text' && question.answer.length === 0) return null;
+
+  const [declaration, interaction, processing] = itemParts(question);
+  const feedback = question.explanation
+    ? `\n  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${xml(question.explanation)}</modalFeedback>`
+    : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NS}" identifier="${ITEM_PREFIX}${question.questionId}" title="${xml(question.text.slice(0, 80))}" adaptive="false" timeDependent="false">
+${declaration}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+    <div>${xml(question.text)}</div>
+${interaction}
+  </itemBody>
+${processing}${feedback}
+</assessmentItem>
+`;
+};
+
+// Zipped content package with an imsmanifest.xml listing every item
+export const serialize = (subjects) => {
+  const zip = new AdmZip();
+  const resources = [];
+
+  for (const { subject, topic, question } of eachQuestion(subjects)) {
+    const item = serializeItem(question);
+    if (!item) continue;
+
+    const href = `items/${subject.slug}/${topic.topicId}/${question.questionId}.xml`;
+    zip.addFile(href, Buffer.from(item, 'utf8'));
+    resources.push(`    <resource identifier="R_${question.questionId}" type="imsqti_item_xmlv2p1" href="${xml(href)}">
+      <file href="${xml(href)}"/>
+    </resource>`);
+  }
+
+  zip.addFile('imsmanifest.xml', Buffer.from(`<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="MANIFEST">
+  <organizations/>
+  <resources>
+${resources.join('\n')}
+  </resources>
+</manifest>
+`, 'utf8'));
+
+  return zip.toBuffer();
+};
+
+export default {
+  name: 'qti',
+  extensions: ['.xml', '.zip'],
+  contentType: 'application/zip',
+  exportExtension: '.zip',
+  parseFile,
+  serialize
+};
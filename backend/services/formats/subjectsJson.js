@@ -0,0 +1,80 @@
+import { newItem, withOptionLetters } from './common.js';
+
+// The legacy data/subjects.json schema:
+// { subjects: [{ subject_name, slug, topics: [{ topic_id, title, questions: [{ q, options, answer }] }] }] }
+// Questions may also carry question_id, type, matches, tolerance, pattern,
+// caseSensitive, explanation and hints.
+
+export const parseFile = (buffer) => {
+  let data;
+  try {
+    data = JSON.parse(String(buffer));
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+
+  if (!Array.isArray(data?.subjects)) {
+    throw new Error('Expected a top-level "subjects" array');
+  }
+
+  return data.subjects.flatMap((s, si) => (s.topics || []).flatMap((t, ti) => (t.questions || []).map((q, qi) => {
+    const item = newItem(`subjects[${si}].topics[${ti}].questions[${qi}]`, {
+      subject: s.slug ? { slug: s.slug, name: s.subject_name || s.slug } : null,
+      topic: t.topic_id ? { topicId: t.topic_id, title: t.title || t.topic_id } : null
+    });
+
+    item.question = {
+      type: q.type || 'single',
+      text: q.q || '',
+      options: withOptionLetters(q.options || []),
+      matches: q.matches || [],
+      answer: q.answer,
+      tolerance: q.tolerance ?? 0,
+      pattern: q.pattern ?? null,
+      caseSensitive: q.caseSensitive ?? false,
+      explanation: q.explanation || '',
+      hints: q.hints || []
+    };
+    if (q.question_id) item.question.questionId = q.question_id;
+
+    return item;
+  })));
+};
+
+// Only non-default extras are written, so single-choice content stays in the legacy shape
+const serializeQuestion = (question) => {
+  const type = question.type || 'single';
+  return {
+    question_id: question.questionId,
+    ...(type !== 'single' && { type }),
+    q: question.text,
+    ...(question.options?.length > 0 && { options: question.options }),
+    ...(question.matches?.length > 0 && { matches: question.matches }),
+    answer: question.answer,
+    ...(type === 'numeric' && { tolerance: question.tolerance }),
+    ...(question.pattern && { pattern: question.pattern }),
+    ...(question.caseSensitive && { caseSensitive: true }),
+    ...(question.explanation && { explanation: question.explanation }),
+    ...(question.hints?.length > 0 && { hints: question.hints })
+  };
+};
+
+export const serialize = (subjects) => JSON.stringify({
+  subjects: subjects.map(subject => ({
+    subject_name: subject.name,
+    slug: subject.slug,
+    topics: subject.topics.map(topic => ({
+      topic_id: topic.topicId,
+      title: topic.title,
+      questions: topic.questions.map(serializeQuestion)
+    }))
+  }))
+}, null, 2);
+
+export default {
+  name: 'json',
+  extensions: ['.json'],
+  contentType: 'application/json',
+  parseFile,
+  serialize
+};
@@ -0,0 +1,231 @@
+import Attempt from '../models/Attempt.js';
+import ItemParams from '../models/ItemParams.js';
+import AbilityEstimate from '../models/AbilityEstimate.js';
+
+// Two-parameter logistic IRT: P(correct) = 1 / (1 + exp(-a * (theta - b)))
+// a = discrimination, b = difficulty, theta = ability of a (user, topic) pair.
+// Fitted by joint maximum a posteriori estimation with weak Gaussian priors,
+// alternating Newton steps over abilities and item parameters. Items are fitted
+// in slope-intercept form (a * theta + d, with b = -d / a), which keeps a and d
+// far less correlated than a and b.
+
+const PRIOR = {
+  abilitySd: 1,
+  interceptSd: 2,
+  discriminationMean: 1,
+  discriminationSd: 1
+};
+
+const LIMITS = {
+  ability: 4,
+  difficulty: 6,
+  discrimination: 4
+};
+
+// Largest Newton step per iteration, to keep low-information parameters from overshooting
+const MAX_STEP = 0.5;
+
+const clamp = (value, limit) => Math.max(-limit, Math.min(limit, value));
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+export const probabilityCorrect = (ability, { difficulty, discrimination }) => (
+  sigmoid(discrimination * (ability - difficulty))
+);
+
+const toDifficulty = ({ discrimination, intercept }) => (
+  discrimination === 0 ? 0 : clamp(-intercept / discrimination, LIMITS.difficulty)
+);
+
+// responses: [{ person, item, correct }] where person/item are string keys
+export const fit2PL = (responses, options = {}) => {
+  const { maxIterations = 100, tolerance = 1e-3 } = options;
+
+  const abilities = new Map();
+  const slopes = new Map();
+  const byPerson = new Map();
+  const byItem = new Map();
+
+  for (const r of responses) {
+    if (!byPerson.has(r.person)) byPerson.set(r.person, []);
+    if (!byItem.has(r.item)) byItem.set(r.item, []);
+    byPerson.get(r.person).push(r);
+    byItem.get(r.item).push(r);
+  }
+
+  for (const person of byPerson.keys()) abilities.set(person, 0);
+
+  // Start the intercept from the empirical proportion correct
+  for (const [item, rs] of byItem) {
+    const pCorrect = (rs.filter(r => r.correct).length + 0.5) / (rs.length + 1);
+    slopes.set(item, {
+      discrimination: PRIOR.discriminationMean,
+      intercept: Math.log(pCorrect / (1 - pCorrect))
+    });
+  }
+
+  let iterations = 0;
+  for (; iterations < maxIterations; iterations++) {
+    let maxChange = 0;
+
+    for (const [person, rs] of byPerson) {
+      const theta = abilities.get(person);
+      let grad = -theta / PRIOR.abilitySd ** 2;
+      let hess = -1 / PRIOR.abilitySd ** 2;
+      for (const r of rs) {
+        const { discrimination: a, intercept: d } = slopes.get(r.item);
+        const p = sigmoid(a * theta + d);
+        grad += a * ((r.correct ? 1 : 0) - p);
+        hess -= a ** 2 * p * (1 - p);
+      }
+      const next = clamp(theta - clamp(grad / hess, MAX_STEP), LIMITS.ability);
+      maxChange = Math.max(maxChange, Math.abs(next - theta));
+      abilities.set(person, next);
+    }
+
+    for (const [key, rs] of byItem) {
+      const { discrimination: a, intercept: d } = slopes.get(key);
+
+      // Joint Newton step on (a, d); a may go negative, which flags a broken item
+      let gradA = -(a - PRIOR.discriminationMean) / PRIOR.discriminationSd ** 2;
+      let gradD = -d / PRIOR.interceptSd ** 2;
+      let hessAA = -1 / PRIOR.discriminationSd ** 2;
+      let hessDD = -1 / PRIOR.interceptSd ** 2;
+      let hessAD = 0;
+      for (const r of rs) {
+        const theta = abilities.get(r.person);
+        const p = sigmoid(a * theta + d);
+        const residual = (r.correct ? 1 : 0) - p;
+        const w = p * (1 - p);
+        gradA += theta * residual;
+        gradD += residual;
+        hessAA -= theta ** 2 * w;
+        hessDD -= w;
+        hessAD -= theta * w;
+      }
+      const det = hessAA * hessDD - hessAD ** 2;
+      const stepA = clamp((hessDD * gradA - hessAD * gradD) / det, MAX_STEP);
+      const stepD = clamp((hessAA * gradD - hessAD * gradA) / det, MAX_STEP);
+
+      const next = {
+        discrimination: clamp(a - stepA, LIMITS.discrimination),
+        intercept: d - stepD
+      };
+      maxChange = Math.max(maxChange, Math.abs(next.discrimination - a), Math.abs(next.intercept - d));
+      slopes.set(key, next);
+    }
+
+    // Fix the latent scale: abilities standardised to mean 0, sd 1
+    const thetas = [...abilities.values()];
+    const mean = thetas.reduce((acc, t) => acc + t, 0) / thetas.length;
+    const sd = Math.sqrt(thetas.reduce((acc, t) => acc + (t - mean) ** 2, 0) / thetas.length) || 1;
+    for (const [person, theta] of abilities) abilities.set(person, (theta - mean) / sd);
+    for (const [key, { discrimination, intercept }] of slopes) {
+      slopes.set(key, {
+        discrimination: clamp(discrimination * sd, LIMITS.discrimination),
+        intercept: intercept + discrimination * mean
+      });
+    }
+
+    if (maxChange < tolerance) {
+      iterations += 1;
+      break;
+    }
+  }
+
+  const items = new Map();
+  for (const [key, item] of slopes) {
+    items.set(key, { difficulty: toDifficulty(item), discrimination: item.discrimination });
+  }
+
+  return { abilities, items, iterations, byPerson, byItem };
+};
+
+// Heuristic quality flags shown to admins
+export const itemFlags = ({ difficulty, discrimination, responses }) => {
+  const flags = [];
+  if (responses < 10) flags.push('insufficient-data');
+  if (discrimination < 0) {
+    flags.push('negative-discrimination');
+  } else if (discrimination < 0.3) {
+    flags.push('low-discrimination');
+  }
+  if (difficulty < -2.5) flags.push('too-easy');
+  if (difficulty > 2.5) flags.push('too-hard');
+  return flags;
+};
+
+const personKey = (userId, topicId) => `${userId}||${topicId}`;
+
+// Calibrate every question and (user, topic) ability from the Attempt collection.
+// Only each user's first answer to a question is used, so practice repeats
+// don't violate local independence.
+export const calibrateFromAttempts = async (options = {}) => {
+  const attempts = await Attempt.find()
+    .sort({ timestamp: 1 })
+    .select('userId topicId questionId isCorrect')
+    .lean();
+
+  const seen = new Set();
+  const responses = [];
+  const itemTopics = new Map();
+
+  for (const attempt of attempts) {
+    const key = `${attempt.userId}||${attempt.questionId}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    itemTopics.set(attempt.questionId, attempt.topicId);
+    responses.push({
+      person: personKey(attempt.userId, attempt.topicId),
+      item: attempt.questionId,
+      correct: attempt.isCorrect
+    });
+  }
+
+  const fit = fit2PL(responses, options);
+  const calibratedAt = new Date();
+
+  if (fit.items.size > 0) {
+    await ItemParams.bulkWrite([...fit.items].map(([questionId, params]) => {
+      const rs = fit.byItem.get(questionId);
+      return {
+        updateOne: {
+          filter: { questionId },
+          update: {
+            questionId,
+            topicId: itemTopics.get(questionId),
+            ...params,
+            responses: rs.length,
+            pCorrect: rs.filter(r => r.correct).length / rs.length,
+            calibratedAt
+          },
+          upsert: true
+        }
+      };
+    }));
+  }
+
+  if (fit.abilities.size > 0) {
+    await AbilityEstimate.bulkWrite([...fit.abilities].map(([key, ability]) => {
+      const [userId, topicId] = key.split('||');
+      return {
+        updateOne: {
+          filter: { userId, topicId },
+          update: {
+            ability,
+            responses: fit.byPerson.get(key).length,
+            calibratedAt
+          },
+          upsert: true
+        }
+      };
+    }));
+  }
+
+  return {
+    items: fit.items.size,
+    abilities: fit.abilities.size,
+    responses: responses.length,
+    iterations: fit.iterations
+  };
+};
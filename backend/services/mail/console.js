@@ -0,0 +1,11 @@
+// Prints each message to the server log instead of sending it
+
+const consoleTransport = {
+  name: 'console',
+
+  async send({ to, subject, text }) {
+    console.log(`📧 Mail to ${to}: ${subject}\n${text}`);
+  }
+};
+
+export default consoleTransport;
@@ -0,0 +1,22 @@
+import { promises as fs } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+
+// Writes each message as a JSON file under MAIL_DIR (default backend/mail-outbox)
+// instead of sending it, for local development and tests
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const mailDir = () => resolve(process.env.MAIL_DIR || join(__dirname, '..', '..', 'mail-outbox'));
+
+const fileTransport = {
+  name: 'file',
+
+  async send(message) {
+    await fs.mkdir(mailDir(), { recursive: true });
+    const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^\w.@-]/g, '_')}.json`;
+    await fs.writeFile(join(mailDir(), name), JSON.stringify(message, null, 2));
+  }
+};
+
+export default fileTransport;
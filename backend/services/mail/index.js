@@ -0,0 +1,53 @@
+import smtpTransport from './smtp.js';
+import fileTransport from './file.js';
+import consoleTransport from './console.js';
+
+// Every mail transport implements:
+//   send({ from, to, subject, text, html })
+// MAIL_TRANSPORT picks one; without it mail goes to the console.
+const transports = {
+  [smtpTransport.name]: smtpTransport,
+  [fileTransport.name]: fileTransport,
+  [consoleTransport.name]: consoleTransport
+};
+
+export const getTransport = () => transports[process.env.MAIL_TRANSPORT] || consoleTransport;
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:5173';
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+export const sendMail = ({ to, subject, text, html }) => getTransport().send({
+  from: process.env.MAIL_FROM || 'AI Student Partner <no-reply@localhost>',
+  to,
+  subject,
+  text,
+  html
+});
+
+// A short message with one call-to-action link
+const sendLinkMail = ({ user, subject, intro, action, url, outro }) => sendMail({
+  to: user.email,
+  subject,
+  text: `Hi ${user.name},\n\n${intro}\n\n${url}\n\n${outro}`,
+  html: `<p>Hi ${escapeHtml(user.name)},</p><p>${escapeHtml(intro)}</p>`
+    + `<p><a href="${escapeHtml(url)}">${escapeHtml(action)}</a></p><p>${escapeHtml(outro)}</p>`
+});
+
+export const sendPasswordResetMail = (user, token, expiresMinutes) => sendLinkMail({
+  user,
+  subject: 'Reset your password',
+  intro: 'Someone asked to reset the password for your account. Use this link to choose a new one:',
+  action: 'Reset password',
+  url: `${clientUrl()}/reset-password?token=${encodeURIComponent(token)}`,
+  outro: `The link works once and expires in ${expiresMinutes} minutes. If you didn't ask for it, ignore this email.`
+});
+
+export const sendVerificationMail = (user, token, expiresHours) => sendLinkMail({
+  user,
+  subject: 'Verify your email address',
+  intro: 'Please confirm this is your email address:',
+  action: 'Verify email',
+  url: `${clientUrl()}/verify-email?token=${encodeURIComponent(token)}`,
+  outro: `The link expires in ${expiresHours} hours.`
+});
@@ -0,0 +1,30 @@
+import nodemailer from 'nodemailer';
+
+// Sends through an SMTP server configured with SMTP_HOST, SMTP_PORT,
+// SMTP_SECURE ("true" for implicit TLS, usually port 465), SMTP_USER and SMTP_PASS
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+const smtpTransport = {
+  name: 'smtp',
+
+  async send(message) {
+    await getTransporter().sendMail(message);
+  }
+};
+
+export default smtpTransport;
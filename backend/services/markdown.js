@@ -0,0 +1,72 @@
+import { unified } from 'unified';
+import remarkParse from 'remark-parse';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import { visit, SKIP } from 'unist-util-visit';
+
+// Question text, options, explanations and hints are Markdown with $math$ and
+// fenced code. They are sanitized on save: raw HTML is removed and links or
+// images with unsafe URLs are dropped. Everything else is left byte-for-byte
+// as the author wrote it, so saving never reformats content.
+
+const parser = unified().use(remarkParse).use(remarkGfm).use(remarkMath);
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Browsers ignore control characters and spaces in a URL's scheme, so
+// "java\tscript:" (written as an entity in Markdown) still runs as javascript:
+const IGNORED_IN_URL = /[\u0000-\u0020]/g;
+
+// Relative URLs and the protocols above
+export const isSafeUrl = (url = '') => {
+  const scheme = url.replace(IGNORED_IN_URL, '').match(/^([a-z][a-z0-9+.-]*:)/i);
+  return !scheme || SAFE_PROTOCOLS.includes(scheme[1].toLowerCase());
+};
+
+const textOf = (node) => {
+  if (typeof node.value === 'string') return node.value;
+  return (node.children || []).map(textOf).join('');
+};
+
+export const sanitizeMarkdown = (source) => {
+  if (typeof source !== 'string' || source === '') return source;
+
+  const edits = [];
+  const replace = (node, text) => {
+    edits.push({ start: node.position.start.offset, end: node.position.end.offset, text });
+  };
+
+  visit(parser.parse(source), (node) => {
+    if (node.type === 'html') {
+      replace(node, '');
+      return SKIP;
+    }
+    if ((node.type === 'link' || node.type === 'definition') && !isSafeUrl(node.url)) {
+      replace(node, node.type === 'link' ? textOf(node) : '');
+      return SKIP;
+    }
+    if (node.type === 'image' && !isSafeUrl(node.url)) {
+      replace(node, node.alt || '');
+      return SKIP;
+    }
+  });
+
+  // Apply from the end so earlier offsets stay valid
+  return edits
+    .sort((a, b) => b.start - a.start)
+    .reduce((text, { start, end, text: replacement }) => (
+      text.slice(0, start) + replacement + text.slice(end)
+    ), source);
+};
+
+// Sanitize the Markdown fields of a question update in place of the originals
+export const sanitizeQuestionContent = (content) => {
+  const sanitized = { ...content };
+  for (const field of ['text', 'explanation']) {
+    if (sanitized[field] !== undefined) sanitized[field] = sanitizeMarkdown(sanitized[field]);
+  }
+  for (const field of ['options', 'matches', 'hints']) {
+    if (Array.isArray(sanitized[field])) sanitized[field] = sanitized[field].map(sanitizeMarkdown);
+  }
+  return sanitized;
+};
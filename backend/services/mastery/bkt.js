@@ -0,0 +1,62 @@
+import BKTParams from '../../models/BKTParams.js';
+
+// Bayesian Knowledge Tracing: mastery is P(student knows the topic).
+// prior: P(L0), learn: P(T), guess: P(G), slip: P(S). There is no forgetting
+// (see bktFit.js), so mastery holds between answers.
+
+export const DEFAULT_BKT_PARAMS = {
+  prior: 0.2,
+  learn: 0.15,
+  guess: 0.25, // 4-option multiple choice
+  slip: 0.1
+};
+
+const withDefaults = (params = {}) => ({ ...DEFAULT_BKT_PARAMS, ...params });
+
+// Posterior P(known) after observing one answer, before the learning transition
+export const bktPosterior = (pKnown, isCorrect, { guess, slip }) => {
+  if (isCorrect) {
+    const num = pKnown * (1 - slip);
+    return num / (num + (1 - pKnown) * guess);
+  }
+  const num = pKnown * slip;
+  return num / (num + (1 - pKnown) * (1 - guess));
+};
+
+const bktEngine = {
+  name: 'bkt',
+
+  // Fitted per-topic parameters, falling back to the defaults when a topic hasn't been fitted
+  async loadParams(topicId) {
+    const fitted = await BKTParams.findOne({ topicId }).lean();
+    if (!fitted) return { ...DEFAULT_BKT_PARAMS };
+
+    const { prior, learn, guess, slip } = fitted;
+    return { prior, learn, guess, slip };
+  },
+
+  // Partial credit is treated as soft evidence between a correct and a wrong answer;
+  // weight extends the step from the prior belief to the posterior
+  update(state, { isCorrect, credit = 1, weight = 1 }, params) {
+    const p = withDefaults(params);
+    const pKnown = state.attempts ? state.mastery ?? p.prior : p.prior;
+    const evidence = isCorrect
+      ? credit * bktPosterior(pKnown, true, p) + (1 - credit) * bktPosterior(pKnown, false, p)
+      : bktPosterior(pKnown, false, p);
+    const posterior = Math.min(1, Math.max(0, pKnown + weight * (evidence - pKnown)));
+    return { mastery: posterior + (1 - posterior) * p.learn };
+  },
+
+  // Probability of answering the next question correctly
+  predict(state, params) {
+    const p = withDefaults(params);
+    const pKnown = state.mastery ?? p.prior;
+    return pKnown * (1 - p.slip) + (1 - pKnown) * p.guess;
+  },
+
+  decay(state, now = new Date(), params) {
+    return state.mastery ?? withDefaults(params).prior;
+  }
+};
+
+export default bktEngine;
@@ -0,0 +1,174 @@
+import Attempt from '../../models/Attempt.js';
+import BKTParams from '../../models/BKTParams.js';
+import { DEFAULT_BKT_PARAMS } from './bkt.js';
+
+// Expectation-Maximisation (Baum-Welch) for the two-state BKT hidden Markov model.
+// Each sequence is one student's answers on one topic, oldest first (true = correct).
+// State 0 = not known, state 1 = known; there is no forgetting, so known is absorbing.
+
+const EPSILON = 1e-6;
+// Keep guess/slip below 0.5 so "known" stays the state that answers correctly
+const MAX_GUESS = 0.5;
+const MAX_SLIP = 0.5;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Scaled forward-backward pass over one sequence
+const forwardBackward = (obs, { prior, learn, guess, slip }) => {
+  const T = obs.length;
+  const emit = (state, correct) => {
+    if (state === 1) return correct ? 1 - slip : slip;
+    return correct ? guess : 1 - guess;
+  };
+
+  const alpha = new Array(T);
+  const scale = new Array(T);
+
+  let a0 = (1 - prior) * emit(0, obs[0]);
+  let a1 = prior * emit(1, obs[0]);
+  scale[0] = a0 + a1;
+  alpha[0] = [a0 / scale[0], a1 / scale[0]];
+
+  for (let t = 1; t < T; t++) {
+    const [p0, p1] = alpha[t - 1];
+    a0 = p0 * (1 - learn) * emit(0, obs[t]);
+    a1 = (p0 * learn + p1) * emit(1, obs[t]);
+    scale[t] = a0 + a1;
+    alpha[t] = [a0 / scale[t], a1 / scale[t]];
+  }
+
+  const beta = new Array(T);
+  beta[T - 1] = [1, 1];
+  for (let t = T - 2; t >= 0; t--) {
+    const e0 = emit(0, obs[t + 1]);
+    const e1 = emit(1, obs[t + 1]);
+    const [b0, b1] = beta[t + 1];
+    beta[t] = [
+      ((1 - learn) * e0 * b0 + learn * e1 * b1) / scale[t + 1],
+      (e1 * b1) / scale[t + 1]
+    ];
+  }
+
+  const gamma = alpha.map(([p0, p1], t) => {
+    const g0 = p0 * beta[t][0];
+    const g1 = p1 * beta[t][1];
+    const total = g0 + g1;
+    return [g0 / total, g1 / total];
+  });
+
+  // Expected number of unknown -> known transitions between t and t + 1
+  const learned = new Array(Math.max(0, T - 1));
+  for (let t = 0; t < T - 1; t++) {
+    learned[t] = (alpha[t][0] * learn * emit(1, obs[t + 1]) * beta[t + 1][1]) / scale[t + 1];
+  }
+
+  const logLikelihood = scale.reduce((acc, s) => acc + Math.log(s), 0);
+
+  return { gamma, learned, logLikelihood };
+};
+
+export const fitBKT = (sequences, options = {}) => {
+  const { maxIterations = 100, tolerance = 1e-4 } = options;
+  const data = sequences.filter(seq => seq.length > 0);
+
+  let params = { ...DEFAULT_BKT_PARAMS, ...options.initial };
+  let logLikelihood = -Infinity;
+  let iterations = 0;
+
+  if (data.length === 0) {
+    return { params, logLikelihood: null, iterations, sequences: 0, observations: 0 };
+  }
+
+  for (; iterations < maxIterations; iterations++) {
+    let priorNum = 0;
+    let learnNum = 0;
+    let learnDen = 0;
+    let guessNum = 0;
+    let guessDen = 0;
+    let slipNum = 0;
+    let slipDen = 0;
+    let total = 0;
+
+    for (const obs of data) {
+      const { gamma, learned, logLikelihood: ll } = forwardBackward(obs, params);
+      total += ll;
+      priorNum += gamma[0][1];
+
+      for (let t = 0; t < obs.length; t++) {
+        const [g0, g1] = gamma[t];
+        if (t < obs.length - 1) {
+          learnNum += learned[t];
+          learnDen += g0;
+        }
+        guessDen += g0;
+        slipDen += g1;
+        if (obs[t]) {
+          guessNum += g0;
+        } else {
+          slipNum += g1;
+        }
+      }
+    }
+
+    params = {
+      ...params,
+      prior: clamp(priorNum / data.length, EPSILON, 1 - EPSILON),
+      learn: learnDen > 0 ? clamp(learnNum / learnDen, EPSILON, 1 - EPSILON) : params.learn,
+      guess: guessDen > 0 ? clamp(guessNum / guessDen, EPSILON, MAX_GUESS) : params.guess,
+      slip: slipDen > 0 ? clamp(slipNum / slipDen, EPSILON, MAX_SLIP) : params.slip
+    };
+
+    const improvement = total - logLikelihood;
+    logLikelihood = total;
+    if (improvement < tolerance) {
+      iterations += 1;
+      break;
+    }
+  }
+
+  return {
+    params,
+    logLikelihood,
+    iterations,
+    sequences: data.length,
+    observations: data.reduce((acc, seq) => acc + seq.length, 0)
+  };
+};
+
+// Fit one topic's parameters from the Attempt collection and persist them
+export const fitTopicFromAttempts = async (topicId, options = {}) => {
+  const { minObservations = 20 } = options;
+
+  const attempts = await Attempt.find({ topicId })
+    .sort({ userId: 1, timestamp: 1 })
+    .select('userId isCorrect')
+    .lean();
+
+  if (attempts.length < minObservations) {
+    return { topicId, skipped: true, observations: attempts.length };
+  }
+
+  const byUser = new Map();
+  for (const attempt of attempts) {
+    const key = attempt.userId.toString();
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push(attempt.isCorrect);
+  }
+
+  const fit = fitBKT([...byUser.values()], options);
+
+  const saved = await BKTParams.findOneAndUpdate(
+    { topicId },
+    {
+      ...fit.params,
+      sequences: fit.sequences,
+      observations: fit.observations,
+      logLikelihood: fit.logLikelihood,
+      iterations: fit.iterations,
+      fittedAt: new Date()
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  return { topicId, skipped: false, params: saved };
+};
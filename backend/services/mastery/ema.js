@@ -0,0 +1,33 @@
+// Exponential moving average mastery, ported from mastery.py's EMAMastery.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_ALPHA = 0.3;
+const INITIAL_MASTERY = 0.2;
+// Days for mastery to lose half its gain over the initial level
+const HALF_LIFE_DAYS = 30;
+
+const emaEngine = {
+  name: 'ema',
+
+  // weight scales the learning rate, so a weighted answer moves mastery further
+  update(state, { isCorrect, credit, weight = 1 }) {
+    const alpha = Math.min(1, (state.emaAlpha ?? DEFAULT_ALPHA) * weight);
+    const prev = state.mastery ?? INITIAL_MASTERY;
+    const target = isCorrect ? credit ?? 1 : 0;
+    return { mastery: alpha * target + (1 - alpha) * prev };
+  },
+
+  predict(state) {
+    return state.mastery ?? INITIAL_MASTERY;
+  },
+
+  decay(state, now = new Date()) {
+    const mastery = this.predict(state);
+    if (!state.lastReview || mastery <= INITIAL_MASTERY) return mastery;
+
+    const daysSince = (new Date(now) - new Date(state.lastReview)) / DAY_MS;
+    return INITIAL_MASTERY + (mastery - INITIAL_MASTERY) * Math.pow(0.5, daysSince / HALF_LIFE_DAYS);
+  }
+};
+
+export default emaEngine;
@@ -0,0 +1,98 @@
+import InviteLink from '../../models/InviteLink.js';
+import emaEngine from './ema.js';
+import sm2Engine, { updateSM2 } from './sm2.js';
+import bktEngine from './bkt.js';
+
+// Every engine implements:
+//   update(state, { isCorrect, timestamp, credit, weight }, params) -> fields to set on Progress
+//     (credit in [0, 1] scales a correct answer, e.g. after hints; weight >= 1
+//     strengthens the update, e.g. for a confident wrong answer)
+//   predict(state, params) -> probability of answering the next question correctly
+//   decay(state, now, params) -> mastery adjusted for time since lastReview
+// and may implement loadParams(topicId) -> params for the calls above
+const engines = {
+  [emaEngine.name]: emaEngine,
+  [sm2Engine.name]: sm2Engine,
+  [bktEngine.name]: bktEngine
+};
+
+export const ENGINE_NAMES = Object.keys(engines);
+
+export const getDefaultEngineName = () => {
+  const name = process.env.MASTERY_ENGINE;
+  return engines[name] ? name : emaEngine.name;
+};
+
+export const getEngine = (name) => engines[name] || engines[getDefaultEngineName()];
+
+export const loadEngineParams = async (engine, topicId) => (
+  engine.loadParams ? engine.loadParams(topicId) : undefined
+);
+
+// Per-user override wins, then the cohort (invite link) the user joined through,
+// then the deployment default
+export const resolveEngineName = async (user) => {
+  if (user?.masteryEngine && engines[user.masteryEngine]) {
+    return user.masteryEngine;
+  }
+
+  if (user?.usedInviteCode) {
+    const inviteLink = await InviteLink.findOne({ code: user.usedInviteCode }).select('masteryEngine');
+    if (inviteLink?.masteryEngine && engines[inviteLink.masteryEngine]) {
+      return inviteLink.masteryEngine;
+    }
+  }
+
+  return getDefaultEngineName();
+};
+
+// Share of the credit for a correct answer each hint takes away
+const HINT_PENALTY = 0.25;
+
+// Correct answers up to FAST_ANSWER_SECONDS keep full credit; slower ones lose
+// up to SLOW_PENALTY of it, reached at SLOW_ANSWER_SECONDS
+const FAST_ANSWER_SECONDS = 20;
+const SLOW_ANSWER_SECONDS = 120;
+const SLOW_PENALTY = 0.25;
+
+const speedFactor = (timeTaken) => {
+  if (timeTaken === null || timeTaken === undefined) return 1;
+  const slowness = (timeTaken - FAST_ANSWER_SECONDS) / (SLOW_ANSWER_SECONDS - FAST_ANSWER_SECONDS);
+  return 1 - SLOW_PENALTY * Math.min(1, Math.max(0, slowness));
+};
+
+// Confidence a student may report with an answer
+export const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+// A correct answer given with low confidence is partly a guess
+const LOW_CONFIDENCE_CREDIT = 0.6;
+// A wrong answer given with high confidence points to a misconception
+const MISCONCEPTION_WEIGHT = 1.5;
+
+// Credit for an answer: 1 for a quick, confident, unaided correct answer, less
+// for each hint used, a slow answer or low confidence. Unknown latency
+// (timeTaken null) and unreported confidence aren't penalised.
+export const creditForAnswer = (isCorrect, { hintsUsed = 0, timeTaken = null, confidence = null } = {}) => (
+  isCorrect
+    ? Math.max(0, 1 - HINT_PENALTY * hintsUsed)
+      * speedFactor(timeTaken)
+      * (confidence === 'low' ? LOW_CONFIDENCE_CREDIT : 1)
+    : 0
+);
+
+// Weight of an answer's update: confident wrong answers pull mastery down harder
+export const weightForAnswer = (isCorrect, { confidence = null } = {}) => (
+  !isCorrect && confidence === 'high' ? MISCONCEPTION_WEIGHT : 1
+);
+
+// Apply one answer to a Progress document. The SM-2 review schedule is kept up to
+// date whichever engine owns the mastery value.
+export const applyAnswer = (progress, engine, observation, params) => {
+  const schedule = updateSM2(progress, observation.isCorrect, observation.timestamp, observation.credit, observation.weight);
+  const update = engine.update(progress, observation, params);
+
+  progress.set({ ...schedule, ...update, masteryEngine: engine.name });
+  return progress;
+};
+
+export { emaEngine, sm2Engine, bktEngine, updateSM2 };
@@ -0,0 +1,82 @@
+// SM-2 spaced repetition (simplified), ported from mastery.py's SM2Mastery.
+// Quality score q: 5 (perfect) to 0 (complete blackout).
+// We map correct -> q=5, incorrect -> q=2; a correct answer with partial
+// credit (e.g. after hints) drops toward q=3, and a wrong answer with extra
+// weight (a confident misconception) drops to q=1
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASINESS = 1.3;
+const INITIAL_MASTERY = 0.2;
+
+export const qualityFromAnswer = (isCorrect, credit = 1, weight = 1) => {
+  if (isCorrect) return 3 + Math.floor(2 * credit);
+  return weight > 1 ? 1 : 2;
+};
+
+// Compute the next SM-2 state from the current one.
+// state: { easinessFactor, interval, repetitions }
+export const updateSM2 = (state, isCorrect, timestamp = new Date(), credit = 1, weight = 1) => {
+  const q = qualityFromAnswer(isCorrect, credit, weight);
+  let easinessFactor = state.easinessFactor ?? 2.5;
+  let interval = state.interval ?? 0;
+  let repetitions = state.repetitions ?? 0;
+
+  if (q < 3) {
+    repetitions = 0;
+    interval = 1;
+    // A misconception also makes the item harder, so it comes back sooner once relearned
+    if (q < 2) {
+      easinessFactor = Math.max(MIN_EASINESS, easinessFactor + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+    }
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) {
+      interval = 1;
+    } else if (repetitions === 2) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * easinessFactor);
+    }
+    // Update EF
+    easinessFactor = Math.max(
+      MIN_EASINESS,
+      easinessFactor + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02))
+    );
+  }
+
+  // Schedule next review
+  const nextReview = new Date(new Date(timestamp).getTime() + interval * DAY_MS);
+
+  return { easinessFactor, interval, repetitions, nextReview };
+};
+
+// Pseudo-mastery from repetitions and EF in [0,1], for ranking
+export const sm2MasteryEstimate = (state) => {
+  if (!state) return INITIAL_MASTERY;
+  return Math.min(0.99, INITIAL_MASTERY + 0.2 * state.repetitions + 0.2 * (state.easinessFactor - MIN_EASINESS));
+};
+
+const sm2Engine = {
+  name: 'sm2',
+
+  update(state, { isCorrect, timestamp, credit, weight }) {
+    const schedule = updateSM2(state, isCorrect, timestamp, credit, weight);
+    return { ...schedule, mastery: sm2MasteryEstimate(schedule) };
+  },
+
+  predict(state) {
+    return state.mastery ?? sm2MasteryEstimate(state);
+  },
+
+  // Once a review is overdue, the gain over the initial level halves every interval
+  decay(state, now = new Date()) {
+    const mastery = this.predict(state);
+    if (!state.lastReview || !state.interval || mastery <= INITIAL_MASTERY) return mastery;
+
+    const daysSince = (new Date(now) - new Date(state.lastReview)) / DAY_MS;
+    const overdue = Math.max(0, daysSince - state.interval);
+    return INITIAL_MASTERY + (mastery - INITIAL_MASTERY) * Math.pow(0.5, overdue / state.interval);
+  }
+};
+
+export default sm2Engine;
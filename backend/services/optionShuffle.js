@@ -0,0 +1,95 @@
+// Per-session option shuffling. A session stores, for each question it serves,
+// a permutation of the question's options: order[i] is the index in the
+// authored options of the option shown at position i. Shown options are
+// relabelled A, B, C... in their new order, so students can't learn answers
+// by position; answers are mapped back to the authored letters for grading.
+
+// Types whose answer refers to options by letter or position
+const SHUFFLED_TYPES = ['single', 'multi', 'ordering', 'matching'];
+
+// "A. text" or "A) text": the letter can be swapped without touching the text
+const LETTER_PREFIX = /^[A-Z][.)]\s+/;
+
+const letterAt = (index) => String.fromCharCode(65 + index);
+const letterOf = (option) => option?.[0]?.toUpperCase();
+const upper = (value) => String(value ?? '').trim().toUpperCase();
+
+const canShuffle = (question) => (
+  SHUFFLED_TYPES.includes(question.type || 'single')
+  && Array.isArray(question.options)
+  && question.options.length > 1
+  && question.options.every((option, i) => LETTER_PREFIX.test(option) && letterOf(option) === letterAt(i))
+);
+
+// A stored order still applies unless the question's options changed since
+const fitsQuestion = (question, order) => (
+  Array.isArray(order)
+  && canShuffle(question)
+  && order.length === question.options.length
+  && [...order].sort((a, b) => a - b).every((value, i) => value === i)
+);
+
+// A random order for the question's options, or null if it isn't shuffled
+export const newOptionOrder = (question) => {
+  if (!canShuffle(question)) return null;
+
+  const order = question.options.map((_, i) => i);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+};
+
+// Translate letters one way or the other between authored and shown positions
+const letterMaps = (order) => {
+  const toAuthored = new Map(order.map((authored, shown) => [letterAt(shown), letterAt(authored)]));
+  const toShown = new Map(order.map((authored, shown) => [letterAt(authored), letterAt(shown)]));
+  return { toAuthored, toShown };
+};
+
+const mapAnswer = (type, answer, order, letters) => {
+  switch (type) {
+    case 'multi':
+    case 'ordering':
+      return Array.isArray(answer) ? answer.map(a => letters.get(upper(a)) ?? a) : answer;
+    case 'single':
+      return letters.get(upper(answer)) ?? answer;
+    default:
+      return answer;
+  }
+};
+
+// The question as shown with this order: options reordered and relabelled and
+// the answer key in shown letters. Returns the question itself when order is
+// null or no longer fits it.
+export const displayQuestion = (question, order) => {
+  if (!fitsQuestion(question, order)) return question;
+
+  const type = question.type || 'single';
+  const { toShown } = letterMaps(order);
+  const answer = type === 'matching'
+    ? order.map(authored => question.answer?.[authored])
+    : mapAnswer(type, question.answer, order, toShown);
+
+  return {
+    ...question,
+    options: order.map((authored, shown) => letterAt(shown) + question.options[authored].slice(1)),
+    answer
+  };
+};
+
+// An answer given against the shown options, in authored letters and positions
+export const canonicalAnswer = (question, order, answer) => {
+  if (!fitsQuestion(question, order)) return answer;
+
+  const type = question.type || 'single';
+  if (type === 'matching') {
+    if (!Array.isArray(answer) || answer.length !== order.length) return answer;
+    const authored = [];
+    order.forEach((authoredIndex, shown) => { authored[authoredIndex] = answer[shown]; });
+    return authored;
+  }
+
+  return mapAnswer(type, answer, order, letterMaps(order).toAuthored);
+};
@@ -0,0 +1,93 @@
+import Attempt from '../models/Attempt.js';
+import Progress from '../models/Progress.js';
+import ItemParams from '../models/ItemParams.js';
+import AbilityEstimate from '../models/AbilityEstimate.js';
+import { probabilityCorrect } from './irt.js';
+
+// How the next question in a topic is picked:
+//   random       - uniformly among unanswered questions
+//   adaptive     - closest to the target success rate for the student's ability,
+//                  with previously missed questions pulled forward
+//   review-first - previously missed questions first, then random
+export const STRATEGIES = ['random', 'adaptive', 'review-first'];
+
+// Success probability that keeps practice in the zone of proximal development
+const TARGET_SUCCESS = 0.7;
+// How far a previously missed question is pulled toward the target
+const MISSED_BONUS = 0.15;
+// Used until the calibration job has estimated a question
+const DEFAULT_ITEM = { difficulty: 0, discrimination: 1 };
+
+export const getDefaultStrategy = () => {
+  const strategy = process.env.QUESTION_STRATEGY;
+  return STRATEGIES.includes(strategy) ? strategy : 'random';
+};
+
+const pickRandom = (list) => list[Math.floor(Math.random() * list.length)];
+
+// Questions whose most recent answer by this user was wrong
+const getMissedQuestionIds = async (userId, topicId) => {
+  const latest = await Attempt.aggregate([
+    { $match: { userId, topicId } },
+    { $sort: { timestamp: -1 } },
+    { $group: { _id: '$questionId', isCorrect: { $first: '$isCorrect' } } },
+    { $match: { isCorrect: false } }
+  ]);
+  return new Set(latest.map(q => q._id));
+};
+
+// Calibrated IRT ability, else mastery mapped onto the logit scale
+const getAbility = async (userId, topicId) => {
+  const estimate = await AbilityEstimate.findOne({ userId, topicId });
+  if (estimate) return estimate.ability;
+
+  const progress = await Progress.findOne({ userId, topicId });
+  const mastery = Math.min(0.95, Math.max(0.05, progress?.mastery ?? 0.2));
+  return Math.log(mastery / (1 - mastery));
+};
+
+const selectAdaptive = async (candidates, { userId, topicId }) => {
+  const [ability, missed, calibrated] = await Promise.all([
+    getAbility(userId, topicId),
+    getMissedQuestionIds(userId, topicId),
+    ItemParams.find({ questionId: { $in: candidates.map(c => c.id) } }).lean()
+  ]);
+  const paramsById = new Map(calibrated.map(item => [item.questionId, item]));
+
+  let best = [];
+  let bestScore = Infinity;
+  for (const candidate of candidates) {
+    const item = paramsById.get(candidate.id) || DEFAULT_ITEM;
+    let score = Math.abs(probabilityCorrect(ability, item) - TARGET_SUCCESS);
+    if (missed.has(candidate.id)) score -= MISSED_BONUS;
+
+    if (score < bestScore - 1e-9) {
+      best = [candidate];
+      bestScore = score;
+    } else if (Math.abs(score - bestScore) <= 1e-9) {
+      best.push(candidate);
+    }
+  }
+
+  return pickRandom(best);
+};
+
+const selectReviewFirst = async (candidates, { userId, topicId }) => {
+  const missed = await getMissedQuestionIds(userId, topicId);
+  const review = candidates.filter(c => missed.has(c.id));
+  return pickRandom(review.length > 0 ? review : candidates);
+};
+
+// candidates: [{ id, ... }] of unanswered questions; returns one of them
+export const selectQuestion = async (strategy, candidates, context) => {
+  if (candidates.length === 0) return null;
+
+  switch (strategy) {
+    case 'adaptive':
+      return selectAdaptive(candidates, context);
+    case 'review-first':
+      return selectReviewFirst(candidates, context);
+    default:
+      return pickRandom(candidates);
+  }
+};
@@ -0,0 +1,194 @@
+// Question types. Each type implements:
+//   validate(question) -> error message or null (run before saving)
+//   grade(question, userAnswer) -> true if the answer is correct
+//   format(question, answer) -> human-readable answer for feedback
+//
+// Answer shapes:
+//   single      'B'                       (letter of the option, options[i][0])
+//   multi       ['A', 'C']                (every correct letter)
+//   true-false  true | false
+//   numeric     42.5                      (+ question.tolerance)
+//   short-text  ['Paris', 'Paris, France'] accepted variants (+ optional question.pattern)
+//   ordering    ['C', 'A', 'B']           (option letters in the correct order)
+//   matching    [2, 0, 1]                 (answer[i] = index in question.matches for options[i])
+
+const letterOf = (option) => option?.[0]?.toUpperCase();
+const letters = (question) => question.options.map(letterOf);
+
+const upper = (value) => String(value ?? '').trim().toUpperCase();
+
+const normalizeText = (value, caseSensitive) => {
+  const text = String(value ?? '').trim().replace(/\s+/g, ' ');
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+const toBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  const text = String(value ?? '').trim().toLowerCase();
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  return null;
+};
+
+const sameList = (a, b) => (
+  Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((x, i) => x === b[i])
+);
+
+const needsOptions = (question, min = 2) => (
+  !Array.isArray(question.options) || question.options.length < min
+    ? `A ${question.type} question needs at least ${min} options`
+    : null
+);
+
+const types = {
+  single: {
+    validate(question) {
+      return needsOptions(question) || (
+        letters(question).includes(upper(question.answer)) ? null : 'Answer must be the letter of one of the options'
+      );
+    },
+    grade(question, userAnswer) {
+      return upper(userAnswer) === upper(question.answer);
+    },
+    format(question, answer) {
+      return upper(answer);
+    }
+  },
+
+  multi: {
+    validate(question) {
+      const error = needsOptions(question);
+      if (error) return error;
+      if (!Array.isArray(question.answer) || question.answer.length === 0) {
+        return 'Answer must list at least one correct option';
+      }
+      const valid = letters(question);
+      return question.answer.every(a => valid.includes(upper(a))) ? null : 'Answer letters must match the options';
+    },
+    grade(question, userAnswer) {
+      if (!Array.isArray(userAnswer)) return false;
+      const expected = [...new Set(question.answer.map(upper))].sort();
+      const given = [...new Set(userAnswer.map(upper))].sort();
+      return sameList(expected, given);
+    },
+    format(question, answer) {
+      return Array.isArray(answer) ? answer.map(upper).join(', ') : upper(answer);
+    }
+  },
+
+  'true-false': {
+    validate(question) {
+      return typeof question.answer === 'boolean' ? null : 'Answer must be true or false';
+    },
+    grade(question, userAnswer) {
+      return toBoolean(userAnswer) === question.answer;
+    },
+    format(question, answer) {
+      const value = toBoolean(answer);
+      return value === null ? String(answer) : value ? 'True' : 'False';
+    }
+  },
+
+  numeric: {
+    validate(question) {
+      if (typeof question.answer !== 'number' || !Number.isFinite(question.answer)) {
+        return 'Answer must be a number';
+      }
+      return question.tolerance >= 0 ? null : 'Tolerance must be zero or positive';
+    },
+    grade(question, userAnswer) {
+      if (userAnswer === null || userAnswer === undefined || String(userAnswer).trim() === '') return false;
+      const value = Number(userAnswer);
+      return Number.isFinite(value) && Math.abs(value - question.answer) <= (question.tolerance || 0);
+    },
+    format(question, answer) {
+      return question.tolerance && answer === question.answer
+        ? `${answer} (±${question.tolerance})`
+        : String(answer);
+    }
+  },
+
+  'short-text': {
+    validate(question) {
+      const variants = Array.isArray(question.answer) ? question.answer.filter(Boolean) : [];
+      if (variants.length === 0 && !question.pattern) {
+        return 'Provide at least one accepted answer or a pattern';
+      }
+      if (question.pattern) {
+        try {
+          new RegExp(question.pattern);
+        } catch (err) {
+          return `Invalid pattern: ${err.message}`;
+        }
+      }
+      return null;
+    },
+    grade(question, userAnswer) {
+      if (typeof userAnswer !== 'string') return false;
+      const given = normalizeText(userAnswer, question.caseSensitive);
+      const variants = (question.answer || []).map(v => normalizeText(v, question.caseSensitive));
+      if (variants.includes(given)) return true;
+      if (question.pattern) {
+        const flags = question.caseSensitive ? '' : 'i';
+        return new RegExp(`^(?:${question.pattern})$`, flags).test(userAnswer.trim());
+      }
+      return false;
+    },
+    format(question, answer) {
+      return Array.isArray(answer) ? answer[0] || '' : String(answer ?? '');
+    }
+  },
+
+  ordering: {
+    validate(question) {
+      const error = needsOptions(question);
+      if (error) return error;
+      const expected = [...letters(question)].sort();
+      const given = Array.isArray(question.answer) ? question.answer.map(upper).sort() : [];
+      return sameList(expected, given) ? null : 'Answer must list every option letter exactly once';
+    },
+    grade(question, userAnswer) {
+      return Array.isArray(userAnswer) && sameList(question.answer.map(upper), userAnswer.map(upper));
+    },
+    format(question, answer) {
+      return Array.isArray(answer) ? answer.map(upper).join(' → ') : String(answer);
+    }
+  },
+
+  matching: {
+    validate(question) {
+      const error = needsOptions(question);
+      if (error) return error;
+      if (!Array.isArray(question.matches) || question.matches.length < 2) {
+        return 'A matching question needs at least 2 matches';
+      }
+      const valid = Array.isArray(question.answer)
+        && question.answer.length === question.options.length
+        && question.answer.every(i => Number.isInteger(i) && i >= 0 && i < question.matches.length);
+      return valid ? null : 'Answer must pick a match for every option';
+    },
+    grade(question, userAnswer) {
+      return Array.isArray(userAnswer) && sameList(question.answer, userAnswer.map(Number));
+    },
+    format(question, answer) {
+      if (!Array.isArray(answer)) return String(answer);
+      return answer
+        .map((matchIndex, i) => `${letterOf(question.options[i])} → ${question.matches[matchIndex] ?? '?'}`)
+        .join(', ');
+    }
+  }
+};
+
+export const QUESTION_TYPES = Object.keys(types);
+
+const getType = (question) => types[question.type || 'single'];
+
+export const validateQuestion = (question) => {
+  const type = getType(question);
+  if (!type) return `Unknown question type. Use one of: ${QUESTION_TYPES.join(', ')}`;
+  return type.validate(question);
+};
+
+export const gradeAnswer = (question, userAnswer) => getType(question).grade(question, userAnswer);
+
+export const formatAnswer = (question, answer) => getType(question).format(question, answer);
@@ -0,0 +1,39 @@
+// Role-aware serialization of quiz content. Every quiz route builds its
+// question payloads here so answers can only reach admins before submission.
+
+export const canSeeAnswers = (user) => user?.role === 'admin';
+
+// Fields every role may see
+const publicQuestion = (question) => ({
+  id: question.questionId,
+  type: question.type || 'single',
+  question: question.text,
+  options: question.options,
+  hintCount: question.hints?.length || 0,
+  media: (question.media || []).map(m => ({ url: m.url, alt: m.alt, contentType: m.contentType })),
+  ...(question.type === 'matching' ? { matches: question.matches } : {})
+});
+
+// Fields only admins may see before a student submits
+const answerFields = (question) => ({
+  answer: question.answer,
+  tolerance: question.tolerance,
+  pattern: question.pattern,
+  caseSensitive: question.caseSensitive,
+  explanation: question.explanation,
+  hints: question.hints,
+  revision: question.revision
+});
+
+export const serializeQuestion = (question, user, extra = {}) => ({
+  ...publicQuestion(question),
+  ...extra,
+  ...(canSeeAnswers(user) ? answerFields(question) : {})
+});
+
+export const serializeTopic = (topic, user) => ({
+  topicId: topic.topicId,
+  title: topic.title,
+  subjectName: topic.subjectName,
+  questions: topic.questions.map(q => serializeQuestion(q, user))
+});
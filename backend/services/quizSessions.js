@@ -0,0 +1,110 @@
+import Progress from '../models/Progress.js';
+import { selectQuestion } from './questionSelection.js';
+import { serializeQuestion } from './quizSerializer.js';
+import { issueServedToken } from './answerTiming.js';
+import { newOptionOrder, displayQuestion } from './optionShuffle.js';
+import { openExamQuestionIds } from './exams.js';
+
+// Mastery a topic starts at before the first answer (see the Progress model)
+const INITIAL_MASTERY = 0.2;
+
+export const currentMastery = async (userId, topicId) => {
+  const progress = await Progress.findOne({ userId, topicId }).select('mastery');
+  return progress?.mastery ?? INITIAL_MASTERY;
+};
+
+// Pick the session's next question among those it hasn't answered and that
+// aren't in an exam the user is taking, or null when none is left, and fix the order its options are shown in and
+// the time it was served. Mutates session.currentQuestionId, servedAt and
+// optionOrders; the caller saves.
+export const advanceSession = async (session, topic) => {
+  const answered = new Set(session.answers.map(a => a.questionId));
+  const inExam = await openExamQuestionIds(session.userId);
+  const candidates = topic.questions
+    .map((q, idx) => ({ id: q.questionId, index: idx }))
+    .filter(c => !answered.has(c.id) && !inExam.has(c.id));
+
+  const selected = await selectQuestion(session.strategy, candidates, {
+    userId: session.userId,
+    topicId: topic.topicId
+  });
+
+  const question = selected ? topic.questions[selected.index] : null;
+  session.currentQuestionId = question?.questionId ?? null;
+  session.servedAt = question ? new Date() : null;
+
+  const order = question && newOptionOrder(question);
+  if (order) session.optionOrders.set(question.questionId, order);
+
+  return question;
+};
+
+// The order the session shows a question's options in, or null for authored order
+export const sessionOptionOrder = (session, questionId) => {
+  const order = session.optionOrders?.get(questionId);
+  return order ? [...order] : null;
+};
+
+// The session's pending question as the quiz page renders it, or null.
+// servedToken signs the time advanceSession picked the question, so fetching
+// it again doesn't restart the answer clock.
+export const sessionQuestion = (session, topic, user) => {
+  const index = topic.questions.findIndex(q => q.questionId === session.currentQuestionId);
+  if (index === -1) return null;
+
+  const question = topic.questions[index];
+  const shown = displayQuestion(question, sessionOptionOrder(session, question.questionId));
+
+  return serializeQuestion(shown, user, {
+    topicId: topic.topicId,
+    topicTitle: topic.title,
+    subjectName: topic.subjectName,
+    questionIndex: index,
+    ...(session.servedAt && { servedToken: issueServedToken(user._id, session.currentQuestionId, session.servedAt.getTime()) })
+  });
+};
+
+// Score, time and mastery change; endMastery is passed for sessions still running
+export const summarizeSession = (session, endMastery = session.endMastery) => {
+  const answered = session.answers.length;
+  const correct = session.answers.filter(a => a.isCorrect).length;
+  const end = session.finishedAt || session.answers[answered - 1]?.answeredAt || session.createdAt;
+
+  return {
+    answered,
+    correct,
+    score: answered > 0 ? correct / answered : 0,
+    credit: session.answers.reduce((sum, a) => sum + a.credit, 0),
+    durationSeconds: Math.round((end - session.createdAt) / 1000),
+    startMastery: session.startMastery,
+    endMastery,
+    masteryDelta: endMastery - session.startMastery
+  };
+};
+
+export const serializeSession = (session, topic, extra = {}) => ({
+  id: session._id,
+  topicId: session.topicId,
+  topicTitle: topic?.title,
+  subjectName: topic?.subjectName,
+  strategy: session.strategy,
+  status: session.status,
+  answered: session.answers.length,
+  correct: session.answers.filter(a => a.isCorrect).length,
+  totalQuestions: topic?.questions.length ?? null,
+  startedAt: session.createdAt,
+  updatedAt: session.updatedAt,
+  finishedAt: session.finishedAt,
+  ...extra
+});
+
+// Close a session, recording the mastery it ended on
+export const finishSession = async (session) => {
+  session.status = 'finished';
+  session.currentQuestionId = null;
+  session.servedAt = null;
+  session.finishedAt = new Date();
+  session.endMastery = await currentMastery(session.userId, session.topicId);
+  await session.save();
+  return summarizeSession(session);
+};
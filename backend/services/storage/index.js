@@ -0,0 +1,51 @@
+import crypto from 'crypto';
+import localDiskStorage from './local.js';
+
+// Every storage driver implements:
+//   save({ key, buffer, contentType }) -> { key, url }
+//   remove(key)
+//   getUrl(key) -> URL the browser loads the file from
+// and may implement mount(app) to serve its files from this server.
+// An S3-compatible driver only needs these methods and an entry below.
+const drivers = {
+  [localDiskStorage.name]: localDiskStorage
+};
+
+export const getStorage = () => drivers[process.env.STORAGE_DRIVER] || localDiskStorage;
+
+export const mountStorage = (app) => getStorage().mount?.(app);
+
+export const removeMedia = async (media) => (drivers[media.storage] || getStorage()).remove(media.key);
+
+// Accepted uploads with the magic bytes their content must start with; null
+// matches any byte (WebP is a RIFF container: "RIFF", a 4-byte size, "WEBP")
+const MEDIA_TYPES = {
+  'image/png': { ext: '.png', signature: [0x89, 0x50, 0x4e, 0x47] },
+  'image/jpeg': { ext: '.jpg', signature: [0xff, 0xd8, 0xff] },
+  'image/gif': { ext: '.gif', signature: [0x47, 0x49, 0x46, 0x38] },
+  'image/webp': { ext: '.webp', signature: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] },
+  'application/pdf': { ext: '.pdf', signature: [0x25, 0x50, 0x44, 0x46] }
+};
+
+export const ALLOWED_MEDIA_TYPES = Object.keys(MEDIA_TYPES);
+
+export const getMaxMediaSize = () => (parseInt(process.env.MAX_UPLOAD_MB) || 5) * 1024 * 1024;
+
+// Error message when the file isn't an accepted type, or null
+export const validateMedia = ({ mimetype, buffer }) => {
+  const type = MEDIA_TYPES[mimetype];
+  if (!type) {
+    return `Unsupported file type. Allowed: ${ALLOWED_MEDIA_TYPES.join(', ')}`;
+  }
+  if (!type.signature.every((byte, i) => byte === null || buffer[i] === byte)) {
+    return 'File content does not match its type';
+  }
+  return null;
+};
+
+export const storeMedia = async ({ mimetype, buffer }) => {
+  const storage = getStorage();
+  const key = `${crypto.randomUUID()}${MEDIA_TYPES[mimetype].ext}`;
+  const saved = await storage.save({ key, buffer, contentType: mimetype });
+  return { ...saved, storage: storage.name };
+};
@@ -0,0 +1,49 @@
+import express from 'express';
+import { promises as fs } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve, sep } from 'path';
+
+// Stores media under UPLOAD_DIR (default backend/uploads) and serves it at /api/uploads
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PUBLIC_PATH = '/api/uploads';
+
+const uploadDir = () => resolve(process.env.UPLOAD_DIR || join(__dirname, '..', '..', 'uploads'));
+
+// Keys are generated by us, but never let one escape the upload directory
+const pathFor = (key) => {
+  const root = uploadDir();
+  const path = resolve(root, key);
+  if (!path.startsWith(root + sep)) {
+    throw new Error('Invalid media key');
+  }
+  return path;
+};
+
+const localDiskStorage = {
+  name: 'local',
+
+  async save({ key, buffer }) {
+    await fs.mkdir(uploadDir(), { recursive: true });
+    await fs.writeFile(pathFor(key), buffer, { flag: 'wx' });
+    return { key, url: this.getUrl(key) };
+  },
+
+  async remove(key) {
+    await fs.rm(pathFor(key), { force: true });
+  },
+
+  getUrl(key) {
+    return `${PUBLIC_PATH}/${encodeURIComponent(key)}`;
+  },
+
+  // Serve stored files; the frontend runs on another origin in development
+  mount(app) {
+    app.use(PUBLIC_PATH, (req, res, next) => {
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+      next();
+    }, express.static(uploadDir(), { index: false, dotfiles: 'deny', fallthrough: false }));
+  }
+};
+
+export default localDiskStorage;
@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+
+// Time-based one-time passwords (RFC 6238) as produced by authenticator apps:
+// HMAC-SHA1 over 30-second steps, truncated to 6 digits. Secrets are shared
+// with the app in base32 inside an otpauth:// URL.
+
+export const STEP_SECONDS = 30;
+export const DIGITS = 6;
+
+// Steps either side of now still accepted, to allow for clock drift
+const DRIFT_STEPS = 1;
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+// A new random 160-bit secret, base32 encoded
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// The code for a secret at a given step
+export const codeAt = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// The step a code matches, or null. Steps at or before afterStep are
+// rejected so a code can't be used twice.
+export const verifyCode = (secret, code, { afterStep = -1, now = Date.now() } = {}) => {
+  const digits = String(code ?? '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(digits)) return null;
+
+  const step = currentStep(now);
+  for (let candidate = step - DRIFT_STEPS; candidate <= step + DRIFT_STEPS; candidate++) {
+    if (candidate <= afterStep) continue;
+    const expected = codeAt(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(digits), Buffer.from(expected))) return candidate;
+  }
+  return null;
+};
+
+// The otpauth:// URL authenticator apps read from the enrollment QR code
+export const otpauthUrl = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
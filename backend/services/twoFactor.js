@@ -0,0 +1,188 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import User from '../models/User.js';
+import { generateSecret, verifyCode, otpauthUrl } from './totp.js';
+
+// Two-factor sign-in with an authenticator app. The TOTP secret is stored
+// encrypted (keyed from JWT_SECRET, so rotating it resets everyone's 2FA) and
+// backup codes only as hashes. Logging in with a password then takes a second
+// step: the password check returns a short-lived challenge token that is
+// exchanged, with a code, for the session.
+
+const ISSUER = 'AI Student Partner';
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_MINUTES = 5;
+
+// Wrong codes in a row before an account's codes are refused for LOCKOUT_MINUTES
+export const MAX_FAILED_ATTEMPTS = 5;
+export const LOCKOUT_MINUTES = 15;
+
+// REQUIRE_ADMIN_2FA=true makes admins enroll before they can use admin routes
+export const isTwoFactorRequired = (user) => (
+  process.env.REQUIRE_ADMIN_2FA === 'true' && user.role === 'admin'
+);
+
+const secretKey = () => crypto.createHash('sha256').update(`totp:${process.env.JWT_SECRET}`).digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', secretKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', secretKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashBackupCode = (code) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+// Fresh backup codes such as "3f9a-c21e": { codes } to show once, { hashes } to store
+const newBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+const loadWithSecrets = (userId) => User.findById(userId).select(SECRET_FIELDS);
+
+export const twoFactorStatus = async (user) => {
+  const stored = await loadWithSecrets(user._id);
+  return {
+    enabled: !!stored.twoFactor?.enabled,
+    required: isTwoFactorRequired(stored),
+    enabledAt: stored.twoFactor?.enabledAt || null,
+    backupCodesRemaining: stored.twoFactor?.enabled ? stored.twoFactor.backupCodes.length : 0
+  };
+};
+
+// Start enrolling: a new secret is kept pending until a code from it is
+// confirmed. Returns what the authenticator app needs, including a QR code.
+export const beginEnrollment = async (user) => {
+  const secret = generateSecret();
+  const url = otpauthUrl(secret, user.email || user.name, ISSUER);
+
+  await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': encryptSecret(secret) });
+
+  return { secret, otpauthUrl: url, qrCode: await QRCode.toDataURL(url) };
+};
+
+// Finish enrolling with a code from the pending secret. Returns the backup
+// codes, or null when the code doesn't match or enrollment wasn't started.
+export const confirmEnrollment = async (user, code) => {
+  const stored = await loadWithSecrets(user._id);
+  const pending = stored.twoFactor?.pendingSecret;
+  if (!pending) return null;
+
+  const step = verifyCode(decryptSecret(pending), code);
+  if (step === null) return null;
+
+  const { codes, hashes } = newBackupCodes();
+  stored.twoFactor = {
+    enabled: true,
+    secret: pending,
+    pendingSecret: null,
+    backupCodes: hashes,
+    lastUsedStep: step,
+    failedAttempts: 0,
+    lastAttemptAt: null,
+    enabledAt: new Date()
+  };
+  await stored.save();
+
+  return codes;
+};
+
+export const disableTwoFactor = (user) => (
+  User.updateOne({ _id: user._id }, {
+    twoFactor: { enabled: false, secret: null, pendingSecret: null, backupCodes: [], lastUsedStep: -1, failedAttempts: 0, lastAttemptAt: null, enabledAt: null }
+  })
+);
+
+// Replace the user's backup codes; returns the new ones
+export const regenerateBackupCodes = async (user) => {
+  const { codes, hashes } = newBackupCodes();
+  await User.updateOne({ _id: user._id }, { 'twoFactor.backupCodes': hashes });
+  return codes;
+};
+
+// Check a code from the authenticator app, or a backup code, and use it up.
+// Returns { method: 'totp' | 'backup', backupCodesRemaining } or null.
+export const verifySecondFactor = async (user, code) => {
+  const stored = await loadWithSecrets(user._id);
+  if (!stored?.twoFactor?.enabled || typeof code !== 'string') return null;
+
+  const step = verifyCode(decryptSecret(stored.twoFactor.secret), code, { afterStep: stored.twoFactor.lastUsedStep });
+  if (step !== null) {
+    // Conditional so two requests racing with the same code can't both pass
+    const result = await User.updateOne(
+      { _id: stored._id, 'twoFactor.lastUsedStep': { $lt: step } },
+      { 'twoFactor.lastUsedStep': step, 'twoFactor.failedAttempts': 0 }
+    );
+    return result.modifiedCount ? { method: 'totp', backupCodesRemaining: stored.twoFactor.backupCodes.length } : null;
+  }
+
+  const hash = hashBackupCode(code);
+  const result = await User.updateOne(
+    { _id: stored._id, 'twoFactor.backupCodes': hash },
+    { $pull: { 'twoFactor.backupCodes': hash }, 'twoFactor.failedAttempts': 0 }
+  );
+  return result.modifiedCount ? { method: 'backup', backupCodesRemaining: stored.twoFactor.backupCodes.length - 1 } : null;
+};
+
+// verifySecondFactor with a limit on wrong codes, kept per account so logging
+// in again doesn't allow more guesses. Each try is counted before the code is
+// checked, so parallel requests can't get past the limit; a correct code
+// resets the count, and so does the lock running out LOCKOUT_MINUTES after the
+// last try. Returns { verified } on success, { locked: true } while the
+// account is locked, or {} for a wrong code.
+export const checkSecondFactor = async (user, code) => {
+  const now = new Date();
+
+  // $not also matches accounts locked before lastAttemptAt was recorded
+  await User.updateOne(
+    {
+      _id: user._id,
+      'twoFactor.failedAttempts': { $gte: MAX_FAILED_ATTEMPTS },
+      'twoFactor.lastAttemptAt': { $not: { $gt: new Date(now.getTime() - LOCKOUT_MINUTES * 60 * 1000) } }
+    },
+    { 'twoFactor.failedAttempts': 0 }
+  );
+
+  const counted = await User.updateOne(
+    { _id: user._id, 'twoFactor.failedAttempts': { $not: { $gte: MAX_FAILED_ATTEMPTS } } },
+    { $inc: { 'twoFactor.failedAttempts': 1 }, 'twoFactor.lastAttemptAt': now }
+  );
+  if (!counted.modifiedCount) return { locked: true };
+
+  const verified = await verifySecondFactor(user, code);
+  return verified ? { verified } : {};
+};
+
+// Token standing in for a correct password until the second step is done
+export const issueLoginChallenge = (user) => (
+  jwt.sign({ id: user._id, purpose: 'two-factor' }, process.env.JWT_SECRET, {
+    expiresIn: `${CHALLENGE_MINUTES}m`
+  })
+);
+
+// The user id a challenge token was issued for, or null
+export const readLoginChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'two-factor' ? decoded.id : null;
+  } catch {
+    return null;
+  }
+};
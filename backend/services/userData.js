@@ -0,0 +1,21 @@
+import Progress from '../models/Progress.js';
+import Attempt from '../models/Attempt.js';
+import AbilityEstimate from '../models/AbilityEstimate.js';
+import HintUsage from '../models/HintUsage.js';
+import QuizSession from '../models/QuizSession.js';
+import ExamAttempt from '../models/ExamAttempt.js';
+import Session from '../models/Session.js';
+import UserToken from '../models/UserToken.js';
+
+// Every collection holding documents that belong to one user by userId; a new
+// per-user model belongs here so deleting and merging users cover it
+export const USER_DATA_MODELS = [
+  Progress, Attempt, AbilityEstimate, HintUsage, QuizSession, ExamAttempt, Session, UserToken
+];
+
+// Delete everything a user owns; the user document itself is left to the caller
+export const deleteUserData = async (userId) => {
+  for (const Model of USER_DATA_MODELS) {
+    await Model.deleteMany({ userId });
+  }
+};
@@ -0,0 +1,42 @@
+import crypto from 'crypto';
+import UserToken from '../models/UserToken.js';
+
+// How long each kind of mailed token stays valid
+export const TOKEN_LIFETIME_MINUTES = {
+  'password-reset': 60,
+  'email-verification': 24 * 60
+};
+
+const hashToken = (token) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(token)
+  .digest('hex');
+
+// A new token for purpose, replacing any the user hasn't used yet, so only
+// the latest link works. Returns the token to mail.
+export const issueUserToken = async (user, purpose) => {
+  await UserToken.deleteMany({ userId: user._id, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await UserToken.create({
+    userId: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_LIFETIME_MINUTES[purpose] * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Mark a token used and return it, or null if it is unknown, used, expired
+// or for another purpose
+export const consumeUserToken = async (token, purpose) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  const now = new Date();
+  return UserToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now },
+    { new: true }
+  );
+};
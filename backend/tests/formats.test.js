@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import gift from '../services/formats/gift.js';
+import qti from '../services/formats/qti.js';
+
+const questionId = '0b6f3c1e-8d2a-4c57-9a61-2f4e8b7d9c10';
+
+const exportOf = (question) => [{
+  name: 'Maths',
+  slug: 'maths',
+  topics: [{ topicId: 'ALGEBRA', title: 'Algebra', questions: [{ questionId, ...question }] }]
+}];
+
+const single = {
+  type: 'single',
+  text: 'What is 2 + 2?',
+  options: ['A. 3', 'B. 4'],
+  answer: 'B',
+  explanation: 'Two and two make four.',
+  hints: ['Count on your fingers']
+};
+
+// Undefined fields keep the stored value when importContent updates a question
+for (const format of [gift, qti]) {
+  test(`${format.name} import leaves hints unset so stored ones are kept`, () => {
+    const [item] = format.parseFile(Buffer.from(format.serialize(exportOf(single))));
+
+    assert.deepEqual(item.errors, []);
+    assert.equal(item.question.questionId, questionId);
+    assert.equal(item.question.hints, undefined);
+  });
+}
+
+const matching = (answer, matches) => ({
+  type: 'matching',
+  text: 'Match each number to its word',
+  options: ['A. 1', 'B. 2'],
+  matches,
+  answer,
+  explanation: ''
+});
+
+test('gift round-trips matching questions whose matches are all used in order', () => {
+  const question = matching([0, 1], ['one', 'two']);
+  const [item] = gift.parseFile(Buffer.from(gift.serialize(exportOf(question))));
+
+  assert.deepEqual(item.question.matches, question.matches);
+  assert.deepEqual(item.question.answer, question.answer);
+});
+
+test('gift skips matching questions an import would rewrite', () => {
+  for (const question of [
+    matching([2, 0], ['1', '2', '3']),
+    matching([1, 0], ['one', 'two']),
+    matching([0, 1], ['same', 'same'])
+  ]) {
+    const exported = gift.serialize(exportOf(question));
+
+    assert.match(exported, new RegExp(`// Skipped ${questionId}: unused or reordered matches`));
+    assert.deepEqual(gift.parseFile(Buffer.from(exported)), []);
+  }
+});
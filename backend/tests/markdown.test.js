@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isSafeUrl, sanitizeMarkdown } from '../services/markdown.js';
+
+test('isSafeUrl allows relative URLs and the safe protocols', () => {
+  for (const url of ['/uploads/a.png', 'page#anchor', 'https://example.com', 'mailto:a@b.c']) {
+    assert.equal(isSafeUrl(url), true, url);
+  }
+});
+
+test('isSafeUrl rejects schemes hidden by control characters and spaces', () => {
+  for (const url of ['javascript:alert(1)', 'java\tscript:alert(1)', ' \nJava\rScript:alert(1)', 'java\u0000script:x', 'data:text/html,x']) {
+    assert.equal(isSafeUrl(url), false, JSON.stringify(url));
+  }
+});
+
+test('sanitizeMarkdown drops links whose scheme is split by an entity', () => {
+  assert.equal(sanitizeMarkdown('[x](java&#x09;script:alert(1))'), 'x');
+  assert.equal(sanitizeMarkdown('![pic](java&#10;script:alert(1))'), 'pic');
+});
+
+test('sanitizeMarkdown keeps safe links byte-for-byte', () => {
+  const source = 'See [the docs](https://example.com/a) and $x^2$.';
+  assert.equal(sanitizeMarkdown(source), source);
+});
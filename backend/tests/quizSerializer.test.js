@@ -0,0 +1,127 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import QuestionRevision from '../models/QuestionRevision.js';
+import Topic from '../models/Topic.js';
+import { serializeQuestion, serializeTopic } from '../services/quizSerializer.js';
+import { sessionQuestion } from '../services/quizSessions.js';
+import { serializeAttempt } from '../services/exams.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Fields that must never reach a student before they submit
+const ANSWER_FIELDS = ['answer', 'tolerance', 'pattern', 'caseSensitive', 'explanation', 'hints'];
+
+const student = { _id: 'student-1', role: 'user' };
+const admin = { _id: 'admin-1', role: 'admin' };
+
+const question = {
+  questionId: 'q-1',
+  type: 'single',
+  text: 'What is 2 + 2?',
+  options: ['A. 3', 'B. 4', 'C. 5'],
+  answer: 'B',
+  tolerance: 0.1,
+  pattern: '^4$',
+  caseSensitive: false,
+  explanation: 'Two and two make four.',
+  hints: ['Count on your fingers'],
+  media: []
+};
+
+const topic = {
+  topicId: 'arithmetic',
+  title: 'Arithmetic',
+  subjectName: 'Maths',
+  questions: [question]
+};
+
+const assertHidden = (payload) => {
+  for (const field of ANSWER_FIELDS) {
+    assert.equal(field in payload, false, `${field} reached a student`);
+  }
+};
+
+const assertShown = (payload) => {
+  for (const field of ANSWER_FIELDS) {
+    assert.notEqual(payload[field], undefined, `${field} missing for an admin`);
+  }
+};
+
+afterEach(() => mock.restoreAll());
+
+test('serializeQuestion hides answer fields from students', () => {
+  assertHidden(serializeQuestion(question, student));
+  assertHidden(serializeQuestion(question, undefined));
+});
+
+test('serializeQuestion shows answer fields to admins', () => {
+  assertShown(serializeQuestion(question, admin));
+});
+
+test('serializeTopic hides answer fields on every question for students', () => {
+  const payload = serializeTopic(topic, student);
+  assert.equal(payload.questions.length, 1);
+  payload.questions.forEach(assertHidden);
+});
+
+test('serializeTopic shows answer fields to admins', () => {
+  serializeTopic(topic, admin).questions.forEach(assertShown);
+});
+
+const pendingSession = () => ({
+  currentQuestionId: 'q-1',
+  servedAt: new Date(),
+  optionOrders: new Map([['q-1', [2, 0, 1]]])
+});
+
+test('session question payload hides answer fields from students', () => {
+  const payload = sessionQuestion(pendingSession(), topic, student);
+  assert.equal(payload.id, 'q-1');
+  assertHidden(payload);
+});
+
+test('session question payload shows answer fields, in shown letters, to admins', () => {
+  const payload = sessionQuestion(pendingSession(), topic, admin);
+  assertShown(payload);
+  // Authored B is shown third
+  assert.equal(payload.answer, 'C');
+});
+
+// serializeAttempt reads question revisions and topic titles from the database
+const stubDatabase = () => {
+  mock.method(QuestionRevision, 'find', () => ({
+    populate: () => ({ lean: async () => [{ ...question }] })
+  }));
+  mock.method(Topic, 'findOne', () => ({
+    populate: () => ({ lean: async () => null })
+  }));
+};
+
+const runningAttempt = () => ({
+  _id: 'attempt-1',
+  status: 'in-progress',
+  startedAt: new Date(),
+  deadline: new Date(Date.now() + 60 * 60 * 1000),
+  submittedAt: null,
+  questions: [{ questionId: 'q-1', topicId: 'arithmetic', revisionId: 'rev-1', userAnswer: 'A', isCorrect: null }]
+});
+
+const paper = { _id: 'paper-1', title: 'Mock exam', description: '', timeLimitMinutes: 60 };
+
+test('serializeAttempt hides answer fields from students while the exam runs', async () => {
+  stubDatabase();
+  const payload = await serializeAttempt(runningAttempt(), paper, student);
+
+  assert.equal(payload.questions.length, 1);
+  for (const entry of payload.questions) {
+    assertHidden(entry);
+    assert.equal('correctAnswer' in entry, false);
+    assert.equal('correctAnswerText' in entry, false);
+  }
+});
+
+test('serializeAttempt shows answer fields to admins while the exam runs', async () => {
+  stubDatabase();
+  const payload = await serializeAttempt(runningAttempt(), paper, admin);
+  payload.questions.forEach(assertShown);
+});
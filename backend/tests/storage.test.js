@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateMedia } from '../services/storage/index.js';
+
+// A RIFF header: "RIFF", little-endian size, then the form type
+const riff = (formType) => Buffer.concat([
+  Buffer.from('RIFF'),
+  Buffer.from([0x24, 0x00, 0x00, 0x00]),
+  Buffer.from(formType),
+  Buffer.alloc(16)
+]);
+
+test('validateMedia accepts a WebP file', () => {
+  assert.equal(validateMedia({ mimetype: 'image/webp', buffer: riff('WEBP') }), null);
+});
+
+test('validateMedia rejects other RIFF files sent as WebP', () => {
+  for (const formType of ['WAVE', 'AVI ']) {
+    assert.equal(
+      validateMedia({ mimetype: 'image/webp', buffer: riff(formType) }),
+      'File content does not match its type'
+    );
+  }
+});
+
+test('validateMedia rejects a file too short to hold the signature', () => {
+  assert.equal(
+    validateMedia({ mimetype: 'image/webp', buffer: Buffer.from('RIFF') }),
+    'File content does not match its type'
+  );
+});
+
+test('validateMedia checks other types by their leading bytes', () => {
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  assert.equal(validateMedia({ mimetype: 'image/png', buffer: png }), null);
+  assert.equal(
+    validateMedia({ mimetype: 'image/gif', buffer: png }),
+    'File content does not match its type'
+  );
+});
@@ -0,0 +1,102 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import { codeAt, currentStep } from '../services/totp.js';
+import {
+  beginEnrollment,
+  checkSecondFactor,
+  issueLoginChallenge,
+  MAX_FAILED_ATTEMPTS,
+  LOCKOUT_MINUTES
+} from '../services/twoFactor.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+// An in-memory stand-in for one user's twoFactor fields, updated the way the
+// service's updateOne calls would update the document
+let stored;
+let secret;
+
+const matches = (filter) => {
+  const limit = filter['twoFactor.failedAttempts']?.$not?.$gte;
+  if (limit !== undefined && stored.failedAttempts >= limit) return false;
+  const lockedAt = filter['twoFactor.failedAttempts']?.$gte;
+  if (lockedAt !== undefined && stored.failedAttempts < lockedAt) return false;
+  const since = filter['twoFactor.lastAttemptAt']?.$not?.$gt;
+  if (since !== undefined && stored.lastAttemptAt > since) return false;
+  const lastUsed = filter['twoFactor.lastUsedStep']?.$lt;
+  if (lastUsed !== undefined && stored.lastUsedStep >= lastUsed) return false;
+  const backupCode = filter['twoFactor.backupCodes'];
+  if (backupCode !== undefined && !stored.backupCodes.includes(backupCode)) return false;
+  return true;
+};
+
+beforeEach(async () => {
+  stored = { enabled: true, backupCodes: [], lastUsedStep: -1, failedAttempts: 0, lastAttemptAt: null };
+
+  mock.method(User, 'updateOne', async (filter, update) => {
+    if (!matches(filter)) return { modifiedCount: 0 };
+    if (update['twoFactor.pendingSecret']) stored.secret = update['twoFactor.pendingSecret'];
+    if (update.$inc) stored.failedAttempts += update.$inc['twoFactor.failedAttempts'];
+    if ('twoFactor.failedAttempts' in update) stored.failedAttempts = update['twoFactor.failedAttempts'];
+    if ('twoFactor.lastAttemptAt' in update) stored.lastAttemptAt = update['twoFactor.lastAttemptAt'];
+    if ('twoFactor.lastUsedStep' in update) stored.lastUsedStep = update['twoFactor.lastUsedStep'];
+    return { modifiedCount: 1 };
+  });
+  mock.method(User, 'findById', () => ({
+    select: async () => ({ _id: 'user-1', twoFactor: stored })
+  }));
+
+  // Enrolling is the only way to get a secret encrypted the way the service stores it
+  ({ secret } = await beginEnrollment({ _id: 'user-1', email: 'student@example.com' }));
+});
+
+afterEach(() => mock.restoreAll());
+
+const user = { _id: 'user-1' };
+const validCode = () => codeAt(secret, currentStep());
+
+test('checkSecondFactor accepts a valid code and resets the count', async () => {
+  stored.failedAttempts = 2;
+  const { verified, locked } = await checkSecondFactor(user, validCode());
+
+  assert.equal(locked, undefined);
+  assert.equal(verified.method, 'totp');
+  assert.equal(stored.failedAttempts, 0);
+});
+
+test('checkSecondFactor counts wrong codes', async () => {
+  const result = await checkSecondFactor(user, 'not-a-code');
+
+  assert.deepEqual(result, {});
+  assert.equal(stored.failedAttempts, 1);
+});
+
+test('checkSecondFactor locks after MAX_FAILED_ATTEMPTS wrong codes, even for a valid one', async () => {
+  for (let i = 0; i < MAX_FAILED_ATTEMPTS; i++) {
+    await checkSecondFactor(user, 'not-a-code');
+  }
+
+  assert.deepEqual(await checkSecondFactor(user, validCode()), { locked: true });
+  assert.equal(stored.failedAttempts, MAX_FAILED_ATTEMPTS);
+});
+
+test('logging in again does not reset the count', async () => {
+  for (let i = 0; i < MAX_FAILED_ATTEMPTS; i++) {
+    await checkSecondFactor(user, 'not-a-code');
+  }
+  issueLoginChallenge(user);
+
+  assert.deepEqual(await checkSecondFactor(user, validCode()), { locked: true });
+});
+
+test('the lock runs out LOCKOUT_MINUTES after the last try', async () => {
+  stored.failedAttempts = MAX_FAILED_ATTEMPTS;
+  stored.lastAttemptAt = new Date(Date.now() - (LOCKOUT_MINUTES - 1) * 60 * 1000);
+  assert.deepEqual(await checkSecondFactor(user, validCode()), { locked: true });
+
+  stored.lastAttemptAt = new Date(Date.now() - (LOCKOUT_MINUTES + 1) * 60 * 1000);
+  const { verified } = await checkSecondFactor(user, validCode());
+  assert.equal(verified.method, 'totp');
+  assert.equal(stored.failedAttempts, 0);
+});
@@ -7,15 +7,22 @@ import ProtectedRoute from './components/ProtectedRoute';
 import Login from './pages/Login';
 import Register from './pages/Register';
 import Join from './pages/Join';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import UserDashboard from './pages/user/Dashboard';
 import UserQuiz from './pages/user/Quiz';
 import UserProgress from './pages/user/Progress';
 import UserProfile from './pages/user/Profile';
+import UserExams from './pages/user/Exams';
 import AdminDashboard from './pages/admin/Dashboard';
 import AdminUsers from './pages/admin/Users';
 import AdminUserDetail from './pages/admin/UserDetail';
 import AdminAnalytics from './pages/admin/Analytics';
 import AdminInviteLinks from './pages/admin/InviteLinks';
+import AdminContent from './pages/admin/Content';
+import AdminExams from './pages/admin/Exams';
+import AdminSecurity from './pages/admin/Security';
 
 function App() {
   const { user } = useAuthStore();
@@ -29,10 +36,14 @@ function App() {
         <Route path="/login" element={!user ? <Login /> : <Navigate to={user.role === 'admin' ? '/admin' : '/dashboard'} />} />
         <Route path="/register" element={!user ? <Register /> : <Navigate to="/dashboard" />} />
         <Route path="/join/:inviteCode" element={!user ? <Join /> : <Navigate to="/dashboard" />} />
+        <Route path="/forgot-password" element={!user ? <ForgotPassword /> : <Navigate to="/dashboard" />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
 
         {/* User routes */}
         <Route path="/dashboard" element={<ProtectedRoute role="user"><UserDashboard /></ProtectedRoute>} />
         <Route path="/quiz/:topicId?" element={<ProtectedRoute role="user"><UserQuiz /></ProtectedRoute>} />
+        <Route path="/exams/:attemptId?" element={<ProtectedRoute role="user"><UserExams /></ProtectedRoute>} />
         <Route path="/progress" element={<ProtectedRoute role="user"><UserProgress /></ProtectedRoute>} />
         <Route path="/profile" element={<ProtectedRoute role="user"><UserProfile /></ProtectedRoute>} />
 
@@ -42,6 +53,9 @@ function App() {
         <Route path="/admin/users/:userId" element={<ProtectedRoute role="admin"><AdminUserDetail /></ProtectedRoute>} />
         <Route path="/admin/analytics" element={<ProtectedRoute role="admin"><AdminAnalytics /></ProtectedRoute>} />
         <Route path="/admin/invites" element={<ProtectedRoute role="admin"><AdminInviteLinks /></ProtectedRoute>} />
+        <Route path="/admin/content" element={<ProtectedRoute role="admin"><AdminContent /></ProtectedRoute>} />
+        <Route path="/admin/exams" element={<ProtectedRoute role="admin"><AdminExams /></ProtectedRoute>} />
+        <Route path="/admin/security" element={<ProtectedRoute role="admin"><AdminSecurity /></ProtectedRoute>} />
 
         {/* Default redirect */}
         <Route path="/" element={<Navigate to={user ? (user.role === 'admin' ? '/admin' : '/dashboard') : '/login'} />} />
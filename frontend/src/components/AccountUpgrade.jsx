@@ -0,0 +1,128 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { Mail, Lock, KeyRound } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { authAPI } from '../lib/api';
+import { useAuthStore } from '../store/authStore';
+
+// For guests who joined through an invite link: add an email and password,
+// or move their progress into an account they already have. Until then the
+// account is only reachable from this browser.
+export default function AccountUpgrade() {
+  const { setAuth, updateUser } = useAuthStore();
+  const queryClient = useQueryClient();
+  const [mode, setMode] = useState('create');
+  const [formData, setFormData] = useState({ email: '', password: '', code: '' });
+  const [needsCode, setNeedsCode] = useState(false);
+
+  const upgradeMutation = useMutation({
+    mutationFn: () => authAPI.upgradeAccount({ email: formData.email, password: formData.password }),
+    onSuccess: (data) => {
+      localStorage.removeItem('sessionToken');
+      updateUser(data.user);
+      toast.success(data.message);
+    },
+    onError: (error) => {
+      if (error.response?.data?.accountExists) setMode('merge');
+    }
+  });
+
+  const mergeMutation = useMutation({
+    mutationFn: () => authAPI.mergeIntoAccount(formData),
+    onSuccess: (data) => {
+      localStorage.removeItem('sessionToken');
+      setAuth(data.user, data.token, data.refreshToken);
+      // Everything cached belonged to the guest
+      queryClient.invalidateQueries();
+      toast.success(data.message);
+    },
+    onError: (error) => {
+      if (error.response?.data?.twoFactorRequired) setNeedsCode(true);
+    }
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (mode === 'merge') {
+      mergeMutation.mutate();
+    } else {
+      upgradeMutation.mutate();
+    }
+  };
+
+  const pending = upgradeMutation.isPending || mergeMutation.isPending;
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-300">
+        You joined with an invite link, so this account only works in this browser.
+        Add an email and password to keep your progress, or move it into an account you already have.
+      </p>
+
+      <div className="flex gap-2">
+        {[['create', 'Create login'], ['merge', 'I have an account']].map(([value, label]) => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => { setMode(value); setNeedsCode(false); }}
+            className={`px-3 py-1 rounded-full text-sm ${
+              mode === value ? 'bg-cosmic-500/30 text-cosmic-200' : 'text-gray-400 hover:text-gray-200'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="relative">
+          <Mail className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+          <input
+            type="email"
+            required
+            className="input-field pl-11"
+            placeholder="your@email.com"
+            value={formData.email}
+            onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+          />
+        </div>
+        <div className="relative">
+          <Lock className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+          <input
+            type="password"
+            required
+            minLength={mode === 'create' ? 6 : undefined}
+            className="input-field pl-11"
+            placeholder={mode === 'create' ? 'New password (min 6 characters)' : 'Password'}
+            value={formData.password}
+            onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+          />
+        </div>
+        {mode === 'merge' && needsCode && (
+          <div className="relative">
+            <KeyRound className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+            <input
+              type="text"
+              required
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              className="input-field pl-11 font-mono"
+              placeholder="Authentication or backup code"
+              value={formData.code}
+              onChange={(e) => setFormData({ ...formData, code: e.target.value })}
+            />
+          </div>
+        )}
+        {mode === 'merge' && (
+          <p className="text-xs text-gray-400">
+            Your answers and topic progress move to that account and you&apos;ll be signed in to it.
+            This guest account is then deleted.
+          </p>
+        )}
+        <button type="submit" disabled={pending} className="btn-primary">
+          {mode === 'merge' ? 'Move my progress' : 'Save my account'}
+        </button>
+      </form>
+    </div>
+  );
+}
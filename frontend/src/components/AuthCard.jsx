@@ -0,0 +1,34 @@
+import { motion } from 'framer-motion';
+
+// The framed card the sign-in style pages (forgot/reset password, email
+// verification) are laid out in
+export default function AuthCard({ title, subtitle, children }) {
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="w-full max-w-md"
+      >
+        <div className="glass-card p-8 relative overflow-hidden">
+          {/* Corner brackets */}
+          <div className="absolute top-4 left-4 w-6 h-6 border-l-2 border-t-2 border-neon-cyan"></div>
+          <div className="absolute top-4 right-4 w-6 h-6 border-r-2 border-t-2 border-neon-cyan"></div>
+          <div className="absolute bottom-4 left-4 w-6 h-6 border-l-2 border-b-2 border-neon-magenta"></div>
+          <div className="absolute bottom-4 right-4 w-6 h-6 border-r-2 border-b-2 border-neon-magenta"></div>
+
+          <div className="text-center mb-8">
+            <h1 className="text-3xl font-bold mb-2 bg-gradient-to-r from-neon-cyan via-neon-magenta to-neon-purple bg-clip-text text-transparent">
+              {title}
+            </h1>
+            {subtitle && (
+              <p className="text-neon-cyan/70 font-rajdhani text-sm tracking-wider">{subtitle}</p>
+            )}
+          </div>
+
+          {children}
+        </div>
+      </motion.div>
+    </div>
+  );
+}
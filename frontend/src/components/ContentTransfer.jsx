@@ -0,0 +1,196 @@
+import { useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { Download, Upload, CheckCircle, AlertCircle } from 'lucide-react';
+import { contentAPI } from '../lib/api';
+import toast from 'react-hot-toast';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV', extension: '.csv' },
+  { value: 'json', label: 'subjects.json', extension: '.json' },
+  { value: 'gift', label: 'Moodle GIFT', extension: '.gift' },
+  { value: 'qti', label: 'QTI 2.1', extension: '.zip' }
+];
+
+const ACTION_STYLES = {
+  create: 'text-green-400',
+  update: 'text-neon-blue',
+  unchanged: 'text-gray-400'
+};
+
+// "subject:<slug>" / "topic:<topicId>" select value -> API params
+const scopeParams = (scope) => {
+  const [kind, value] = scope.split(':');
+  return kind === 'all' ? {} : { [kind]: value };
+};
+
+const ScopeOptions = ({ subjects }) => subjects.map((subject) => (
+  <optgroup key={subject._id} label={subject.name}>
+    <option value={`subject:${subject.slug}`}>All of {subject.name}</option>
+    {subject.topics.map((topic) => (
+      <option key={topic._id} value={`topic:${topic.topicId}`}>{topic.title}</option>
+    ))}
+  </optgroup>
+));
+
+// Bulk import (with a dry run that lists per-question errors) and export of the question bank
+export default function ContentTransfer({ subjects, onImported }) {
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exportScope, setExportScope] = useState('all');
+  const [file, setFile] = useState(null);
+  const [importFormat, setImportFormat] = useState('');
+  const [target, setTarget] = useState('all');
+  const [report, setReport] = useState(null);
+  const [inputKey, setInputKey] = useState(0);
+
+  const exportMutation = useMutation({
+    mutationFn: () => contentAPI.exportContent({ format: exportFormat, ...scopeParams(exportScope) }),
+    onSuccess: (blob) => {
+      const scope = Object.values(scopeParams(exportScope))[0] || 'questions';
+      const extension = FORMATS.find((f) => f.value === exportFormat).extension;
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `${scope}${extension}`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    }
+  });
+
+  const importMutation = useMutation({
+    mutationFn: (dryRun) => contentAPI.importContent(file, {
+      format: importFormat || undefined,
+      dryRun,
+      ...scopeParams(target)
+    }),
+    onSuccess: (data) => {
+      setReport(data);
+      if (!data.dryRun) {
+        toast.success(`Imported ${data.summary.create} new and ${data.summary.update} updated questions`);
+        setFile(null);
+        setInputKey((k) => k + 1);
+        onImported?.();
+      }
+    },
+    // A rejected import still reports which questions failed
+    onError: (error) => setReport(error.response?.data?.rows ? error.response.data : null)
+  });
+
+  const problems = report?.rows.filter((row) => row.errors.length > 0) || [];
+
+  return (
+    <div className="glass-card p-6 space-y-6">
+      <div>
+        <h3 className="text-xl font-bold flex items-center mb-3">
+          <Download className="w-5 h-5 mr-2" />
+          Export
+        </h3>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <select className="input-field" value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
+            {FORMATS.map((f) => <option key={f.value} value={f.value}>{f.label}</option>)}
+          </select>
+          <select className="input-field" value={exportScope} onChange={(e) => setExportScope(e.target.value)}>
+            <option value="all">All subjects</option>
+            <ScopeOptions subjects={subjects} />
+          </select>
+          <button
+            onClick={() => exportMutation.mutate()}
+            disabled={exportMutation.isPending}
+            className="btn-primary whitespace-nowrap"
+          >
+            Download
+          </button>
+        </div>
+      </div>
+
+      <div className="pt-6 border-t border-white/10">
+        <h3 className="text-xl font-bold flex items-center mb-3">
+          <Upload className="w-5 h-5 mr-2" />
+          Import
+        </h3>
+        <div className="space-y-2">
+          <input
+            key={inputKey}
+            type="file"
+            accept=".csv,.json,.gift,.txt,.xml,.zip"
+            onChange={(e) => {
+              setFile(e.target.files[0] || null);
+              setReport(null);
+            }}
+            className="block w-full text-sm text-gray-300"
+          />
+          <div className="flex flex-col sm:flex-row gap-2">
+            <select
+              className="input-field"
+              value={importFormat}
+              onChange={(e) => {
+                setImportFormat(e.target.value);
+                setReport(null);
+              }}
+            >
+              <option value="">Format from file extension</option>
+              {FORMATS.map((f) => <option key={f.value} value={f.value}>{f.label}</option>)}
+            </select>
+            <select
+              className="input-field"
+              value={target}
+              onChange={(e) => {
+                setTarget(e.target.value);
+                setReport(null);
+              }}
+              title="Where questions go when the file doesn't say"
+            >
+              <option value="all">Topic from file</option>
+              <ScopeOptions subjects={subjects} />
+            </select>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => importMutation.mutate(true)}
+              disabled={!file || importMutation.isPending}
+              className="glass-card px-4 py-2 rounded-lg disabled:opacity-50"
+            >
+              Validate
+            </button>
+            <button
+              onClick={() => importMutation.mutate(false)}
+              disabled={!file || importMutation.isPending || problems.length > 0}
+              className="btn-primary disabled:opacity-50"
+            >
+              Import
+            </button>
+          </div>
+        </div>
+
+        {report && (
+          <div className="mt-4 space-y-3">
+            <p className="text-sm flex items-center">
+              {problems.length === 0
+                ? <CheckCircle className="w-4 h-4 mr-2 text-green-400" />
+                : <AlertCircle className="w-4 h-4 mr-2 text-red-400" />}
+              {report.dryRun ? 'Dry run: ' : ''}
+              {report.summary.create} new, {report.summary.update} updated, {report.summary.unchanged} unchanged
+              {problems.length > 0 && `, ${problems.length} with errors`}
+            </p>
+            {(report.summary.newSubjects.length > 0 || report.summary.newTopics.length > 0) && (
+              <p className="text-xs text-gray-400">
+                Creates {[...report.summary.newSubjects.map((s) => `subject ${s}`), ...report.summary.newTopics.map((t) => `topic ${t}`)].join(', ')}
+              </p>
+            )}
+            <div className="max-h-64 overflow-y-auto space-y-1 text-sm">
+              {report.rows.map((row) => (
+                <div key={row.ref} className="glass-card p-2">
+                  <div className="flex justify-between gap-2">
+                    <span className="truncate">{row.ref}</span>
+                    {row.action && <span className={ACTION_STYLES[row.action]}>{row.action}</span>}
+                  </div>
+                  {row.errors.map((message) => (
+                    <p key={message} className="text-xs text-red-400">{message}</p>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import rehypeHighlight from 'rehype-highlight';
+import 'katex/dist/katex.min.css';
+import 'highlight.js/styles/github-dark.css';
+
+const remarkPlugins = [remarkGfm, remarkMath];
+const rehypePlugins = [rehypeKatex, rehypeHighlight];
+
+// Inside buttons and list rows paragraphs must not break the line
+const inlineComponents = { p: 'span' };
+
+// Question content: Markdown with $math$ and fenced code. Raw HTML is never
+// rendered and unsafe link URLs are stripped, on top of the server-side
+// sanitizing done when content is saved.
+export default function Markdown({ children, inline = false, className = '' }) {
+  const Wrapper = inline ? 'span' : 'div';
+
+  return (
+    <Wrapper className={`markdown ${className}`}>
+      <ReactMarkdown
+        remarkPlugins={remarkPlugins}
+        rehypePlugins={rehypePlugins}
+        components={inline ? inlineComponents : undefined}
+        skipHtml
+      >
+        {children || ''}
+      </ReactMarkdown>
+    </Wrapper>
+  );
+}
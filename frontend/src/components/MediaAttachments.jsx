@@ -0,0 +1,73 @@
+import { useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { Upload, X, FileText } from 'lucide-react';
+import { contentAPI, mediaUrl } from '../lib/api';
+import toast from 'react-hot-toast';
+
+// Attach uploaded images and files to a question in the admin editor
+export default function MediaAttachments({ media = [], onChange }) {
+  const [file, setFile] = useState(null);
+  const [alt, setAlt] = useState('');
+  const [inputKey, setInputKey] = useState(0);
+
+  const uploadMutation = useMutation({
+    mutationFn: () => contentAPI.uploadMedia(file, alt),
+    onSuccess: (data) => {
+      onChange([...media, data.media]);
+      setFile(null);
+      setAlt('');
+      setInputKey((k) => k + 1);
+      toast.success('File uploaded');
+    }
+  });
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium text-gray-300">Attachments</label>
+      {media.map((item, index) => (
+        <div key={item._id} className="flex items-center gap-2 glass-card p-2">
+          {item.contentType?.startsWith('image/') ? (
+            <img src={mediaUrl(item.url)} alt={item.alt} className="w-12 h-12 object-cover rounded" />
+          ) : (
+            <FileText className="w-6 h-6 text-gray-400" aria-hidden="true" />
+          )}
+          <span className="flex-1 text-sm truncate">{item.alt}</span>
+          <button
+            type="button"
+            onClick={() => onChange(media.filter((_, i) => i !== index))}
+            className="p-2 text-gray-400 hover:text-red-400"
+            title="Remove attachment"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+      <div className="flex flex-col gap-2">
+        <input
+          key={inputKey}
+          type="file"
+          accept="image/png,image/jpeg,image/gif,image/webp,application/pdf"
+          onChange={(e) => setFile(e.target.files[0] || null)}
+          className="text-sm text-gray-400"
+        />
+        <div className="flex gap-2">
+          <input
+            className="input-field"
+            placeholder="Alt text (describe it for screen readers)"
+            value={alt}
+            onChange={(e) => setAlt(e.target.value)}
+          />
+          <button
+            type="button"
+            onClick={() => uploadMutation.mutate()}
+            disabled={!file || !alt.trim() || uploadMutation.isPending}
+            className="glass-card px-3 rounded-lg flex items-center disabled:opacity-30"
+            title="Upload"
+          >
+            <Upload className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
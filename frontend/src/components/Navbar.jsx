@@ -1,6 +1,6 @@
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuthStore } from '../store/authStore';
-import { LogOut, User, LayoutDashboard, BookOpen, TrendingUp, Users, BarChart3, Link as LinkIcon } from 'lucide-react';
+import { LogOut, User, LayoutDashboard, BookOpen, TrendingUp, Users, BarChart3, Link as LinkIcon, FileText, ClipboardList, Shield } from 'lucide-react';
 import { motion } from 'framer-motion';
 
 export default function Navbar() {
@@ -16,6 +16,7 @@ export default function Navbar() {
   const userLinks = [
     { to: '/dashboard', icon: LayoutDashboard, label: 'Dashboard' },
     { to: '/quiz', icon: BookOpen, label: 'Quiz' },
+    { to: '/exams', icon: ClipboardList, label: 'Exams' },
     { to: '/progress', icon: TrendingUp, label: 'Progress' },
     { to: '/profile', icon: User, label: 'Profile' },
   ];
@@ -24,7 +25,10 @@ export default function Navbar() {
     { to: '/admin', icon: LayoutDashboard, label: 'Dashboard' },
     { to: '/admin/users', icon: Users, label: 'Users' },
     { to: '/admin/invites', icon: LinkIcon, label: 'Invite Links' },
+    { to: '/admin/content', icon: FileText, label: 'Content' },
+    { to: '/admin/exams', icon: ClipboardList, label: 'Exams' },
     { to: '/admin/analytics', icon: BarChart3, label: 'Analytics' },
+    { to: '/admin/security', icon: Shield, label: 'Security' },
   ];
 
   const links = user?.role === 'admin' ? adminLinks : userLinks;
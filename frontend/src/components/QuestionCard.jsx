@@ -0,0 +1,244 @@
+import { motion } from 'framer-motion';
+import { ChevronUp, ChevronDown } from 'lucide-react';
+import { optionLetter } from '../lib/questionTypes';
+import Markdown from './Markdown';
+import QuestionMedia from './QuestionMedia';
+
+const choiceClass = (selected, feedback) => `w-full p-4 rounded-xl text-left transition-all ${
+  selected ? 'bg-cosmic-600 border-2 border-cosmic-400' : 'glass-card hover:bg-white/10'
+} ${
+  feedback === 'correct' ? 'border-2 border-green-500' : feedback === 'wrong' ? 'border-2 border-red-500' : ''
+}`;
+
+function ChoiceButton({ selected, feedback, disabled, onClick, children }) {
+  return (
+    <motion.button
+      type="button"
+      whileHover={{ scale: 1.02 }}
+      onClick={onClick}
+      disabled={disabled}
+      className={choiceClass(selected, feedback)}
+    >
+      {children}
+    </motion.button>
+  );
+}
+
+const optionChoices = (options) => options.map((option) => ({
+  value: optionLetter(option),
+  label: <Markdown inline>{option}</Markdown>
+}));
+
+// single, multi and true-false: a list of buttons, one or many selected
+function ChoiceList({ choices, isSelected, isCorrectChoice, onToggle, showFeedback, isCorrect }) {
+  return (
+    <div className="space-y-3">
+      {choices.map(({ value, label }) => {
+        const selected = isSelected(value);
+        const feedback = !showFeedback
+          ? null
+          : isCorrectChoice(value)
+          ? 'correct'
+          : selected && !isCorrect
+          ? 'wrong'
+          : null;
+        return (
+          <ChoiceButton
+            key={String(value)}
+            selected={selected}
+            feedback={feedback}
+            disabled={showFeedback}
+            onClick={() => !showFeedback && onToggle(value)}
+          >
+            {label}
+          </ChoiceButton>
+        );
+      })}
+    </div>
+  );
+}
+
+function OrderingList({ options, order, onChange, disabled }) {
+  const byLetter = new Map(options.map((option) => [optionLetter(option), option]));
+  const items = order || options.map(optionLetter);
+
+  const move = (index, delta) => {
+    const next = [...items];
+    [next[index], next[index + delta]] = [next[index + delta], next[index]];
+    onChange(next);
+  };
+
+  return (
+    <div className="space-y-2">
+      {items.map((letter, index) => (
+        <div key={letter} className="glass-card p-4 rounded-xl flex items-center justify-between">
+          <Markdown inline>{byLetter.get(letter)}</Markdown>
+          <div className="flex gap-1">
+            <button
+              type="button"
+              onClick={() => move(index, -1)}
+              disabled={disabled || index === 0}
+              className="p-1 text-gray-400 hover:text-white disabled:opacity-30"
+              title="Move up"
+            >
+              <ChevronUp className="w-4 h-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => move(index, 1)}
+              disabled={disabled || index === items.length - 1}
+              className="p-1 text-gray-400 hover:text-white disabled:opacity-30"
+              title="Move down"
+            >
+              <ChevronDown className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function MatchingList({ options, matches, pairs, onChange, disabled }) {
+  const current = pairs || options.map(() => null);
+
+  return (
+    <div className="space-y-2">
+      <ol className="glass-card p-4 rounded-xl list-decimal pl-8 space-y-1">
+        {matches.map((match, matchIndex) => (
+          <li key={matchIndex}><Markdown inline>{match}</Markdown></li>
+        ))}
+      </ol>
+      {options.map((option, index) => (
+        <div key={index} className="glass-card p-4 rounded-xl flex items-center justify-between gap-4">
+          <Markdown inline>{option}</Markdown>
+          <select
+            value={current[index] ?? ''}
+            onChange={(e) => {
+              const next = [...current];
+              next[index] = e.target.value === '' ? null : Number(e.target.value);
+              onChange(next);
+            }}
+            disabled={disabled}
+            className="input-field py-1 w-auto"
+          >
+            <option value="">Choose…</option>
+            {matches.map((match, matchIndex) => (
+              <option key={matchIndex} value={matchIndex}>{matchIndex + 1}</option>
+            ))}
+          </select>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Question stem and answer input as students see them in the Quiz page.
+// Also used for the live preview in the admin content editor.
+export default function QuestionCard({
+  question,
+  type = 'single',
+  options = [],
+  matches = [],
+  media = [],
+  selectedAnswer = null,
+  onSelect,
+  showFeedback = false,
+  correctAnswer = null,
+  isCorrect = false
+}) {
+  const select = (value) => onSelect?.(value);
+
+  let input;
+  switch (type) {
+    case 'multi': {
+      const selected = Array.isArray(selectedAnswer) ? selectedAnswer : [];
+      const correct = Array.isArray(correctAnswer) ? correctAnswer.map((a) => String(a).toUpperCase()) : [];
+      input = (
+        <ChoiceList
+          choices={optionChoices(options)}
+          isSelected={(letter) => selected.includes(letter)}
+          isCorrectChoice={(letter) => correct.includes(letter)}
+          onToggle={(letter) => select(
+            selected.includes(letter) ? selected.filter((l) => l !== letter) : [...selected, letter]
+          )}
+          showFeedback={showFeedback}
+          isCorrect={isCorrect}
+        />
+      );
+      break;
+    }
+    case 'true-false':
+      input = (
+        <ChoiceList
+          choices={[{ value: true, label: 'True' }, { value: false, label: 'False' }]}
+          isSelected={(value) => selectedAnswer === value}
+          isCorrectChoice={(value) => correctAnswer === value}
+          onToggle={select}
+          showFeedback={showFeedback}
+          isCorrect={isCorrect}
+        />
+      );
+      break;
+    case 'numeric':
+    case 'short-text':
+      input = (
+        <input
+          type={type === 'numeric' ? 'number' : 'text'}
+          step={type === 'numeric' ? 'any' : undefined}
+          value={Array.isArray(selectedAnswer) ? selectedAnswer[0] ?? '' : selectedAnswer ?? ''}
+          onChange={(e) => select(e.target.value)}
+          disabled={showFeedback}
+          placeholder={type === 'numeric' ? 'Enter a number' : 'Type your answer'}
+          className={`input-field ${
+            showFeedback ? (isCorrect ? 'border-2 border-green-500' : 'border-2 border-red-500') : ''
+          }`}
+        />
+      );
+      break;
+    case 'ordering':
+      input = (
+        <OrderingList
+          options={options}
+          order={Array.isArray(selectedAnswer) ? selectedAnswer : null}
+          onChange={select}
+          disabled={showFeedback}
+        />
+      );
+      break;
+    case 'matching':
+      input = (
+        <MatchingList
+          options={options}
+          matches={matches}
+          pairs={Array.isArray(selectedAnswer) ? selectedAnswer : null}
+          onChange={select}
+          disabled={showFeedback}
+        />
+      );
+      break;
+    default:
+      input = (
+        <ChoiceList
+          choices={optionChoices(options)}
+          isSelected={(letter) => selectedAnswer === letter}
+          isCorrectChoice={(letter) => String(correctAnswer ?? '').toUpperCase() === letter}
+          onToggle={select}
+          showFeedback={showFeedback}
+          isCorrect={isCorrect}
+        />
+      );
+  }
+
+  return (
+    <>
+      <div className="bg-gradient-to-r from-cosmic-900/50 to-cosmic-800/50 p-6 rounded-xl mb-6">
+        <Markdown className="text-lg">{question}</Markdown>
+      </div>
+
+      <QuestionMedia media={media} />
+
+      <div className="mb-6">{input}</div>
+    </>
+  );
+}
@@ -0,0 +1,35 @@
+import { FileText } from 'lucide-react';
+import { mediaUrl } from '../lib/api';
+
+// Images and file attachments of a question. Images carry the author's alt
+// text; other files are linked with it as their label.
+export default function QuestionMedia({ media = [] }) {
+  if (media.length === 0) return null;
+
+  return (
+    <div className="space-y-3 mb-6">
+      {media.map((item) => (
+        item.contentType?.startsWith('image/') ? (
+          <img
+            key={item.url}
+            src={mediaUrl(item.url)}
+            alt={item.alt}
+            loading="lazy"
+            className="max-h-80 mx-auto rounded-xl bg-white/5"
+          />
+        ) : (
+          <a
+            key={item.url}
+            href={mediaUrl(item.url)}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="glass-card p-3 rounded-xl flex items-center text-cosmic-400 hover:text-cosmic-300"
+          >
+            <FileText className="w-4 h-4 mr-2" aria-hidden="true" />
+            {item.alt}
+          </a>
+        )
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { History, X } from 'lucide-react';
+import { contentAPI } from '../lib/api';
+import { formatDateTime } from '../lib/utils';
+
+const formatValue = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+
+// Revision history of one question with a field-by-field diff between two revisions
+export default function QuestionRevisions({ questionId, onClose }) {
+  const [range, setRange] = useState(null);
+
+  const { data } = useQuery({
+    queryKey: ['question-revisions', questionId],
+    queryFn: () => contentAPI.getRevisions(questionId)
+  });
+
+  const revisions = data?.revisions || [];
+  const latest = revisions[0]?.revision || 0;
+  const to = range?.to ?? latest;
+  const from = range?.from ?? to - 1;
+
+  const { data: diff } = useQuery({
+    queryKey: ['question-revision-diff', questionId, from, to],
+    queryFn: () => contentAPI.getRevisionDiff(questionId, from, to),
+    enabled: from >= 1 && to > from
+  });
+
+  return (
+    <div className="glass-card p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-bold flex items-center">
+          <History className="w-5 h-5 mr-2" />
+          Revision History
+        </h3>
+        <button onClick={onClose} className="p-2 text-gray-400 hover:text-white" title="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="space-y-2 mb-6">
+        {revisions.map((rev) => (
+          <div key={rev._id} className="flex items-center justify-between p-3 glass-card">
+            <div>
+              <p className="font-medium">Revision {rev.revision}</p>
+              <p className="text-xs text-gray-400">
+                {formatDateTime(rev.createdAt)}{rev.editedBy ? ` · ${rev.editedBy.name}` : ''}
+              </p>
+            </div>
+            <div className="flex gap-2 text-xs">
+              <button
+                onClick={() => setRange({ from: rev.revision, to: Math.max(to, rev.revision + 1) })}
+                disabled={rev.revision === latest}
+                className={`px-2 py-1 rounded ${from === rev.revision ? 'bg-red-500/30 text-red-300' : 'glass-card'} disabled:opacity-30`}
+              >
+                from
+              </button>
+              <button
+                onClick={() => setRange({ from: Math.min(from, rev.revision - 1), to: rev.revision })}
+                disabled={rev.revision === 1}
+                className={`px-2 py-1 rounded ${to === rev.revision ? 'bg-green-500/30 text-green-300' : 'glass-card'} disabled:opacity-30`}
+              >
+                to
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {latest <= 1 && <p className="text-sm text-gray-400">Only one revision so far.</p>}
+
+      {diff && (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-400">Revision {from} → {to}</p>
+          {diff.changes.length === 0 && <p className="text-sm text-gray-400">No differences.</p>}
+          {diff.changes.map((change) => (
+            <div key={change.field} className="glass-card p-3 text-sm">
+              <p className="text-xs text-gray-400 mb-1 font-mono">{change.field}</p>
+              {change.before !== null && (
+                <p className="text-red-300 line-through">{formatValue(change.before)}</p>
+              )}
+              {change.after !== null && (
+                <p className="text-green-300">{formatValue(change.after)}</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import { Monitor, LogOut } from 'lucide-react';
+import { formatDateTime } from '../lib/utils';
+
+// Devices signed in to one account, as returned by the sessions endpoints.
+// Used in the Profile page and, for admins, in UserDetail.
+export default function SessionList({ sessions, onRevoke, revoking = false, emptyText = 'No active sessions' }) {
+  if (!sessions?.length) {
+    return <p className="text-sm text-gray-400">{emptyText}</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      {sessions.map((session) => (
+        <div key={session.id} className="glass-card p-4 flex items-center justify-between gap-4">
+          <div className="flex items-center min-w-0">
+            <Monitor className="w-5 h-5 text-cosmic-400 mr-3 flex-shrink-0" />
+            <div className="min-w-0">
+              <p className="font-medium" title={session.userAgent}>
+                {session.device}
+                {session.current && <span className="ml-2 text-xs text-green-400">This device</span>}
+              </p>
+              <p className="text-xs text-gray-400">
+                {session.ip || 'Unknown IP'} · Last seen {formatDateTime(session.lastSeen)} · Signed in {formatDateTime(session.createdAt)}
+              </p>
+            </div>
+          </div>
+          {!session.current && (
+            <button
+              onClick={() => onRevoke(session)}
+              disabled={revoking}
+              className="p-2 text-gray-400 hover:text-red-400 disabled:opacity-30"
+              title="Sign out this device"
+            >
+              <LogOut className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
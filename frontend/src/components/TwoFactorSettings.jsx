@@ -0,0 +1,189 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { KeyRound, AlertTriangle, Copy } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { authAPI } from '../lib/api';
+import { useAuthStore } from '../store/authStore';
+import { formatDate } from '../lib/utils';
+
+// Enroll an authenticator app, manage backup codes and turn 2FA off.
+// Used in the Profile page and, for admins, in the Security page.
+export default function TwoFactorSettings() {
+  const { updateUser } = useAuthStore();
+  const queryClient = useQueryClient();
+  const [enrollment, setEnrollment] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [code, setCode] = useState('');
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['two-factor'],
+    queryFn: authAPI.getTwoFactor
+  });
+  const status = data?.twoFactor;
+
+  const refresh = (enabled) => {
+    setCode('');
+    updateUser({ twoFactorEnabled: enabled });
+    queryClient.invalidateQueries(['two-factor']);
+  };
+
+  const setupMutation = useMutation({
+    mutationFn: authAPI.setupTwoFactor,
+    onSuccess: (data) => setEnrollment(data)
+  });
+
+  const enableMutation = useMutation({
+    mutationFn: () => authAPI.enableTwoFactor(code),
+    onSuccess: (data) => {
+      setEnrollment(null);
+      setBackupCodes(data.backupCodes);
+      refresh(true);
+      toast.success(data.message);
+    }
+  });
+
+  const disableMutation = useMutation({
+    mutationFn: () => authAPI.disableTwoFactor(code),
+    onSuccess: (data) => {
+      refresh(false);
+      toast.success(data.message);
+    }
+  });
+
+  const regenerateMutation = useMutation({
+    mutationFn: () => authAPI.regenerateBackupCodes(code),
+    onSuccess: (data) => {
+      setBackupCodes(data.backupCodes);
+      refresh(true);
+    }
+  });
+
+  const copyBackupCodes = async () => {
+    await navigator.clipboard.writeText(backupCodes.join('\n'));
+    toast.success('Backup codes copied');
+  };
+
+  if (isLoading || !status) {
+    return <p className="text-sm text-gray-400">Loading...</p>;
+  }
+
+  const codeInput = (
+    <input
+      type="text"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      className="input-field w-40 font-mono"
+      placeholder="123456"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+    />
+  );
+
+  if (backupCodes) {
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-gray-300">
+          Save these backup codes somewhere safe. Each one signs you in once if you lose your
+          authenticator. They won&apos;t be shown again.
+        </p>
+        <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+          {backupCodes.map((backupCode) => (
+            <span key={backupCode} className="glass-card px-3 py-2 text-center">{backupCode}</span>
+          ))}
+        </div>
+        <div className="flex gap-3">
+          <button onClick={copyBackupCodes} className="btn-secondary flex items-center">
+            <Copy className="w-4 h-4 mr-2" />
+            Copy
+          </button>
+          <button onClick={() => setBackupCodes(null)} className="btn-primary">
+            I&apos;ve saved them
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (enrollment) {
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-gray-300">
+          Scan this QR code with an authenticator app, then enter the 6-digit code it shows.
+        </p>
+        <img src={enrollment.qrCode} alt="Authenticator QR code" className="w-48 h-48 rounded-lg bg-white p-2" />
+        <p className="text-xs text-gray-400">
+          Can&apos;t scan it? Enter this key instead: <span className="font-mono text-gray-200 break-all">{enrollment.secret}</span>
+        </p>
+        <div className="flex gap-3 items-center">
+          {codeInput}
+          <button
+            onClick={() => enableMutation.mutate()}
+            disabled={!code.trim() || enableMutation.isPending}
+            className="btn-primary"
+          >
+            Enable
+          </button>
+          <button onClick={() => { setEnrollment(null); setCode(''); }} className="text-sm text-gray-400 hover:text-gray-200">
+            Cancel
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!status.enabled) {
+    return (
+      <div className="space-y-4">
+        {status.required && (
+          <p className="text-sm text-yellow-400 flex items-center">
+            <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0" />
+            Your account must use two-factor authentication. Set it up to continue.
+          </p>
+        )}
+        <p className="text-sm text-gray-400">
+          Protect your account with a code from an authenticator app each time you log in.
+        </p>
+        <button
+          onClick={() => setupMutation.mutate()}
+          disabled={setupMutation.isPending}
+          className="btn-primary flex items-center"
+        >
+          <KeyRound className="w-4 h-4 mr-2" />
+          Set up authenticator app
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-300">
+        <span className="text-green-400">Enabled</span> since {formatDate(status.enabledAt)}
+        {' · '}
+        <span className={status.backupCodesRemaining < 3 ? 'text-yellow-400' : ''}>
+          {status.backupCodesRemaining} backup code{status.backupCodesRemaining === 1 ? '' : 's'} left
+        </span>
+      </p>
+      <p className="text-xs text-gray-400">Enter a current code to make changes.</p>
+      <div className="flex flex-wrap gap-3 items-center">
+        {codeInput}
+        <button
+          onClick={() => regenerateMutation.mutate()}
+          disabled={!code.trim() || regenerateMutation.isPending}
+          className="btn-secondary"
+        >
+          New backup codes
+        </button>
+        {!status.required && (
+          <button
+            onClick={() => disableMutation.mutate()}
+            disabled={!code.trim() || disableMutation.isPending}
+            className="text-sm text-red-400 hover:text-red-300 disabled:opacity-30"
+          >
+            Turn off
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
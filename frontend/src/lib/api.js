@@ -22,14 +22,64 @@ api.interceptors.request.use(
   }
 );
 
+// Access tokens are short-lived. On a 401 the refresh token is exchanged for a
+// new pair and the request retried once; concurrent 401s share one refresh.
+let refreshing = null;
+
+const refreshTokens = () => {
+  if (refreshing) return refreshing;
+
+  refreshing = (async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    try {
+      if (!refreshToken) return false;
+      const { data } = await axios.post(`${api.defaults.baseURL}/auth/refresh`, { refreshToken });
+      localStorage.setItem('token', data.token);
+      localStorage.setItem('refreshToken', data.refreshToken);
+      return true;
+    } catch {
+      // Another tab may have rotated the refresh token first
+      return localStorage.getItem('refreshToken') !== refreshToken;
+    } finally {
+      refreshing = null;
+    }
+  })();
+  return refreshing;
+};
+
+const isAuthRequest = (config) => (
+  /\/auth\/(login|login\/2fa|register|refresh|logout|forgot-password|reset-password|verify-email)$/.test(config?.url || '')
+);
+
 // Response interceptor
 api.interceptors.response.use(
   (response) => response.data,
-  (error) => {
+  async (error) => {
     const message = error.response?.data?.message || 'Something went wrong';
+    const { config } = error;
 
-    if (error.response?.status === 401) {
+    if (error.response?.status === 401 && config && !config._retried && !isAuthRequest(config)) {
+      config._retried = true;
+      if (await refreshTokens()) {
+        // The request interceptor attaches the new access token
+        return api(config);
+      }
+    }
+
+    // Admin routes refuse admins without 2FA when it is required; send them to set it up
+    if (error.response?.data?.twoFactorSetupRequired) {
+      if (window.location.pathname !== '/admin/security') {
+        window.location.href = '/admin/security';
+      }
+      toast.error(message);
+      return Promise.reject(error);
+    }
+
+    if (error.response?.status === 401 && !isAuthRequest(config)) {
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+      // The persisted auth store, so the reloaded app doesn't think we're still signed in
+      localStorage.removeItem('auth-storage');
       window.location.href = '/login';
       toast.error('Session expired. Please login again.');
     } else {
@@ -44,8 +94,24 @@ api.interceptors.response.use(
 export const authAPI = {
   register: (data) => api.post('/auth/register', data),
   login: (data) => api.post('/auth/login', data),
+  loginTwoFactor: (data) => api.post('/auth/login/2fa', data),
+  logout: (refreshToken) => api.post('/auth/logout', { refreshToken }),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (data) => api.post('/auth/reset-password', data),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: () => api.post('/auth/resend-verification'),
   getMe: () => api.get('/auth/me'),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (sessionId) => api.delete(`/auth/sessions/${sessionId}`),
+  revokeOtherSessions: () => api.post('/auth/sessions/revoke-others'),
+  getTwoFactor: () => api.get('/auth/2fa'),
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  enableTwoFactor: (code) => api.post('/auth/2fa/enable', { code }),
+  disableTwoFactor: (code) => api.post('/auth/2fa/disable', { code }),
+  regenerateBackupCodes: (code) => api.post('/auth/2fa/backup-codes', { code }),
   updateProfile: (data) => api.put('/auth/update-profile', data),
+  upgradeAccount: (data) => api.post('/auth/upgrade', data),
+  mergeIntoAccount: (data) => api.post('/auth/upgrade/merge', data),
 };
 
 // Invite APIs
@@ -63,17 +129,78 @@ export const quizAPI = {
   getSubjects: () => api.get('/quiz/subjects'),
   getSubject: (slug) => api.get(`/quiz/subjects/${slug}`),
   getTopic: (topicId) => api.get(`/quiz/topics/${topicId}`),
-  getRandomQuestion: (topicId, answeredIds = []) => {
-    const params = answeredIds.length > 0 ? { answered: answeredIds.join(',') } : {};
-    return api.get(`/quiz/topics/${topicId}/question`, { params });
+  startSession: (data) => api.post('/quiz/sessions', data),
+  getSessions: (params) => api.get('/quiz/sessions', { params }),
+  getSession: (id) => api.get(`/quiz/sessions/${id}`),
+  nextQuestion: (sessionId) => api.post(`/quiz/sessions/${sessionId}/next`),
+  answerQuestion: (sessionId, data) => api.post(`/quiz/sessions/${sessionId}/answer`, data),
+  finishSession: (sessionId) => api.post(`/quiz/sessions/${sessionId}/finish`),
+};
+
+// Exam APIs
+export const examAPI = {
+  getPapers: () => api.get('/exams'),
+  start: (paperId) => api.post(`/exams/${paperId}/start`),
+  getAttempt: (attemptId) => api.get(`/exams/attempts/${attemptId}`),
+  saveAnswer: (attemptId, questionId, userAnswer) => api.put(`/exams/attempts/${attemptId}/answers/${questionId}`, { userAnswer }),
+  submit: (attemptId) => api.post(`/exams/attempts/${attemptId}/submit`),
+};
+
+// Exam paper APIs (admin)
+export const examPaperAPI = {
+  getPapers: () => api.get('/admin/exams'),
+  createPaper: (data) => api.post('/admin/exams', data),
+  updatePaper: (id, data) => api.put(`/admin/exams/${id}`, data),
+  deletePaper: (id) => api.delete(`/admin/exams/${id}`),
+  getResults: (id) => api.get(`/admin/exams/${id}/results`),
+};
+
+// Content APIs (admin question bank)
+export const contentAPI = {
+  getSubjects: () => api.get('/admin/content/subjects'),
+  createSubject: (data) => api.post('/admin/content/subjects', data),
+  updateSubject: (id, data) => api.put(`/admin/content/subjects/${id}`, data),
+  deleteSubject: (id) => api.delete(`/admin/content/subjects/${id}`),
+  reorderTopics: (subjectId, topicIds) => api.put(`/admin/content/subjects/${subjectId}/topics/order`, { topicIds }),
+  createTopic: (data) => api.post('/admin/content/topics', data),
+  updateTopic: (id, data) => api.put(`/admin/content/topics/${id}`, data),
+  deleteTopic: (id) => api.delete(`/admin/content/topics/${id}`),
+  getQuestions: (topicId) => api.get(`/admin/content/topics/${topicId}/questions`),
+  createQuestion: (data) => api.post('/admin/content/questions', data),
+  updateQuestion: (id, data) => api.put(`/admin/content/questions/${id}`, data),
+  deleteQuestion: (id) => api.delete(`/admin/content/questions/${id}`),
+  bulkDeleteQuestions: (ids) => api.post('/admin/content/questions/bulk-delete', { ids }),
+  getRevisions: (questionId) => api.get(`/admin/content/questions/${questionId}/revisions`),
+  getRevisionDiff: (questionId, from, to) => api.get(`/admin/content/questions/${questionId}/revisions/diff`, { params: { from, to } }),
+  getRevision: (revisionId) => api.get(`/admin/content/revisions/${revisionId}`),
+  getMedia: () => api.get('/admin/content/media'),
+  uploadMedia: (file, alt) => {
+    const form = new FormData();
+    form.append('file', file);
+    form.append('alt', alt);
+    return api.post('/admin/content/media', form, { headers: { 'Content-Type': 'multipart/form-data' } });
   },
+  updateMedia: (id, data) => api.put(`/admin/content/media/${id}`, data),
+  deleteMedia: (id) => api.delete(`/admin/content/media/${id}`),
+  importContent: (file, params) => {
+    const form = new FormData();
+    form.append('file', file);
+    return api.post('/admin/content/import', form, { params, headers: { 'Content-Type': 'multipart/form-data' } });
+  },
+  exportContent: (params) => api.get('/admin/content/export', { params, responseType: 'blob' }),
 };
 
+// Absolute URL for uploaded media, which the API returns relative to its own host
+export const mediaUrl = (url) => new URL(url, new URL(api.defaults.baseURL, window.location.origin)).href;
+
 // Progress APIs
 export const progressAPI = {
   submitAnswer: (data) => api.post('/progress/submit-answer', data),
+  getHint: (data) => api.post('/progress/hint', data),
   getMyProgress: () => api.get('/progress/my-progress'),
+  getCalibration: (topicId) => api.get('/progress/calibration', { params: { topicId } }),
   getTopicProgress: (topicId) => api.get(`/progress/topic/${topicId}`),
+  getDueReviews: (limit = 20) => api.get(`/progress/due?limit=${limit}`),
   resetTopic: (topicId) => api.delete(`/progress/topic/${topicId}/reset`),
 };
 
@@ -97,6 +224,15 @@ export const adminAPI = {
   getUser: (userId) => api.get(`/admin/users/${userId}`),
   toggleUserStatus: (userId) => api.put(`/admin/users/${userId}/toggle-status`),
   deleteUser: (userId) => api.delete(`/admin/users/${userId}`),
+  getUserSessions: (userId) => api.get(`/admin/users/${userId}/sessions`),
+  revokeUserSessions: (userId) => api.delete(`/admin/users/${userId}/sessions`),
+  revokeUserSession: (userId, sessionId) => api.delete(`/admin/users/${userId}/sessions/${sessionId}`),
+  resetUserTwoFactor: (userId) => api.delete(`/admin/users/${userId}/two-factor`),
+  getMasteryEngines: () => api.get('/admin/mastery-engines'),
+  setUserMasteryEngine: (userId, masteryEngine) => api.put(`/admin/users/${userId}/mastery-engine`, { masteryEngine }),
+  getBKTParams: () => api.get('/admin/bkt/params'),
+  fitBKT: (data = {}) => api.post('/admin/bkt/fit', data),
+  getItemStats: (questionId) => api.get(`/admin/items/${encodeURIComponent(questionId)}/stats`),
   getAnalytics: (period = '30') => api.get(`/admin/analytics/overview?period=${period}`),
 };
 
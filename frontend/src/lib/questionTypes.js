@@ -0,0 +1,50 @@
+// Client-side counterpart of backend/services/questionTypes.js: the answer
+// shape each question type starts with, and when it is ready to submit.
+// Grading always happens on the server.
+
+export const QUESTION_TYPE_LABELS = {
+  single: 'Single choice',
+  multi: 'Multiple select',
+  'true-false': 'True / False',
+  numeric: 'Numeric',
+  'short-text': 'Short text',
+  ordering: 'Ordering',
+  matching: 'Matching',
+};
+
+export const optionLetter = (option) => option?.[0]?.toUpperCase();
+
+export function initialAnswer(question) {
+  switch (question?.type) {
+    case 'multi':
+      return [];
+    case 'ordering':
+      return (question.options || []).map(optionLetter);
+    case 'matching':
+      return (question.options || []).map(() => null);
+    case 'numeric':
+    case 'short-text':
+      return '';
+    default:
+      return null;
+  }
+}
+
+export function isAnswerComplete(type, answer) {
+  switch (type) {
+    case 'multi':
+      return Array.isArray(answer) && answer.length > 0;
+    case 'true-false':
+      return typeof answer === 'boolean';
+    case 'numeric':
+      return answer !== '' && answer !== null && Number.isFinite(Number(answer));
+    case 'short-text':
+      return typeof answer === 'string' && answer.trim() !== '';
+    case 'ordering':
+      return Array.isArray(answer) && answer.length > 0;
+    case 'matching':
+      return Array.isArray(answer) && answer.length > 0 && answer.every((m) => m !== null && m !== undefined);
+    default:
+      return !!answer;
+  }
+}
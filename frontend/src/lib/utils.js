@@ -25,6 +25,13 @@ export function formatDateTime(date) {
   });
 }
 
+export function formatDuration(seconds) {
+  if (seconds == null) return '—';
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.round(seconds % 60);
+  return minutes > 0 ? `${minutes}m ${rest}s` : `${rest}s`;
+}
+
 export function calculateAccuracy(correct, total) {
   if (total === 0) return 0;
   return Math.round((correct / total) * 100);
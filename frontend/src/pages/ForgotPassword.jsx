@@ -0,0 +1,73 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Mail, Send } from 'lucide-react';
+import AuthCard from '../components/AuthCard';
+import { authAPI } from '../lib/api';
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [sentMessage, setSentMessage] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await authAPI.forgotPassword(email);
+      setSentMessage(response.message);
+    } catch (error) {
+      console.error('Forgot password error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AuthCard title="Forgot Password" subtitle="&gt; WE'LL MAIL YOU A RESET LINK">
+      {sentMessage ? (
+        <p className="text-center text-gray-300">{sentMessage}</p>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label className="block text-sm font-medium mb-2 text-gray-300">
+              Email Address
+            </label>
+            <div className="relative">
+              <Mail className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+              <input
+                type="email"
+                required
+                className="input-field pl-11"
+                placeholder="your@email.com"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+              />
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full btn-primary flex items-center justify-center space-x-2"
+          >
+            {loading ? (
+              <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin" />
+            ) : (
+              <>
+                <Send className="w-5 h-5" />
+                <span>Send Reset Link</span>
+              </>
+            )}
+          </button>
+        </form>
+      )}
+
+      <div className="mt-8 text-center">
+        <Link to="/login" className="text-neon-magenta hover:text-neon-cyan font-semibold transition-colors duration-300">
+          Back to sign in
+        </Link>
+      </div>
+    </AuthCard>
+  );
+}
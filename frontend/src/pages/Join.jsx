@@ -50,7 +50,7 @@ export default function Join() {
       // Save session token to localStorage for quick re-login
       localStorage.setItem('sessionToken', response.user.sessionToken || '');
 
-      setAuth(response.user, response.token);
+      setAuth(response.user, response.token, response.refreshToken);
       toast.success(`Welcome, ${response.user.name}!`);
       navigate('/dashboard');
     } catch (err) {
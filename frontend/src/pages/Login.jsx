@@ -1,7 +1,7 @@
 import { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { Mail, Lock, LogIn } from 'lucide-react';
+import { Mail, Lock, LogIn, KeyRound } from 'lucide-react';
 import { useAuthStore } from '../store/authStore';
 import { authAPI } from '../lib/api';
 import toast from 'react-hot-toast';
@@ -9,18 +9,39 @@ import toast from 'react-hot-toast';
 export default function Login() {
   const [formData, setFormData] = useState({ email: '', password: '' });
   const [loading, setLoading] = useState(false);
+  // Set once the password is accepted for an account with 2FA on
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
   const { setAuth } = useAuthStore();
   const navigate = useNavigate();
 
+  const finishLogin = (response) => {
+    setAuth(response.user, response.token, response.refreshToken);
+    toast.success('Welcome back!');
+
+    if (response.backupCodesRemaining !== undefined) {
+      toast(`Backup code used. ${response.backupCodesRemaining} left.`, { icon: '🔑' });
+    }
+
+    if (response.twoFactorSetupRequired && !response.user.twoFactorEnabled) {
+      toast('Set up two-factor authentication to continue', { icon: '🔒' });
+      navigate('/admin/security');
+    } else {
+      navigate(response.user.role === 'admin' ? '/admin' : '/dashboard');
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
 
     try {
       const response = await authAPI.login(formData);
-      setAuth(response.user, response.token);
-      toast.success('Welcome back!');
-      navigate(response.user.role === 'admin' ? '/admin' : '/dashboard');
+      if (response.twoFactorRequired) {
+        setChallengeToken(response.challengeToken);
+      } else {
+        finishLogin(response);
+      }
     } catch (error) {
       console.error('Login error:', error);
     } finally {
@@ -28,6 +49,22 @@ export default function Login() {
     }
   };
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      finishLogin(await authAPI.loginTwoFactor({ challengeToken, code }));
+    } catch (error) {
+      setCode('');
+      if (error.response?.data?.challengeExpired) {
+        setChallengeToken(null);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center px-4">
       <motion.div
@@ -78,56 +115,111 @@ export default function Login() {
           </div>
 
           {/* Form */}
-          <form onSubmit={handleSubmit} className="space-y-6">
-            <div>
-              <label className="block text-sm font-medium mb-2 text-gray-300">
-                Email Address
-              </label>
-              <div className="relative">
-                <Mail className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
-                <input
-                  type="email"
-                  required
-                  className="input-field pl-11"
-                  placeholder="your@email.com"
-                  value={formData.email}
-                  onChange={(e) => setFormData({ ...formData, email: e.target.value })}
-                />
+          {challengeToken ? (
+            <form onSubmit={handleCodeSubmit} className="space-y-6">
+              <div>
+                <label className="block text-sm font-medium mb-2 text-gray-300">
+                  Authentication Code
+                </label>
+                <div className="relative">
+                  <KeyRound className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+                  <input
+                    type="text"
+                    required
+                    autoFocus
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    className="input-field pl-11 font-mono"
+                    placeholder="123456"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                  />
+                </div>
+                <p className="mt-2 text-xs text-gray-400">
+                  Enter the code from your authenticator app, or one of your backup codes.
+                </p>
               </div>
-            </div>
 
-            <div>
-              <label className="block text-sm font-medium mb-2 text-gray-300">
-                Password
-              </label>
-              <div className="relative">
-                <Lock className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
-                <input
-                  type="password"
-                  required
-                  className="input-field pl-11"
-                  placeholder="••••••••"
-                  value={formData.password}
-                  onChange={(e) => setFormData({ ...formData, password: e.target.value })}
-                />
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full btn-primary flex items-center justify-center space-x-2"
+              >
+                {loading ? (
+                  <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin" />
+                ) : (
+                  <>
+                    <LogIn className="w-5 h-5" />
+                    <span>Verify</span>
+                  </>
+                )}
+              </button>
+
+              <button
+                type="button"
+                onClick={() => { setChallengeToken(null); setCode(''); }}
+                className="w-full text-sm text-gray-400 hover:text-gray-200"
+              >
+                Back
+              </button>
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div>
+                <label className="block text-sm font-medium mb-2 text-gray-300">
+                  Email Address
+                </label>
+                <div className="relative">
+                  <Mail className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+                  <input
+                    type="email"
+                    required
+                    className="input-field pl-11"
+                    placeholder="your@email.com"
+                    value={formData.email}
+                    onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                  />
+                </div>
               </div>
-            </div>
 
-            <button
-              type="submit"
-              disabled={loading}
-              className="w-full btn-primary flex items-center justify-center space-x-2"
-            >
-              {loading ? (
-                <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin" />
-              ) : (
-                <>
-                  <LogIn className="w-5 h-5" />
-                  <span>Sign In</span>
-                </>
-              )}
-            </button>
-          </form>
+              <div>
+                <div className="flex justify-between items-center mb-2">
+                  <label className="block text-sm font-medium text-gray-300">
+                    Password
+                  </label>
+                  <Link to="/forgot-password" className="text-xs text-neon-cyan/70 hover:text-neon-cyan">
+                    Forgot password?
+                  </Link>
+                </div>
+                <div className="relative">
+                  <Lock className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+                  <input
+                    type="password"
+                    required
+                    className="input-field pl-11"
+                    placeholder="••••••••"
+                    value={formData.password}
+                    onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                  />
+                </div>
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full btn-primary flex items-center justify-center space-x-2"
+              >
+                {loading ? (
+                  <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin" />
+                ) : (
+                  <>
+                    <LogIn className="w-5 h-5" />
+                    <span>Sign In</span>
+                  </>
+                )}
+              </button>
+            </form>
+          )}
 
           {/* Footer */}
           <div className="mt-8 text-center">
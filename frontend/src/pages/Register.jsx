@@ -24,7 +24,7 @@ export default function Register() {
 
     try {
       const response = await authAPI.register(formData);
-      setAuth(response.user, response.token);
+      setAuth(response.user, response.token, response.refreshToken);
       toast.success('Account created successfully!');
       navigate('/dashboard');
     } catch (error) {
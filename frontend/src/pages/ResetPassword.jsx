@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { Lock, KeyRound } from 'lucide-react';
+import AuthCard from '../components/AuthCard';
+import { useAuthStore } from '../store/authStore';
+import { authAPI } from '../lib/api';
+import toast from 'react-hot-toast';
+
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [formData, setFormData] = useState({ password: '', confirm: '' });
+  const [loading, setLoading] = useState(false);
+  const { user, logout } = useAuthStore();
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.password !== formData.confirm) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await authAPI.resetPassword({ token, password: formData.password });
+      // Every session was revoked, this browser's included
+      if (user) logout();
+      toast.success(response.message);
+      navigate('/login');
+    } catch (error) {
+      console.error('Reset password error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <AuthCard title="Reset Password">
+        <p className="text-center text-gray-300 mb-6">This reset link is incomplete.</p>
+        <div className="text-center">
+          <Link to="/forgot-password" className="text-neon-magenta hover:text-neon-cyan font-semibold">
+            Request a new link
+          </Link>
+        </div>
+      </AuthCard>
+    );
+  }
+
+  return (
+    <AuthCard title="Reset Password" subtitle="&gt; CHOOSE A NEW PASSWORD">
+      <form onSubmit={handleSubmit} className="space-y-6">
+        {[
+          { key: 'password', label: 'New Password' },
+          { key: 'confirm', label: 'Confirm Password' }
+        ].map(({ key, label }) => (
+          <div key={key}>
+            <label className="block text-sm font-medium mb-2 text-gray-300">{label}</label>
+            <div className="relative">
+              <Lock className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+              <input
+                type="password"
+                required
+                minLength={6}
+                className="input-field pl-11"
+                placeholder="••••••••"
+                value={formData[key]}
+                onChange={(e) => setFormData({ ...formData, [key]: e.target.value })}
+              />
+            </div>
+          </div>
+        ))}
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full btn-primary flex items-center justify-center space-x-2"
+        >
+          {loading ? (
+            <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin" />
+          ) : (
+            <>
+              <KeyRound className="w-5 h-5" />
+              <span>Set New Password</span>
+            </>
+          )}
+        </button>
+      </form>
+    </AuthCard>
+  );
+}
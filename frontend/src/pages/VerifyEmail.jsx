@@ -0,0 +1,58 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { CheckCircle, XCircle } from 'lucide-react';
+import AuthCard from '../components/AuthCard';
+import { useAuthStore } from '../store/authStore';
+import { authAPI } from '../lib/api';
+
+export default function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'failed');
+  const { user, updateUser } = useAuthStore();
+  // Tokens are single-use: don't send it twice when effects run twice in development
+  const sent = useRef(false);
+
+  useEffect(() => {
+    if (!token || sent.current) return;
+    sent.current = true;
+
+    authAPI.verifyEmail(token)
+      .then((response) => {
+        setStatus('verified');
+        if (user && user.id === response.user.id) {
+          updateUser({ emailVerified: true });
+        }
+      })
+      .catch(() => setStatus('failed'));
+  }, [token, user, updateUser]);
+
+  return (
+    <AuthCard title="Email Verification">
+      {status === 'verifying' && (
+        <div className="w-12 h-12 border-4 border-cosmic-500 border-t-transparent rounded-full animate-spin mx-auto"></div>
+      )}
+      {status === 'verified' && (
+        <p className="flex items-center justify-center text-green-400">
+          <CheckCircle className="w-6 h-6 mr-2" />
+          Your email address is verified.
+        </p>
+      )}
+      {status === 'failed' && (
+        <p className="flex items-center justify-center text-red-400">
+          <XCircle className="w-6 h-6 mr-2" />
+          This link is invalid or has expired.
+        </p>
+      )}
+
+      <div className="mt-8 text-center">
+        <Link
+          to={user ? (user.role === 'admin' ? '/admin' : '/dashboard') : '/login'}
+          className="text-neon-magenta hover:text-neon-cyan font-semibold transition-colors duration-300"
+        >
+          {user ? 'Continue' : 'Go to sign in'}
+        </Link>
+      </div>
+    </AuthCard>
+  );
+}
@@ -1,7 +1,11 @@
-import { useQuery } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { adminAPI } from '../../lib/api';
 import Navbar from '../../components/Navbar';
-import { BarChart3 } from 'lucide-react';
+import { formatDuration, formatDateTime } from '../../lib/utils';
+import { BarChart3, Timer, Brain } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const BKT_FIELDS = ['prior', 'learn', 'guess', 'slip'];
 
 export default function Analytics() {
   const { data, isLoading } = useQuery({
@@ -9,6 +13,21 @@ export default function Analytics() {
     queryFn: () => adminAPI.getAnalytics()
   });
 
+  const queryClient = useQueryClient();
+
+  const { data: bktData } = useQuery({
+    queryKey: ['admin-bkt-params'],
+    queryFn: adminAPI.getBKTParams
+  });
+
+  const fitMutation = useMutation({
+    mutationFn: () => adminAPI.fitBKT(),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries(['admin-bkt-params']);
+      toast.success(`Fitted ${data.fitted} topic${data.fitted === 1 ? '' : 's'}, skipped ${data.skipped} with too little data`);
+    }
+  });
+
   if (isLoading) {
     return (
       <>
@@ -70,6 +89,87 @@ export default function Analytics() {
             </div>
           </div>
         )}
+
+        {/* Answer Speed */}
+        {data?.data?.topicLatency && data.data.topicLatency.length > 0 && (
+          <div className="glass-card p-6 mt-8">
+            <h2 className="text-2xl font-bold mb-4 flex items-center">
+              <Timer className="w-6 h-6 mr-2" />
+              Time per Answer by Topic
+            </h2>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-400 border-b border-white/10">
+                    <th className="py-2 pr-4">Topic</th>
+                    <th className="py-2 pr-4">Timed answers</th>
+                    <th className="py-2 pr-4">Average</th>
+                    <th className="py-2 pr-4">Correct</th>
+                    <th className="py-2">Incorrect</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.data.topicLatency.map((topic) => (
+                    <tr key={topic.topicId} className="border-b border-white/5">
+                      <td className="py-2 pr-4 font-medium">{topic.topicId}</td>
+                      <td className="py-2 pr-4">{topic.timedAttempts}</td>
+                      <td className="py-2 pr-4">{formatDuration(topic.avgSeconds)}</td>
+                      <td className="py-2 pr-4 text-green-400">{formatDuration(topic.avgCorrectSeconds)}</td>
+                      <td className="py-2 text-red-400">{formatDuration(topic.avgIncorrectSeconds)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {/* BKT parameters */}
+        <div className="glass-card p-6 mt-8">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-2xl font-bold flex items-center">
+              <Brain className="w-6 h-6 mr-2" />
+              BKT Parameters by Topic
+            </h2>
+            <button
+              onClick={() => fitMutation.mutate()}
+              disabled={fitMutation.isPending}
+              className="btn-secondary disabled:opacity-50"
+            >
+              {fitMutation.isPending ? 'Fitting...' : 'Fit from attempts'}
+            </button>
+          </div>
+          {bktData?.params?.length > 0 ? (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-400 border-b border-white/10">
+                    <th className="py-2 pr-4">Topic</th>
+                    {BKT_FIELDS.map((field) => (
+                      <th key={field} className="py-2 pr-4 capitalize">{field}</th>
+                    ))}
+                    <th className="py-2 pr-4">Observations</th>
+                    <th className="py-2">Fitted</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {bktData.params.map((params) => (
+                    <tr key={params.topicId} className="border-b border-white/5">
+                      <td className="py-2 pr-4 font-medium">{params.topicId}</td>
+                      {BKT_FIELDS.map((field) => (
+                        <td key={field} className="py-2 pr-4">{(params[field] ?? 0).toFixed(3)}</td>
+                      ))}
+                      <td className="py-2 pr-4">{params.observations}</td>
+                      <td className="py-2">{formatDateTime(params.fittedAt)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-400">No topics fitted yet; topics use the default parameters.</p>
+          )}
+        </div>
       </div>
     </>
   );
@@ -0,0 +1,692 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { motion } from 'framer-motion';
+import { BookOpen, Plus, Trash2, ChevronUp, ChevronDown, Edit3, Save, X, History, ArrowUpDown } from 'lucide-react';
+import Navbar from '../../components/Navbar';
+import QuestionCard from '../../components/QuestionCard';
+import QuestionRevisions from '../../components/QuestionRevisions';
+import Markdown from '../../components/Markdown';
+import MediaAttachments from '../../components/MediaAttachments';
+import ContentTransfer from '../../components/ContentTransfer';
+import { contentAPI } from '../../lib/api';
+import { QUESTION_TYPE_LABELS, optionLetter } from '../../lib/questionTypes';
+import toast from 'react-hot-toast';
+
+const emptyQuestion = {
+  type: 'single',
+  text: '',
+  options: ['A. ', 'B. ', 'C. ', 'D. '],
+  matches: [],
+  answer: 'A',
+  tolerance: 0,
+  pattern: '',
+  caseSensitive: false,
+  explanation: '',
+  hints: [],
+  media: []
+};
+
+const usesOptions = (type) => !['true-false', 'numeric', 'short-text'].includes(type);
+
+// Starting answer when the author switches a question to another type
+const defaultAnswer = (type, options) => {
+  switch (type) {
+    case 'multi':
+      return [];
+    case 'true-false':
+      return true;
+    case 'numeric':
+      return 0;
+    case 'short-text':
+      return [];
+    case 'ordering':
+      return options.map(optionLetter);
+    case 'matching':
+      return options.map(() => null);
+    default:
+      return optionLetter(options[0]) || 'A';
+  }
+};
+
+// Keep the answer consistent with an edited option list
+const withOptions = (draft, options) => {
+  const letters = options.map(optionLetter);
+  let answer = draft.answer;
+  if (draft.type === 'multi') {
+    answer = draft.answer.filter(letter => letters.includes(letter));
+  } else if (draft.type === 'ordering') {
+    answer = [
+      ...draft.answer.filter(letter => letters.includes(letter)),
+      ...letters.filter(letter => !draft.answer.includes(letter))
+    ];
+  } else if (draft.type === 'matching') {
+    answer = options.map((_, i) => draft.answer[i] ?? null);
+  }
+  return { ...draft, options, answer };
+};
+
+const formatAnswer = (answer) => (typeof answer === 'string' ? answer : JSON.stringify(answer));
+
+// Request body for a draft, with answers converted to the stored shape
+const toQuestionBody = (draft) => ({
+  ...draft,
+  answer: draft.type === 'numeric'
+    ? Number(draft.answer)
+    : draft.type === 'short-text'
+    ? draft.answer.map(v => v.trim()).filter(Boolean)
+    : draft.answer,
+  tolerance: Number(draft.tolerance) || 0,
+  pattern: draft.pattern || null,
+  hints: draft.hints.map(h => h.trim()).filter(Boolean),
+  media: draft.media.map(m => m._id)
+});
+
+export default function Content() {
+  const [selectedTopic, setSelectedTopic] = useState(null);
+  const [editing, setEditing] = useState(null); // null, 'new' or a question _id
+  const [draft, setDraft] = useState(emptyQuestion);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [historyFor, setHistoryFor] = useState(null);
+  const [showTransfer, setShowTransfer] = useState(false);
+  const [newSubject, setNewSubject] = useState({ name: '', slug: '' });
+  const [newTopic, setNewTopic] = useState({ subject: null, topicId: '', title: '' });
+  const queryClient = useQueryClient();
+
+  const { data: subjectsData, isLoading } = useQuery({
+    queryKey: ['content-subjects'],
+    queryFn: contentAPI.getSubjects
+  });
+
+  const { data: questionsData } = useQuery({
+    queryKey: ['content-questions', selectedTopic],
+    queryFn: () => contentAPI.getQuestions(selectedTopic),
+    enabled: !!selectedTopic
+  });
+
+  const subjects = subjectsData?.subjects || [];
+  const questions = questionsData?.questions || [];
+
+  const refreshSubjects = () => queryClient.invalidateQueries(['content-subjects']);
+  const refreshQuestions = () => {
+    queryClient.invalidateQueries(['content-questions', selectedTopic]);
+    refreshSubjects();
+  };
+
+  const createSubjectMutation = useMutation({
+    mutationFn: contentAPI.createSubject,
+    onSuccess: () => {
+      refreshSubjects();
+      setNewSubject({ name: '', slug: '' });
+      toast.success('Subject created');
+    }
+  });
+
+  const createTopicMutation = useMutation({
+    mutationFn: contentAPI.createTopic,
+    onSuccess: () => {
+      refreshSubjects();
+      setNewTopic({ subject: null, topicId: '', title: '' });
+      toast.success('Topic created');
+    }
+  });
+
+  const reorderMutation = useMutation({
+    mutationFn: ({ subjectId, topicIds }) => contentAPI.reorderTopics(subjectId, topicIds),
+    onSuccess: refreshSubjects
+  });
+
+  const saveQuestionMutation = useMutation({
+    mutationFn: (question) => (
+      editing === 'new'
+        ? contentAPI.createQuestion({ ...question, topic: selectedTopic })
+        : contentAPI.updateQuestion(editing, question)
+    ),
+    onSuccess: () => {
+      refreshQuestions();
+      queryClient.invalidateQueries(['question-revisions']);
+      setEditing(null);
+      toast.success('Question saved');
+    }
+  });
+
+  const bulkDeleteMutation = useMutation({
+    mutationFn: contentAPI.bulkDeleteQuestions,
+    onSuccess: (data) => {
+      refreshQuestions();
+      setSelectedIds([]);
+      toast.success(data.message);
+    }
+  });
+
+  const moveTopic = (subject, index, direction) => {
+    const topicIds = subject.topics.map(t => t._id);
+    const target = index + direction;
+    if (target < 0 || target >= topicIds.length) return;
+    [topicIds[index], topicIds[target]] = [topicIds[target], topicIds[index]];
+    reorderMutation.mutate({ subjectId: subject._id, topicIds });
+  };
+
+  const startEditing = (question) => {
+    if (question) {
+      setEditing(question._id);
+      setDraft({
+        type: question.type || 'single',
+        text: question.text,
+        options: [...question.options],
+        matches: [...(question.matches || [])],
+        answer: question.answer,
+        tolerance: question.tolerance || 0,
+        pattern: question.pattern || '',
+        caseSensitive: !!question.caseSensitive,
+        explanation: question.explanation || '',
+        hints: [...(question.hints || [])],
+        media: [...(question.media || [])]
+      });
+    } else {
+      setEditing('new');
+      setDraft(emptyQuestion);
+    }
+  };
+
+  const updateOption = (index, value) => {
+    const options = [...draft.options];
+    options[index] = value;
+    setDraft(withOptions(draft, options));
+  };
+
+  const updateMatch = (index, value) => {
+    const matches = [...draft.matches];
+    matches[index] = value;
+    setDraft({ ...draft, matches });
+  };
+
+  const changeType = (type) => {
+    const options = usesOptions(type) ? draft.options : [];
+    setDraft({
+      ...draft,
+      type,
+      options: usesOptions(type) && options.length < 2 ? emptyQuestion.options : options,
+      matches: type === 'matching' && draft.matches.length < 2 ? ['', ''] : draft.matches,
+      answer: defaultAnswer(type, usesOptions(type) && options.length < 2 ? emptyQuestion.options : options)
+    });
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+  };
+
+  const handleBulkDelete = () => {
+    if (confirm(`Delete ${selectedIds.length} selected questions? This cannot be undone.`)) {
+      bulkDeleteMutation.mutate(selectedIds);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <>
+        <Navbar />
+        <div className="pt-20 px-4 max-w-7xl mx-auto">
+          <div className="text-center py-20">
+            <div className="w-16 h-16 border-4 border-cosmic-500 border-t-transparent rounded-full animate-spin mx-auto"></div>
+          </div>
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <Navbar />
+      <div className="pt-20 px-4 max-w-7xl mx-auto pb-20">
+        <div className="flex justify-between items-center mb-8">
+          <h1 className="text-4xl font-bold bg-gradient-to-r from-neon-blue to-neon-purple bg-clip-text text-transparent">
+            Content
+          </h1>
+          <button
+            onClick={() => setShowTransfer(!showTransfer)}
+            className="glass-card px-4 py-2 rounded-lg flex items-center"
+          >
+            <ArrowUpDown className="w-4 h-4 mr-2" />
+            Import / Export
+          </button>
+        </div>
+
+        {showTransfer && (
+          <div className="mb-6">
+            <ContentTransfer subjects={subjects} onImported={refreshQuestions} />
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Subjects & Topics */}
+          <div className="glass-card p-6 space-y-6">
+            <h2 className="text-2xl font-bold flex items-center">
+              <BookOpen className="w-6 h-6 mr-2" />
+              Subjects
+            </h2>
+
+            {subjects.map((subject) => (
+              <div key={subject._id}>
+                <h3 className="font-semibold mb-2">{subject.name}</h3>
+                <div className="space-y-2">
+                  {subject.topics.map((topic, index) => (
+                    <div
+                      key={topic._id}
+                      className={`flex items-center justify-between p-3 glass-card cursor-pointer ${
+                        selectedTopic === topic._id ? 'border border-cosmic-400' : 'hover:bg-white/5'
+                      }`}
+                      onClick={() => {
+                        setSelectedTopic(topic._id);
+                        setSelectedIds([]);
+                        setEditing(null);
+                        setHistoryFor(null);
+                      }}
+                    >
+                      <div>
+                        <p className="font-medium">{topic.title}</p>
+                        <p className="text-xs text-gray-400">{topic.topicId} · {topic.questionCount} questions</p>
+                      </div>
+                      <div className="flex flex-col" onClick={(e) => e.stopPropagation()}>
+                        <button
+                          onClick={() => moveTopic(subject, index, -1)}
+                          disabled={index === 0}
+                          className="text-gray-400 hover:text-white disabled:opacity-30"
+                          title="Move up"
+                        >
+                          <ChevronUp className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => moveTopic(subject, index, 1)}
+                          disabled={index === subject.topics.length - 1}
+                          className="text-gray-400 hover:text-white disabled:opacity-30"
+                          title="Move down"
+                        >
+                          <ChevronDown className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                {newTopic.subject === subject._id ? (
+                  <form
+                    className="mt-2 space-y-2"
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      createTopicMutation.mutate(newTopic);
+                    }}
+                  >
+                    <input
+                      className="input-field"
+                      placeholder="Topic ID (e.g. MATH_T5)"
+                      value={newTopic.topicId}
+                      onChange={(e) => setNewTopic({ ...newTopic, topicId: e.target.value })}
+                      required
+                    />
+                    <input
+                      className="input-field"
+                      placeholder="Title"
+                      value={newTopic.title}
+                      onChange={(e) => setNewTopic({ ...newTopic, title: e.target.value })}
+                      required
+                    />
+                    <div className="flex gap-2">
+                      <button type="submit" className="btn-primary flex-1">Add Topic</button>
+                      <button
+                        type="button"
+                        onClick={() => setNewTopic({ subject: null, topicId: '', title: '' })}
+                        className="glass-card px-4 rounded-lg"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </form>
+                ) : (
+                  <button
+                    onClick={() => setNewTopic({ subject: subject._id, topicId: '', title: '' })}
+                    className="mt-2 text-sm text-cosmic-400 hover:text-cosmic-300 flex items-center"
+                  >
+                    <Plus className="w-4 h-4 mr-1" />
+                    New topic
+                  </button>
+                )}
+              </div>
+            ))}
+
+            <form
+              className="pt-6 border-t border-white/10 space-y-2"
+              onSubmit={(e) => {
+                e.preventDefault();
+                createSubjectMutation.mutate(newSubject);
+              }}
+            >
+              <p className="text-sm font-medium text-gray-300">New subject</p>
+              <input
+                className="input-field"
+                placeholder="Name"
+                value={newSubject.name}
+                onChange={(e) => setNewSubject({ ...newSubject, name: e.target.value })}
+                required
+              />
+              <input
+                className="input-field"
+                placeholder="Slug (e.g. mathematics)"
+                value={newSubject.slug}
+                onChange={(e) => setNewSubject({ ...newSubject, slug: e.target.value })}
+                required
+              />
+              <button type="submit" className="btn-primary w-full">Add Subject</button>
+            </form>
+          </div>
+
+          {/* Questions */}
+          <div className="lg:col-span-2 space-y-6">
+            {!selectedTopic && (
+              <div className="glass-card p-8 text-center text-gray-400">
+                Select a topic to view and edit its questions.
+              </div>
+            )}
+
+            {selectedTopic && (
+              <div className="glass-card p-6">
+                <div className="flex justify-between items-center mb-4">
+                  <h2 className="text-2xl font-bold">{questionsData?.topic?.title || 'Questions'}</h2>
+                  <div className="flex gap-2">
+                    {selectedIds.length > 0 && (
+                      <button
+                        onClick={handleBulkDelete}
+                        className="px-4 py-2 rounded-lg bg-red-500/20 text-red-400 border border-red-500/30 flex items-center space-x-2"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                        <span>Delete {selectedIds.length}</span>
+                      </button>
+                    )}
+                    <button onClick={() => startEditing(null)} className="btn-primary flex items-center space-x-2">
+                      <Plus className="w-4 h-4" />
+                      <span>New Question</span>
+                    </button>
+                  </div>
+                </div>
+
+                {questions.length > 0 ? (
+                  <div className="space-y-2">
+                    {questions.map((question, index) => (
+                      <div key={question._id} className="flex items-center p-3 glass-card">
+                        <input
+                          type="checkbox"
+                          className="mr-3"
+                          checked={selectedIds.includes(question._id)}
+                          onChange={() => toggleSelected(question._id)}
+                        />
+                        <div className="flex-1">
+                          <p className="font-medium">{index + 1}. {question.text}</p>
+                          <p className="text-xs text-gray-400">
+                            {QUESTION_TYPE_LABELS[question.type || 'single']} · Answer: {formatAnswer(question.answer)} · {question.questionId}
+                          </p>
+                        </div>
+                        <span className="text-xs text-gray-500 mr-2">v{question.revision}</span>
+                        <button
+                          onClick={() => setHistoryFor(question._id)}
+                          className="p-2 text-gray-400 hover:text-white"
+                          title="History"
+                        >
+                          <History className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => startEditing(question)}
+                          className="p-2 text-cosmic-400 hover:text-cosmic-300"
+                          title="Edit"
+                        >
+                          <Edit3 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-center text-gray-400 py-8">No questions in this topic yet</p>
+                )}
+              </div>
+            )}
+
+            {historyFor && (
+              <QuestionRevisions questionId={historyFor} onClose={() => setHistoryFor(null)} />
+            )}
+
+            {/* Editor with live preview */}
+            {editing && (
+              <motion.div
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="grid grid-cols-1 md:grid-cols-2 gap-6"
+              >
+                <form
+                  className="glass-card p-6 space-y-4"
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    saveQuestionMutation.mutate(toQuestionBody(draft));
+                  }}
+                >
+                  <h3 className="text-xl font-bold">{editing === 'new' ? 'New Question' : 'Edit Question'}</h3>
+                  <div>
+                    <label className="block text-sm font-medium mb-2 text-gray-300">Type</label>
+                    <select
+                      className="input-field"
+                      value={draft.type}
+                      onChange={(e) => changeType(e.target.value)}
+                    >
+                      {Object.entries(QUESTION_TYPE_LABELS).map(([type, label]) => (
+                        <option key={type} value={type}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-2 text-gray-300">
+                      Question <span className="text-xs text-gray-500">(Markdown, $math$ and ``` code blocks)</span>
+                    </label>
+                    <textarea
+                      className="input-field min-h-[100px]"
+                      value={draft.text}
+                      onChange={(e) => setDraft({ ...draft, text: e.target.value })}
+                      required
+                    />
+                  </div>
+                  <MediaAttachments media={draft.media} onChange={(media) => setDraft({ ...draft, media })} />
+                  {usesOptions(draft.type) && (
+                    <div className="space-y-2">
+                      <label className="block text-sm font-medium text-gray-300">Options</label>
+                      {draft.options.map((option, index) => (
+                        <div key={index} className="flex gap-2">
+                          <input
+                            className="input-field"
+                            value={option}
+                            onChange={(e) => updateOption(index, e.target.value)}
+                            required
+                          />
+                          <button
+                            type="button"
+                            onClick={() => setDraft(withOptions(draft, draft.options.filter((_, i) => i !== index)))}
+                            disabled={draft.options.length <= 2}
+                            className="p-2 text-gray-400 hover:text-red-400 disabled:opacity-30"
+                            title="Remove option"
+                          >
+                            <X className="w-4 h-4" />
+                          </button>
+                        </div>
+                      ))}
+                      <button
+                        type="button"
+                        onClick={() => setDraft(withOptions(
+                          draft,
+                          [...draft.options, `${String.fromCharCode(65 + draft.options.length)}. `]
+                        ))}
+                        className="text-sm text-cosmic-400 hover:text-cosmic-300 flex items-center"
+                      >
+                        <Plus className="w-4 h-4 mr-1" />
+                        Add option
+                      </button>
+                    </div>
+                  )}
+                  {draft.type === 'matching' && (
+                    <div className="space-y-2">
+                      <label className="block text-sm font-medium text-gray-300">Matches</label>
+                      {draft.matches.map((match, index) => (
+                        <div key={index} className="flex gap-2">
+                          <input
+                            className="input-field"
+                            value={match}
+                            onChange={(e) => updateMatch(index, e.target.value)}
+                            required
+                          />
+                          <button
+                            type="button"
+                            onClick={() => setDraft({
+                              ...draft,
+                              matches: draft.matches.filter((_, i) => i !== index),
+                              answer: draft.answer.map(m => (m === index ? null : m > index ? m - 1 : m))
+                            })}
+                            disabled={draft.matches.length <= 2}
+                            className="p-2 text-gray-400 hover:text-red-400 disabled:opacity-30"
+                            title="Remove match"
+                          >
+                            <X className="w-4 h-4" />
+                          </button>
+                        </div>
+                      ))}
+                      <button
+                        type="button"
+                        onClick={() => setDraft({ ...draft, matches: [...draft.matches, ''] })}
+                        className="text-sm text-cosmic-400 hover:text-cosmic-300 flex items-center"
+                      >
+                        <Plus className="w-4 h-4 mr-1" />
+                        Add match
+                      </button>
+                    </div>
+                  )}
+                  {draft.type === 'numeric' && (
+                    <div>
+                      <label className="block text-sm font-medium mb-2 text-gray-300">Tolerance (±)</label>
+                      <input
+                        type="number"
+                        step="any"
+                        min="0"
+                        className="input-field"
+                        value={draft.tolerance}
+                        onChange={(e) => setDraft({ ...draft, tolerance: e.target.value })}
+                      />
+                    </div>
+                  )}
+                  {draft.type === 'short-text' ? (
+                    <>
+                      <div>
+                        <label className="block text-sm font-medium mb-2 text-gray-300">Accepted answers (one per line)</label>
+                        <textarea
+                          className="input-field min-h-[80px]"
+                          value={draft.answer.join('\n')}
+                          onChange={(e) => setDraft({ ...draft, answer: e.target.value.split('\n') })}
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium mb-2 text-gray-300">Pattern (optional regular expression)</label>
+                        <input
+                          className="input-field font-mono"
+                          value={draft.pattern}
+                          onChange={(e) => setDraft({ ...draft, pattern: e.target.value })}
+                        />
+                      </div>
+                      <label className="flex items-center space-x-2 text-sm text-gray-300">
+                        <input
+                          type="checkbox"
+                          checked={draft.caseSensitive}
+                          onChange={(e) => setDraft({ ...draft, caseSensitive: e.target.checked })}
+                        />
+                        <span>Case sensitive</span>
+                      </label>
+                    </>
+                  ) : (
+                    <p className="text-sm text-gray-400">
+                      Correct answer: {formatAnswer(draft.answer)} — set it by answering in the preview.
+                    </p>
+                  )}
+                  <div>
+                    <label className="block text-sm font-medium mb-2 text-gray-300">Explanation (shown after answering)</label>
+                    <textarea
+                      className="input-field min-h-[80px]"
+                      value={draft.explanation}
+                      onChange={(e) => setDraft({ ...draft, explanation: e.target.value })}
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <label className="block text-sm font-medium text-gray-300">Hints (revealed in order)</label>
+                    {draft.hints.map((hint, index) => (
+                      <div key={index} className="flex gap-2">
+                        <input
+                          className="input-field"
+                          value={hint}
+                          onChange={(e) => setDraft({
+                            ...draft,
+                            hints: draft.hints.map((h, i) => (i === index ? e.target.value : h))
+                          })}
+                        />
+                        <button
+                          type="button"
+                          onClick={() => setDraft({ ...draft, hints: draft.hints.filter((_, i) => i !== index) })}
+                          className="p-2 text-gray-400 hover:text-red-400"
+                          title="Remove hint"
+                        >
+                          <X className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                    <button
+                      type="button"
+                      onClick={() => setDraft({ ...draft, hints: [...draft.hints, ''] })}
+                      className="text-sm text-cosmic-400 hover:text-cosmic-300 flex items-center"
+                    >
+                      <Plus className="w-4 h-4 mr-1" />
+                      Add hint
+                    </button>
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      type="submit"
+                      disabled={saveQuestionMutation.isPending}
+                      className="btn-primary flex-1 flex items-center justify-center space-x-2"
+                    >
+                      <Save className="w-4 h-4" />
+                      <span>Save</span>
+                    </button>
+                    <button type="button" onClick={() => setEditing(null)} className="glass-card px-4 rounded-lg">
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+
+                <div className="glass-card p-6">
+                  <h3 className="text-xl font-bold mb-4">Preview</h3>
+                  <QuestionCard
+                    question={draft.text}
+                    type={draft.type}
+                    options={draft.options}
+                    matches={draft.matches}
+                    media={draft.media}
+                    selectedAnswer={draft.answer}
+                    onSelect={(answer) => draft.type !== 'short-text' && setDraft({ ...draft, answer })}
+                  />
+                  {draft.hints.filter(Boolean).map((hint, index) => (
+                    <div key={index} className="mb-2 p-3 rounded-xl bg-yellow-500/10 border border-yellow-500/40 text-sm">
+                      <p className="text-xs text-yellow-400 mb-1">Hint {index + 1}</p>
+                      <Markdown>{hint}</Markdown>
+                    </div>
+                  ))}
+                  {draft.explanation && (
+                    <Markdown className="p-3 rounded-xl glass-card text-sm text-gray-200">{draft.explanation}</Markdown>
+                  )}
+                </div>
+              </motion.div>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
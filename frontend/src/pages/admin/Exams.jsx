@@ -0,0 +1,351 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { motion } from 'framer-motion';
+import { ClipboardList, Plus, Trash2, Edit3, X, BarChart3, Eye, EyeOff } from 'lucide-react';
+import Navbar from '../../components/Navbar';
+import { contentAPI, examPaperAPI } from '../../lib/api';
+import { formatDateTime } from '../../lib/utils';
+import toast from 'react-hot-toast';
+
+const emptyPaper = {
+  title: '',
+  description: '',
+  timeLimitMinutes: 30,
+  shuffle: 'sections',
+  countTowardsMastery: true,
+  published: false,
+  sections: [{ topicId: '', questionCount: 5 }]
+};
+
+const SHUFFLE_LABELS = {
+  none: 'Fixed order',
+  sections: 'Shuffle within each topic',
+  all: 'Shuffle everything'
+};
+
+const formatScore = (score) => (score == null ? '—' : `${Math.round(score * 100)}%`);
+
+// Every sitting of one paper
+function PaperResults({ paperId, onClose }) {
+  const { data } = useQuery({
+    queryKey: ['exam-results', paperId],
+    queryFn: () => examPaperAPI.getResults(paperId)
+  });
+
+  return (
+    <div className="mt-4 pt-4 border-t border-white/10">
+      <div className="flex justify-between items-center mb-2">
+        <h4 className="font-semibold">Results</h4>
+        <button onClick={onClose} className="p-1 text-gray-400 hover:text-white" title="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+      {data?.results.length === 0 && <p className="text-sm text-gray-400">Nobody has sat this paper yet.</p>}
+      <div className="space-y-1 text-sm">
+        {data?.results.map((result) => (
+          <div key={result.id} className="flex justify-between glass-card p-2">
+            <span>{result.user?.name || 'Deleted user'}</span>
+            <span className="text-gray-400">{formatDateTime(result.startedAt)}</span>
+            <span className="text-gray-400">{result.status}</span>
+            <span className="font-semibold">{result.status === 'in-progress' ? '—' : formatScore(result.score)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function Exams() {
+  const [editing, setEditing] = useState(null); // null, 'new' or a paper _id
+  const [draft, setDraft] = useState(emptyPaper);
+  const [resultsFor, setResultsFor] = useState(null);
+  const queryClient = useQueryClient();
+
+  const { data: papersData, isLoading } = useQuery({
+    queryKey: ['exam-papers'],
+    queryFn: examPaperAPI.getPapers
+  });
+
+  const { data: subjectsData } = useQuery({
+    queryKey: ['content-subjects'],
+    queryFn: contentAPI.getSubjects
+  });
+
+  const papers = papersData?.papers || [];
+  const subjects = subjectsData?.subjects || [];
+
+  const refreshPapers = () => queryClient.invalidateQueries(['exam-papers']);
+
+  const savePaperMutation = useMutation({
+    mutationFn: ({ id, data }) => (id ? examPaperAPI.updatePaper(id, data) : examPaperAPI.createPaper(data)),
+    onSuccess: () => {
+      refreshPapers();
+      setEditing(null);
+      toast.success('Exam paper saved');
+    }
+  });
+
+  const publishMutation = useMutation({
+    mutationFn: ({ id, published }) => examPaperAPI.updatePaper(id, { published }),
+    onSuccess: refreshPapers
+  });
+
+  const deletePaperMutation = useMutation({
+    mutationFn: examPaperAPI.deletePaper,
+    onSuccess: () => {
+      refreshPapers();
+      toast.success('Exam paper deleted');
+    }
+  });
+
+  const startEdit = (paper) => {
+    setEditing(paper ? paper._id : 'new');
+    setDraft(paper ? {
+      title: paper.title,
+      description: paper.description,
+      timeLimitMinutes: paper.timeLimitMinutes,
+      shuffle: paper.shuffle,
+      countTowardsMastery: paper.countTowardsMastery,
+      published: paper.published,
+      sections: paper.sections
+    } : emptyPaper);
+  };
+
+  const updateSection = (index, changes) => {
+    setDraft({
+      ...draft,
+      sections: draft.sections.map((section, i) => (i === index ? { ...section, ...changes } : section))
+    });
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    savePaperMutation.mutate({
+      id: editing === 'new' ? null : editing,
+      data: {
+        ...draft,
+        timeLimitMinutes: Number(draft.timeLimitMinutes),
+        sections: draft.sections.map((s) => ({ topicId: s.topicId, questionCount: Number(s.questionCount) }))
+      }
+    });
+  };
+
+  const handleDelete = (paper) => {
+    if (confirm(`Delete "${paper.title}"?`)) {
+      deletePaperMutation.mutate(paper._id);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <>
+        <Navbar />
+        <div className="pt-20 px-4 max-w-7xl mx-auto">
+          <div className="text-center py-20">
+            <div className="w-16 h-16 border-4 border-cosmic-500 border-t-transparent rounded-full animate-spin mx-auto"></div>
+          </div>
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <Navbar />
+      <div className="pt-20 px-4 max-w-5xl mx-auto pb-20">
+        <div className="flex justify-between items-center mb-8">
+          <h1 className="text-4xl font-bold bg-gradient-to-r from-neon-blue to-neon-purple bg-clip-text text-transparent">
+            Exams
+          </h1>
+          <button onClick={() => startEdit(null)} className="btn-primary flex items-center">
+            <Plus className="w-4 h-4 mr-2" />
+            New Paper
+          </button>
+        </div>
+
+        {editing && (
+          <motion.form
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            onSubmit={handleSave}
+            className="glass-card p-6 mb-6 space-y-4"
+          >
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Title</label>
+                <input
+                  className="input-field"
+                  value={draft.title}
+                  onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Time limit (minutes)</label>
+                <input
+                  type="number"
+                  min="1"
+                  className="input-field"
+                  value={draft.timeLimitMinutes}
+                  onChange={(e) => setDraft({ ...draft, timeLimitMinutes: e.target.value })}
+                  required
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Description</label>
+              <textarea
+                className="input-field"
+                value={draft.description}
+                onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Sections</label>
+              <div className="space-y-2">
+                {draft.sections.map((section, index) => (
+                  <div key={index} className="flex gap-2">
+                    <select
+                      className="input-field"
+                      value={section.topicId}
+                      onChange={(e) => updateSection(index, { topicId: e.target.value })}
+                      required
+                    >
+                      <option value="">Choose a topic</option>
+                      {subjects.map((subject) => (
+                        <optgroup key={subject._id} label={subject.name}>
+                          {subject.topics.map((topic) => (
+                            <option key={topic._id} value={topic.topicId}>
+                              {topic.title} ({topic.questionCount} questions)
+                            </option>
+                          ))}
+                        </optgroup>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      min="1"
+                      className="input-field w-28"
+                      value={section.questionCount}
+                      onChange={(e) => updateSection(index, { questionCount: e.target.value })}
+                      title="Questions drawn from this topic"
+                      required
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setDraft({ ...draft, sections: draft.sections.filter((_, i) => i !== index) })}
+                      disabled={draft.sections.length === 1}
+                      className="p-2 text-gray-400 hover:text-red-400 disabled:opacity-30"
+                      title="Remove section"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <button
+                type="button"
+                onClick={() => setDraft({ ...draft, sections: [...draft.sections, { topicId: '', questionCount: 5 }] })}
+                className="mt-2 text-sm text-cosmic-400 hover:text-cosmic-300 flex items-center"
+              >
+                <Plus className="w-4 h-4 mr-1" />
+                Add topic
+              </button>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-center">
+              <select
+                className="input-field"
+                value={draft.shuffle}
+                onChange={(e) => setDraft({ ...draft, shuffle: e.target.value })}
+              >
+                {Object.entries(SHUFFLE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <label className="flex items-center space-x-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={draft.countTowardsMastery}
+                  onChange={(e) => setDraft({ ...draft, countTowardsMastery: e.target.checked })}
+                />
+                <span>Graded results update mastery</span>
+              </label>
+              <label className="flex items-center space-x-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={draft.published}
+                  onChange={(e) => setDraft({ ...draft, published: e.target.checked })}
+                />
+                <span>Published to students</span>
+              </label>
+            </div>
+
+            <div className="flex gap-2">
+              <button type="submit" className="btn-primary" disabled={savePaperMutation.isPending}>
+                {savePaperMutation.isPending ? 'Saving...' : 'Save Paper'}
+              </button>
+              <button type="button" onClick={() => setEditing(null)} className="glass-card px-4 rounded-lg">
+                Cancel
+              </button>
+            </div>
+          </motion.form>
+        )}
+
+        <div className="space-y-4">
+          {papers.length === 0 && (
+            <div className="glass-card p-12 text-center">
+              <ClipboardList className="w-16 h-16 text-cosmic-400/30 mx-auto mb-4" />
+              <p className="text-gray-400">No exam papers yet</p>
+            </div>
+          )}
+
+          {papers.map((paper) => (
+            <div key={paper._id} className="glass-card p-6">
+              <div className="flex justify-between items-start">
+                <div>
+                  <h3 className="text-xl font-bold">{paper.title}</h3>
+                  <p className="text-sm text-gray-400">
+                    {paper.sections.reduce((sum, s) => sum + s.questionCount, 0)} questions from{' '}
+                    {paper.sections.map((s) => s.topicId).join(', ')} · {paper.timeLimitMinutes} min · {SHUFFLE_LABELS[paper.shuffle]}
+                  </p>
+                  <p className="text-sm text-gray-400">
+                    {paper.attempts} sittings · average {formatScore(paper.averageScore)}
+                    {!paper.countTowardsMastery && ' · does not affect mastery'}
+                  </p>
+                </div>
+                <div className="flex gap-1">
+                  <button
+                    onClick={() => publishMutation.mutate({ id: paper._id, published: !paper.published })}
+                    className={`p-2 ${paper.published ? 'text-green-400' : 'text-gray-400'} hover:text-white`}
+                    title={paper.published ? 'Published (click to hide from students)' : 'Hidden (click to publish)'}
+                  >
+                    {paper.published ? <Eye className="w-4 h-4" /> : <EyeOff className="w-4 h-4" />}
+                  </button>
+                  <button
+                    onClick={() => setResultsFor(resultsFor === paper._id ? null : paper._id)}
+                    className="p-2 text-gray-400 hover:text-white"
+                    title="Results"
+                  >
+                    <BarChart3 className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => startEdit(paper)} className="p-2 text-gray-400 hover:text-white" title="Edit">
+                    <Edit3 className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => handleDelete(paper)} className="p-2 text-gray-400 hover:text-red-400" title="Delete">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+              {resultsFor === paper._id && (
+                <PaperResults paperId={paper._id} onClose={() => setResultsFor(null)} />
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,85 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { authAPI } from '../../lib/api';
+import Navbar from '../../components/Navbar';
+import SessionList from '../../components/SessionList';
+import TwoFactorSettings from '../../components/TwoFactorSettings';
+import { motion } from 'framer-motion';
+import { Shield, KeyRound } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// The signed-in admin's own account security: 2FA and devices
+export default function Security() {
+  const queryClient = useQueryClient();
+
+  const { data: sessionsData } = useQuery({
+    queryKey: ['auth-sessions'],
+    queryFn: authAPI.getSessions
+  });
+  const sessions = sessionsData?.sessions || [];
+
+  const revokeSessionMutation = useMutation({
+    mutationFn: (session) => authAPI.revokeSession(session.id),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['auth-sessions']);
+      toast.success('Device signed out');
+    }
+  });
+
+  const revokeOthersMutation = useMutation({
+    mutationFn: authAPI.revokeOtherSessions,
+    onSuccess: (data) => {
+      queryClient.invalidateQueries(['auth-sessions']);
+      toast.success(`Signed out ${data.revoked} other device${data.revoked === 1 ? '' : 's'}`);
+    }
+  });
+
+  return (
+    <>
+      <Navbar />
+      <div className="pt-20 px-4 max-w-2xl mx-auto pb-20">
+        <h1 className="text-4xl font-bold mb-8 bg-gradient-to-r from-neon-blue to-neon-purple bg-clip-text text-transparent">
+          Account Security
+        </h1>
+
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="glass-card p-8"
+        >
+          <h3 className="text-lg font-semibold flex items-center mb-4">
+            <KeyRound className="w-5 h-5 mr-2" />
+            Two-Factor Authentication
+          </h3>
+          <TwoFactorSettings />
+        </motion.div>
+
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="glass-card p-8 mt-8"
+        >
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg font-semibold flex items-center">
+              <Shield className="w-5 h-5 mr-2" />
+              Active Sessions
+            </h3>
+            {sessions.some((s) => !s.current) && (
+              <button
+                onClick={() => revokeOthersMutation.mutate()}
+                disabled={revokeOthersMutation.isPending}
+                className="text-sm text-red-400 hover:text-red-300"
+              >
+                Sign out all other devices
+              </button>
+            )}
+          </div>
+          <SessionList
+            sessions={sessions}
+            onRevoke={(session) => revokeSessionMutation.mutate(session)}
+            revoking={revokeSessionMutation.isPending}
+          />
+        </motion.div>
+      </div>
+    </>
+  );
+}
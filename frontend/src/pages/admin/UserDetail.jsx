@@ -1,18 +1,73 @@
-import { useQuery } from '@tanstack/react-query';
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useParams, Link } from 'react-router-dom';
 import { adminAPI } from '../../lib/api';
 import Navbar from '../../components/Navbar';
-import { ArrowLeft, Mail, Calendar, TrendingUp } from 'lucide-react';
+import SessionList from '../../components/SessionList';
+import { ArrowLeft, Mail, Calendar, TrendingUp, AlertTriangle, Shield, KeyRound } from 'lucide-react';
+import toast from 'react-hot-toast';
 import { formatDateTime, getMasteryColor } from '../../lib/utils';
 
 export default function UserDetail() {
   const { userId } = useParams();
+  const [selectedQuestion, setSelectedQuestion] = useState(null);
 
   const { data, isLoading } = useQuery({
     queryKey: ['admin-user', userId],
     queryFn: () => adminAPI.getUser(userId)
   });
 
+  const queryClient = useQueryClient();
+
+  const { data: sessionsData } = useQuery({
+    queryKey: ['admin-user-sessions', userId],
+    queryFn: () => adminAPI.getUserSessions(userId)
+  });
+
+  const revokeSessionMutation = useMutation({
+    mutationFn: (session) => adminAPI.revokeUserSession(userId, session.id),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['admin-user-sessions', userId]);
+      toast.success('Session revoked');
+    }
+  });
+
+  const forceLogoutMutation = useMutation({
+    mutationFn: () => adminAPI.revokeUserSessions(userId),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries(['admin-user-sessions', userId]);
+      toast.success(data.message);
+    }
+  });
+
+  const resetTwoFactorMutation = useMutation({
+    mutationFn: () => adminAPI.resetUserTwoFactor(userId),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries(['admin-user', userId]);
+      queryClient.invalidateQueries(['admin-user-sessions', userId]);
+      toast.success(data.message);
+    }
+  });
+
+  const { data: enginesData } = useQuery({
+    queryKey: ['mastery-engines'],
+    queryFn: adminAPI.getMasteryEngines
+  });
+
+  const masteryEngineMutation = useMutation({
+    mutationFn: (masteryEngine) => adminAPI.setUserMasteryEngine(userId, masteryEngine || null),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries(['admin-user', userId]);
+      toast.success(`Mastery engine: ${data.user.masteryEngine || 'inherited'}`);
+    }
+  });
+
+  const { data: itemStats } = useQuery({
+    queryKey: ['admin-item-stats', selectedQuestion],
+    queryFn: () => adminAPI.getItemStats(selectedQuestion),
+    enabled: !!selectedQuestion
+  });
+
   if (isLoading) {
     return (
       <>
@@ -27,8 +82,23 @@ export default function UserDetail() {
   }
 
   const user = data?.data?.user;
+
+  const handleForceLogout = () => {
+    if (confirm(`Sign ${user?.name} out of every device?`)) {
+      forceLogoutMutation.mutate();
+    }
+  };
+
+  const handleResetTwoFactor = () => {
+    if (confirm(`Reset two-factor authentication for ${user?.name}? They will be signed out and can log in with just their password.`)) {
+      resetTwoFactorMutation.mutate();
+    }
+  };
   const progress = data?.data?.progress || [];
   const recentAttempts = data?.data?.recentAttempts || [];
+  const abilityByTopic = new Map((data?.data?.abilities || []).map(a => [a.topicId, a]));
+  const itemsById = new Map((data?.data?.itemParams || []).map(i => [i.questionId, i]));
+  const stats = itemStats?.data;
 
   return (
     <>
@@ -61,6 +131,21 @@ export default function UserDetail() {
                     <Calendar className="w-4 h-4 mr-1" />
                     Joined {formatDateTime(user?.createdAt)}
                   </span>
+                  <span className="flex items-center text-sm text-gray-400">
+                    <KeyRound className="w-4 h-4 mr-1" />
+                    {user?.twoFactor?.enabled ? (
+                      <>
+                        2FA on
+                        <button
+                          onClick={handleResetTwoFactor}
+                          disabled={resetTwoFactorMutation.isPending}
+                          className="ml-2 text-red-400 hover:text-red-300"
+                        >
+                          Reset
+                        </button>
+                      </>
+                    ) : '2FA off'}
+                  </span>
                 </div>
               </div>
             </div>
@@ -71,6 +156,23 @@ export default function UserDetail() {
             </span>
           </div>
 
+          {/* Mastery engine override */}
+          <div className="flex items-center gap-3 mt-6 text-sm">
+            <label htmlFor="mastery-engine" className="text-gray-400">Mastery engine</label>
+            <select
+              id="mastery-engine"
+              className="input-field w-auto py-1"
+              value={user?.masteryEngine || ''}
+              onChange={(e) => masteryEngineMutation.mutate(e.target.value)}
+              disabled={masteryEngineMutation.isPending}
+            >
+              <option value="">Inherit ({enginesData?.defaultEngine || 'default'})</option>
+              {(enginesData?.engines || []).map((engine) => (
+                <option key={engine} value={engine}>{engine.toUpperCase()}</option>
+              ))}
+            </select>
+          </div>
+
           {/* Stats */}
           <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-6">
             <div className="glass-card p-4">
@@ -92,6 +194,31 @@ export default function UserDetail() {
           </div>
         </div>
 
+        {/* Sessions */}
+        <div className="glass-card p-6 mb-8">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-2xl font-bold flex items-center">
+              <Shield className="w-6 h-6 mr-2" />
+              Active Sessions
+            </h2>
+            {sessionsData?.sessions?.length > 0 && (
+              <button
+                onClick={handleForceLogout}
+                disabled={forceLogoutMutation.isPending}
+                className="text-sm text-red-400 hover:text-red-300"
+              >
+                Force logout
+              </button>
+            )}
+          </div>
+          <SessionList
+            sessions={sessionsData?.sessions}
+            onRevoke={(session) => revokeSessionMutation.mutate(session)}
+            revoking={revokeSessionMutation.isPending}
+            emptyText="Not signed in anywhere"
+          />
+        </div>
+
         {/* Progress */}
         <div className="glass-card p-6 mb-8">
           <h2 className="text-2xl font-bold mb-4 flex items-center">
@@ -121,6 +248,12 @@ export default function UserDetail() {
                       style={{ width: `${prog.mastery * 100}%` }}
                     />
                   </div>
+                  {abilityByTopic.has(prog.topicId) && (
+                    <p className="text-xs text-gray-400 mt-2">
+                      IRT ability: {abilityByTopic.get(prog.topicId).ability.toFixed(2)}
+                      {' '}({abilityByTopic.get(prog.topicId).responses} responses)
+                    </p>
+                  )}
                 </div>
               ))}
             </div>
@@ -134,16 +267,80 @@ export default function UserDetail() {
           <div className="glass-card p-6">
             <h2 className="text-2xl font-bold mb-4">Recent Activity</h2>
             <div className="space-y-2">
-              {recentAttempts.map((attempt) => (
-                <div key={attempt._id} className="flex items-center justify-between p-3 glass-card">
-                  <div>
-                    <p className="font-medium">{attempt.topicId}</p>
-                    <p className="text-xs text-gray-400">{formatDateTime(attempt.timestamp)}</p>
-                  </div>
-                  <div className={`font-semibold ${attempt.isCorrect ? 'text-green-400' : 'text-red-400'}`}>
-                    {attempt.isCorrect ? '✓' : '✗'}
+              {recentAttempts.map((attempt) => {
+                const item = itemsById.get(attempt.questionId);
+                return (
+                  <div
+                    key={attempt._id}
+                    onClick={() => setSelectedQuestion(attempt.questionId)}
+                    className={`flex items-center justify-between p-3 glass-card cursor-pointer hover:bg-white/5 ${
+                      selectedQuestion === attempt.questionId ? 'border border-cosmic-400' : ''
+                    }`}
+                  >
+                    <div>
+                      <p className="font-medium">{attempt.topicId}</p>
+                      <p className="text-xs text-gray-400">
+                        {attempt.questionId} · {formatDateTime(attempt.timestamp)}
+                      </p>
+                      {item && (
+                        <div className="flex flex-wrap items-center gap-2 mt-1 text-xs">
+                          <span className="text-gray-400">
+                            difficulty {item.difficulty.toFixed(2)} · discrimination {item.discrimination.toFixed(2)}
+                          </span>
+                          {item.flags.map((flag) => (
+                            <span key={flag} className="px-2 py-0.5 rounded-full bg-yellow-500/20 text-yellow-400">
+                              {flag}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                    <div className={`font-semibold ${attempt.isCorrect ? 'text-green-400' : 'text-red-400'}`}>
+                      {attempt.isCorrect ? '✓' : '✗'}
+                    </div>
                   </div>
-                </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        {/* Question Stats */}
+        {selectedQuestion && stats && (
+          <div className="glass-card p-6 mt-8">
+            <h2 className="text-2xl font-bold mb-4">Question {stats.questionId}</h2>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+              <div className="glass-card p-4">
+                <p className="text-sm text-gray-400">Attempts</p>
+                <p className="text-2xl font-bold">{stats.attempts}</p>
+              </div>
+              <div className="glass-card p-4">
+                <p className="text-sm text-gray-400">Accuracy</p>
+                <p className="text-2xl font-bold">{Math.round(stats.accuracy)}%</p>
+              </div>
+              <div className="glass-card p-4">
+                <p className="text-sm text-gray-400">Difficulty</p>
+                <p className="text-2xl font-bold">{stats.params ? stats.params.difficulty.toFixed(2) : '—'}</p>
+              </div>
+              <div className="glass-card p-4">
+                <p className="text-sm text-gray-400">Discrimination</p>
+                <p className="text-2xl font-bold">{stats.params ? stats.params.discrimination.toFixed(2) : '—'}</p>
+              </div>
+            </div>
+            {stats.params?.flags?.length > 0 && (
+              <p className="flex items-center text-sm text-yellow-400 mb-4">
+                <AlertTriangle className="w-4 h-4 mr-2" />
+                {stats.params.flags.join(', ')}
+              </p>
+            )}
+            {!stats.params && (
+              <p className="text-sm text-gray-400 mb-4">Not calibrated yet. Run the calibration job to estimate parameters.</p>
+            )}
+            <div className="flex flex-wrap gap-2">
+              {stats.answerDistribution.map(({ answer, count }) => (
+                <span key={JSON.stringify(answer)} className="px-3 py-1 rounded-full text-sm glass-card">
+                  {typeof answer === 'string' ? answer : JSON.stringify(answer)}: {count}
+                </span>
               ))}
             </div>
           </div>
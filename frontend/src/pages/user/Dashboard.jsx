@@ -1,8 +1,8 @@
 import { useQuery } from '@tanstack/react-query';
 import { useAuthStore } from '../../store/authStore';
-import { userAPI, recommendationAPI } from '../../lib/api';
+import { userAPI, recommendationAPI, progressAPI } from '../../lib/api';
 import Navbar from '../../components/Navbar';
-import { Target, Award, TrendingUp, Flame } from 'lucide-react';
+import { Target, Award, TrendingUp, Flame, RotateCcw } from 'lucide-react';
 import { motion } from 'framer-motion';
 import { Link } from 'react-router-dom';
 
@@ -19,6 +19,11 @@ export default function Dashboard() {
     queryFn: () => recommendationAPI.getRecommendations(3)
   });
 
+  const { data: due } = useQuery({
+    queryKey: ['due-reviews'],
+    queryFn: () => progressAPI.getDueReviews(5)
+  });
+
   if (isLoading) {
     return (
       <>
@@ -50,6 +55,15 @@ export default function Dashboard() {
             </p>
           </div>
 
+          {!user?.email && (
+            <Link
+              to="/profile"
+              className="block glass-card p-4 mb-8 border border-yellow-500/30 text-sm text-yellow-400 hover:border-yellow-500/60"
+            >
+              &gt; GUEST ACCOUNT: add an email and password in your profile so you don&apos;t lose your progress
+            </Link>
+          )}
+
           {/* Stats Grid */}
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
             <motion.div
@@ -102,6 +116,36 @@ export default function Dashboard() {
             </motion.div>
           </div>
 
+          {/* Review queue: topics whose spaced-repetition date has passed */}
+          {due?.dueTopics?.length > 0 && (
+            <div className="glass-card p-6 mb-8 border border-neon-orange/30 relative">
+              <div className="absolute -top-3 left-6 bg-cyber-dark px-3 text-neon-orange text-sm font-orbitron">
+                &lt; DUE FOR REVIEW &gt;
+              </div>
+              <div className="space-y-3">
+                {due.dueTopics.map((topic) => {
+                  const daysOverdue = Math.floor((Date.now() - new Date(topic.nextReview)) / (24 * 60 * 60 * 1000));
+                  return (
+                    <div key={topic.topicId} className="flex items-center justify-between gap-4">
+                      <div className="flex items-center min-w-0">
+                        <RotateCcw className="w-5 h-5 text-neon-orange mr-3 flex-shrink-0" />
+                        <div className="min-w-0">
+                          <p className="font-semibold text-white font-rajdhani text-lg truncate">{topic.topicTitle}</p>
+                          <p className="text-xs text-gray-400 font-mono">
+                            {topic.subjectName} · {Math.round(topic.mastery * 100)}% mastery · {daysOverdue > 0 ? `${daysOverdue}d overdue` : 'due today'}
+                          </p>
+                        </div>
+                      </div>
+                      <Link to={`/quiz/${topic.topicId}`}>
+                        <button className="btn-secondary text-sm font-rajdhani tracking-wider">[ REVIEW ]</button>
+                      </Link>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
           {/* Recommendations */}
           {recommendations?.recommendations && recommendations.recommendations.length > 0 && (
             <div className="glass-card p-6 mb-8 border border-neon-cyan/30 relative">
@@ -0,0 +1,348 @@
+import { useEffect, useRef, useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { motion } from 'framer-motion';
+import { ClipboardList, Clock, CheckCircle, XCircle, ChevronLeft, ChevronRight } from 'lucide-react';
+import Navbar from '../../components/Navbar';
+import QuestionCard from '../../components/QuestionCard';
+import Markdown from '../../components/Markdown';
+import { examAPI } from '../../lib/api';
+import { formatDateTime, formatDuration } from '../../lib/utils';
+import { initialAnswer, isAnswerComplete } from '../../lib/questionTypes';
+import toast from 'react-hot-toast';
+
+const formatScore = (score) => `${Math.round((score || 0) * 100)}%`;
+
+// Seconds left, counted down locally from the server's remaining time so a
+// wrong device clock can't stretch the exam; the server still enforces it
+function useCountdown(remainingSeconds) {
+  const [left, setLeft] = useState(remainingSeconds);
+
+  useEffect(() => {
+    if (remainingSeconds == null) return undefined;
+    const endsAt = Date.now() + remainingSeconds * 1000;
+    setLeft(remainingSeconds);
+    const timer = setInterval(() => {
+      setLeft(Math.max(0, Math.round((endsAt - Date.now()) / 1000)));
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [remainingSeconds]);
+
+  return left;
+}
+
+function PaperList({ onStart, starting }) {
+  const navigate = useNavigate();
+  const { data } = useQuery({
+    queryKey: ['exam-papers-available'],
+    queryFn: examAPI.getPapers
+  });
+
+  const papers = data?.papers || [];
+
+  if (data && papers.length === 0) {
+    return (
+      <div className="glass-card p-12 text-center">
+        <ClipboardList className="w-16 h-16 text-cosmic-400/30 mx-auto mb-4" />
+        <p className="text-gray-400">No exams are available right now.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {papers.map((paper) => {
+        const running = paper.attempts.find((a) => a.status === 'in-progress');
+        return (
+          <div key={paper.id} className="glass-card p-6">
+            <div className="flex justify-between items-start gap-4">
+              <div>
+                <h3 className="text-xl font-bold">{paper.title}</h3>
+                {paper.description && <p className="text-gray-300 mt-1">{paper.description}</p>}
+                <p className="text-sm text-gray-400 mt-2 flex items-center">
+                  <Clock className="w-4 h-4 mr-1" />
+                  {paper.timeLimitMinutes} minutes · {paper.questionCount} questions
+                </p>
+              </div>
+              <button
+                onClick={() => (running ? navigate(`/exams/${running.id}`) : onStart(paper))}
+                disabled={starting}
+                className="btn-primary whitespace-nowrap"
+              >
+                {running ? 'Continue' : 'Start Exam'}
+              </button>
+            </div>
+            {paper.attempts.some((a) => a.status !== 'in-progress') && (
+              <div className="mt-4 pt-4 border-t border-white/10 space-y-1 text-sm">
+                {paper.attempts.filter((a) => a.status !== 'in-progress').map((attempt) => (
+                  <button
+                    key={attempt.id}
+                    onClick={() => navigate(`/exams/${attempt.id}`)}
+                    className="w-full flex justify-between glass-card p-2 hover:border-cosmic-400"
+                  >
+                    <span className="text-gray-400">{formatDateTime(attempt.startedAt)}</span>
+                    <span>{attempt.status === 'expired' ? 'Time ran out' : 'Submitted'}</span>
+                    <span className="font-semibold">{formatScore(attempt.score)}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function ExamResults({ attempt }) {
+  return (
+    <div className="space-y-6">
+      <div className="glass-card p-8 text-center">
+        <h2 className="text-2xl font-bold mb-1">{attempt.paper.title}</h2>
+        <p className="text-gray-400 mb-6">
+          {attempt.status === 'expired' ? 'Time ran out' : 'Submitted'} · {attempt.answered} of {attempt.total} answered
+        </p>
+        <p className="text-5xl font-bold text-neon-green mb-2">{formatScore(attempt.score)}</p>
+        <p className="text-gray-400">{attempt.correct} of {attempt.total} correct</p>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mt-6">
+          {attempt.topics.map((topic) => (
+            <div key={topic.topicId} className="glass-card p-3">
+              <p className="text-sm text-gray-400">{topic.title}</p>
+              <p className="font-bold">{topic.correct} / {topic.total}</p>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {attempt.questions.map((question) => (
+        <div key={question.id} className="glass-card p-6">
+          <p className="text-sm text-gray-400 mb-2 flex items-center">
+            {question.isCorrect
+              ? <CheckCircle className="w-4 h-4 text-green-400 mr-2" />
+              : <XCircle className="w-4 h-4 text-red-400 mr-2" />}
+            Question {question.number} · {question.topicTitle}
+            {question.userAnswer === null && ' · not answered'}
+          </p>
+          <QuestionCard
+            question={question.question}
+            type={question.type}
+            options={question.options}
+            matches={question.matches}
+            media={question.media}
+            selectedAnswer={question.userAnswer ?? initialAnswer(question)}
+            showFeedback
+            correctAnswer={question.correctAnswer}
+            isCorrect={question.isCorrect}
+          />
+          {!question.isCorrect && (
+            <p className="text-sm text-gray-300">Correct answer: {question.correctAnswerText}</p>
+          )}
+          {question.explanation && (
+            <Markdown className="mt-3 text-gray-200">{question.explanation}</Markdown>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function ExamSitting({ attempt, onSubmitted }) {
+  const [index, setIndex] = useState(0);
+  const [answers, setAnswers] = useState(() => Object.fromEntries(
+    attempt.questions.map((q) => [q.id, q.userAnswer ?? initialAnswer(q)])
+  ));
+  const [saved, setSaved] = useState(() => new Set(
+    attempt.questions.filter((q) => q.userAnswer !== null).map((q) => q.id)
+  ));
+  const dirty = useRef(new Set());
+  const left = useCountdown(attempt.remainingSeconds);
+
+  const question = attempt.questions[index];
+
+  // Unsaved answers go to the server when leaving a question and before submitting
+  const saveDirty = async () => {
+    for (const questionId of [...dirty.current]) {
+      const type = attempt.questions.find((q) => q.id === questionId).type;
+      if (!isAnswerComplete(type, answers[questionId])) continue;
+      await examAPI.saveAnswer(attempt.id, questionId, answers[questionId]);
+      dirty.current.delete(questionId);
+      setSaved((prev) => new Set(prev).add(questionId));
+    }
+  };
+
+  const submitMutation = useMutation({
+    mutationFn: async () => {
+      await saveDirty().catch(() => {});
+      return examAPI.submit(attempt.id);
+    },
+    onSuccess: (data) => onSubmitted(data.attempt)
+  });
+
+  // The server grades a sitting whose time is up; ask for the results when it is
+  useEffect(() => {
+    if (left === 0 && !submitMutation.isPending && !submitMutation.isSuccess) {
+      toast('Time is up. Your exam has been handed in.');
+      submitMutation.mutate();
+    }
+  }, [left]);
+
+  // A failed save keeps the answer marked unsaved; the error is already shown
+  const goTo = async (next) => {
+    await saveDirty().catch(() => {});
+    setIndex(next);
+  };
+
+  const handleSubmit = () => {
+    const unanswered = attempt.questions.filter((q) => !saved.has(q.id) && !dirty.current.has(q.id)).length;
+    const message = unanswered > 0
+      ? `${unanswered} question${unanswered > 1 ? 's are' : ' is'} unanswered. Hand in anyway?`
+      : 'Hand in your exam? Answers can no longer be changed.';
+    if (confirm(message)) submitMutation.mutate();
+  };
+
+  return (
+    <div className="glass-card p-8">
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h2 className="text-xl font-bold">{attempt.paper.title}</h2>
+          <p className="text-sm text-gray-400">Question {index + 1} of {attempt.questions.length} · {question.topicTitle}</p>
+        </div>
+        <div
+          className={`flex items-center text-2xl font-mono ${left <= 60 ? 'text-red-400 animate-pulse' : 'text-neon-cyan'}`}
+          role="timer"
+          aria-label="Time remaining"
+        >
+          <Clock className="w-6 h-6 mr-2" />
+          {formatDuration(left)}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-1 mb-6" aria-label="Questions">
+        {attempt.questions.map((q, i) => (
+          <button
+            key={q.id}
+            onClick={() => goTo(i)}
+            className={`w-8 h-8 rounded text-sm ${
+              i === index
+                ? 'bg-cosmic-500 text-white'
+                : saved.has(q.id) || dirty.current.has(q.id) ? 'bg-cosmic-500/30' : 'glass-card'
+            }`}
+            aria-current={i === index ? 'step' : undefined}
+          >
+            {i + 1}
+          </button>
+        ))}
+      </div>
+
+      <QuestionCard
+        question={question.question}
+        type={question.type}
+        options={question.options}
+        matches={question.matches}
+        media={question.media}
+        selectedAnswer={answers[question.id]}
+        onSelect={(answer) => {
+          dirty.current.add(question.id);
+          setAnswers({ ...answers, [question.id]: answer });
+        }}
+        showFeedback={false}
+      />
+
+      <div className="flex gap-4">
+        <button
+          onClick={() => goTo(index - 1)}
+          disabled={index === 0}
+          className="glass-card px-4 py-2 rounded-lg flex items-center disabled:opacity-30"
+        >
+          <ChevronLeft className="w-4 h-4 mr-1" />
+          Previous
+        </button>
+        {index < attempt.questions.length - 1 ? (
+          <button onClick={() => goTo(index + 1)} className="btn-primary flex-1 flex items-center justify-center">
+            Next
+            <ChevronRight className="w-4 h-4 ml-1" />
+          </button>
+        ) : (
+          <button onClick={handleSubmit} disabled={submitMutation.isPending} className="btn-primary flex-1">
+            {submitMutation.isPending ? 'Handing in...' : 'Hand In Exam'}
+          </button>
+        )}
+      </div>
+      {index < attempt.questions.length - 1 && (
+        <button
+          onClick={handleSubmit}
+          disabled={submitMutation.isPending}
+          className="mt-4 text-sm text-gray-400 hover:text-white"
+        >
+          Hand in early
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default function Exams() {
+  const { attemptId } = useParams();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+
+  const { data: attemptData } = useQuery({
+    queryKey: ['exam-attempt', attemptId],
+    queryFn: () => examAPI.getAttempt(attemptId),
+    enabled: !!attemptId,
+    refetchOnWindowFocus: false
+  });
+
+  const startMutation = useMutation({
+    mutationFn: (paper) => examAPI.start(paper.id),
+    onSuccess: (data) => {
+      queryClient.setQueryData(['exam-attempt', data.attempt.id], data);
+      navigate(`/exams/${data.attempt.id}`);
+    }
+  });
+
+  const handleStart = (paper) => {
+    if (confirm(`Start "${paper.title}"? You will have ${paper.timeLimitMinutes} minutes and the timer keeps running if you leave.`)) {
+      startMutation.mutate(paper);
+    }
+  };
+
+  const attempt = attemptData?.attempt;
+
+  return (
+    <>
+      <Navbar />
+      <div className="pt-20 px-4 max-w-4xl mx-auto pb-20">
+        <h1 className="text-4xl font-bold mb-8 bg-gradient-to-r from-neon-blue to-neon-purple bg-clip-text text-transparent">
+          Exams
+        </h1>
+
+        {attemptId && (
+          <button onClick={() => navigate('/exams')} className="mb-4 text-cosmic-400 hover:text-cosmic-300">
+            ← All exams
+          </button>
+        )}
+
+        {!attemptId && <PaperList onStart={handleStart} starting={startMutation.isPending} />}
+
+        {attempt && (
+          <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+            {attempt.status === 'in-progress' ? (
+              <ExamSitting
+                key={attempt.id}
+                attempt={attempt}
+                onSubmitted={(graded) => {
+                  queryClient.setQueryData(['exam-attempt', graded.id], { attempt: graded });
+                  queryClient.invalidateQueries(['exam-papers-available']);
+                  queryClient.invalidateQueries(['progress']);
+                }}
+              />
+            ) : (
+              <ExamResults attempt={attempt} />
+            )}
+          </motion.div>
+        )}
+      </div>
+    </>
+  );
+}
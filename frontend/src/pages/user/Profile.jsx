@@ -1,9 +1,13 @@
 import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useAuthStore } from '../../store/authStore';
 import { authAPI } from '../../lib/api';
 import Navbar from '../../components/Navbar';
+import SessionList from '../../components/SessionList';
+import TwoFactorSettings from '../../components/TwoFactorSettings';
+import AccountUpgrade from '../../components/AccountUpgrade';
 import { motion } from 'framer-motion';
-import { User, Mail, Save } from 'lucide-react';
+import { User, Mail, Save, Shield, KeyRound, UserPlus } from 'lucide-react';
 import toast from 'react-hot-toast';
 
 export default function Profile() {
@@ -14,6 +18,34 @@ export default function Profile() {
     avatar: user?.avatar || ''
   });
   const [loading, setLoading] = useState(false);
+  const queryClient = useQueryClient();
+
+  const { data: sessionsData } = useQuery({
+    queryKey: ['auth-sessions'],
+    queryFn: authAPI.getSessions
+  });
+  const sessions = sessionsData?.sessions || [];
+
+  const revokeSessionMutation = useMutation({
+    mutationFn: (session) => authAPI.revokeSession(session.id),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['auth-sessions']);
+      toast.success('Device signed out');
+    }
+  });
+
+  const resendVerificationMutation = useMutation({
+    mutationFn: authAPI.resendVerification,
+    onSuccess: (data) => toast.success(data.message)
+  });
+
+  const revokeOthersMutation = useMutation({
+    mutationFn: authAPI.revokeOtherSessions,
+    onSuccess: (data) => {
+      queryClient.invalidateQueries(['auth-sessions']);
+      toast.success(`Signed out ${data.revoked} other device${data.revoked === 1 ? '' : 's'}`);
+    }
+  });
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -38,6 +70,21 @@ export default function Profile() {
           Profile Settings
         </h1>
 
+        {/* Guest accounts from invite links */}
+        {!user?.email && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="glass-card p-8 mb-8 border border-yellow-500/30"
+          >
+            <h3 className="text-lg font-semibold flex items-center mb-4">
+              <UserPlus className="w-5 h-5 mr-2" />
+              Save Your Progress
+            </h3>
+            <AccountUpgrade />
+          </motion.div>
+        )}
+
         <motion.div
           initial={{ opacity: 0, y: 20 }}
           animate={{ opacity: 1, y: 0 }}
@@ -74,7 +121,24 @@ export default function Profile() {
                   disabled
                 />
               </div>
-              <p className="text-xs text-gray-500 mt-1">Email cannot be changed</p>
+              <p className="text-xs text-gray-500 mt-1">
+                Email cannot be changed
+                {user?.email && !user.emailVerified && (
+                  <>
+                    {' · '}
+                    <span className="text-yellow-400">Not verified</span>
+                    {' · '}
+                    <button
+                      type="button"
+                      onClick={() => resendVerificationMutation.mutate()}
+                      disabled={resendVerificationMutation.isPending}
+                      className="text-cosmic-400 hover:text-cosmic-300"
+                    >
+                      Send verification link
+                    </button>
+                  </>
+                )}
+              </p>
             </div>
 
             {/* Bio */}
@@ -144,6 +208,47 @@ export default function Profile() {
             </button>
           </form>
         </motion.div>
+
+        {/* Two-Factor Authentication */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="glass-card p-8 mt-8"
+        >
+          <h3 className="text-lg font-semibold flex items-center mb-4">
+            <KeyRound className="w-5 h-5 mr-2" />
+            Two-Factor Authentication
+          </h3>
+          <TwoFactorSettings />
+        </motion.div>
+
+        {/* Active Sessions */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="glass-card p-8 mt-8"
+        >
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg font-semibold flex items-center">
+              <Shield className="w-5 h-5 mr-2" />
+              Active Sessions
+            </h3>
+            {sessions.some((s) => !s.current) && (
+              <button
+                onClick={() => revokeOthersMutation.mutate()}
+                disabled={revokeOthersMutation.isPending}
+                className="text-sm text-red-400 hover:text-red-300"
+              >
+                Sign out all other devices
+              </button>
+            )}
+          </div>
+          <SessionList
+            sessions={sessions}
+            onRevoke={(session) => revokeSessionMutation.mutate(session)}
+            revoking={revokeSessionMutation.isPending}
+          />
+        </motion.div>
       </div>
     </>
   );
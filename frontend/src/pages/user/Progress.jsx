@@ -2,15 +2,31 @@ import { useQuery } from '@tanstack/react-query';
 import { progressAPI } from '../../lib/api';
 import Navbar from '../../components/Navbar';
 import { motion } from 'framer-motion';
-import { TrendingUp } from 'lucide-react';
+import { TrendingUp, Target } from 'lucide-react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import { getMasteryLabel, getMasteryColor, formatDateTime } from '../../lib/utils';
 
+const CONFIDENCE_LABELS = { low: 'Guessing', medium: 'Fairly sure', high: 'Certain' };
+
 export default function Progress() {
   const { data, isLoading } = useQuery({
     queryKey: ['my-progress'],
     queryFn: progressAPI.getMyProgress
   });
 
+  const { data: calibrationData } = useQuery({
+    queryKey: ['calibration'],
+    queryFn: () => progressAPI.getCalibration()
+  });
+
+  const calibration = calibrationData?.data;
+  const calibrationChart = calibration?.levels.map((level) => ({
+    name: CONFIDENCE_LABELS[level.confidence],
+    accuracy: level.accuracy == null ? null : Math.round(level.accuracy * 100),
+    target: Math.round(level.target * 100),
+    attempts: level.attempts
+  }));
+
   if (isLoading) {
     return (
       <>
@@ -52,6 +68,45 @@ export default function Progress() {
           </div>
         </div>
 
+        {/* Confidence Calibration */}
+        {calibration?.rated > 0 && (
+          <div className="glass-card p-6 mb-8">
+            <h2 className="text-2xl font-bold mb-1 flex items-center">
+              <Target className="w-6 h-6 mr-2" />
+              Confidence Calibration
+            </h2>
+            <p className="text-sm text-gray-400 mb-4">
+              How often you were right at each confidence level, against how often that level should be right.
+              {calibration.misconceptions > 0 &&
+                ` ${calibration.misconceptions} answer${calibration.misconceptions > 1 ? 's' : ''} you were certain of turned out wrong.`}
+            </p>
+            <ResponsiveContainer width="100%" height={260}>
+              <BarChart data={calibrationChart}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#1c1f2e" />
+                <XAxis dataKey="name" stroke="#888" style={{ fontSize: '12px', fontFamily: 'Rajdhani' }} />
+                <YAxis
+                  domain={[0, 100]}
+                  unit="%"
+                  stroke="#888"
+                  style={{ fontSize: '12px', fontFamily: 'Rajdhani' }}
+                />
+                <Tooltip
+                  contentStyle={{
+                    background: '#0d1117',
+                    border: '1px solid #00ffff',
+                    borderRadius: '8px',
+                    fontFamily: 'Rajdhani'
+                  }}
+                  formatter={(value, name) => [value == null ? 'no answers' : `${value}%`, name]}
+                />
+                <Legend wrapperStyle={{ fontFamily: 'Rajdhani' }} />
+                <Bar dataKey="accuracy" name="Your accuracy" fill="#00ffff" />
+                <Bar dataKey="target" name="Well calibrated" fill="#4b5563" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+
         {/* Progress by Topic */}
         <div className="glass-card p-6 mb-8">
           <h2 className="text-2xl font-bold mb-4 flex items-center">
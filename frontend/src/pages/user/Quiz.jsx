@@ -1,11 +1,21 @@
 import { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { quizAPI, progressAPI } from '../../lib/api';
+import { formatDuration } from '../../lib/utils';
 import Navbar from '../../components/Navbar';
+import QuestionCard from '../../components/QuestionCard';
+import Markdown from '../../components/Markdown';
+import { initialAnswer, isAnswerComplete } from '../../lib/questionTypes';
 import { motion } from 'framer-motion';
-import { BookOpen, CheckCircle, XCircle } from 'lucide-react';
+import { BookOpen, CheckCircle, XCircle, Lightbulb, PlayCircle } from 'lucide-react';
 import toast from 'react-hot-toast';
 
+const CONFIDENCE_OPTIONS = [
+  { value: 'low', label: 'Guessing' },
+  { value: 'medium', label: 'Fairly sure' },
+  { value: 'high', label: 'Certain' }
+];
+
 export default function Quiz() {
   const [selectedSubject, setSelectedSubject] = useState(null);
   const [selectedTopic, setSelectedTopic] = useState(null);
@@ -13,8 +23,11 @@ export default function Quiz() {
   const [selectedAnswer, setSelectedAnswer] = useState(null);
   const [showFeedback, setShowFeedback] = useState(false);
   const [result, setResult] = useState(null);
-  const [answeredQuestions, setAnsweredQuestions] = useState([]);
-  const [topicCompleted, setTopicCompleted] = useState(false);
+  const [session, setSession] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [strategy, setStrategy] = useState('adaptive');
+  const [hints, setHints] = useState([]);
+  const [confidence, setConfidence] = useState(null);
   const queryClient = useQueryClient();
 
   const { data: subjects } = useQuery({
@@ -28,71 +41,114 @@ export default function Quiz() {
     enabled: !!selectedSubject
   });
 
+  // Unfinished sessions, possibly started on another device
+  const { data: activeSessions } = useQuery({
+    queryKey: ['quiz-sessions', 'active'],
+    queryFn: () => quizAPI.getSessions({ status: 'active' }),
+    enabled: !selectedTopic
+  });
+
+  const showQuestion = (question) => {
+    setCurrentQuestion(question);
+    setSelectedAnswer(initialAnswer(question));
+    setHints([]);
+    setConfidence(null);
+    setShowFeedback(false);
+    setResult(null);
+  };
+
+  const showSummary = (finished) => {
+    setSession(finished);
+    setSummary(finished.summary);
+    setCurrentQuestion(null);
+    queryClient.invalidateQueries(['quiz-sessions']);
+  };
+
+  const loadNextQuestion = async (sessionId) => {
+    try {
+      const data = await quizAPI.nextQuestion(sessionId);
+
+      if (data.completed) {
+        toast.success(data.message);
+        showSummary(data.session);
+        return;
+      }
+
+      setSession(data.session);
+      showQuestion(data.question);
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  const startSessionMutation = useMutation({
+    mutationFn: quizAPI.startSession,
+    onSuccess: (data) => {
+      setSelectedTopic(data.session.topicId);
+      setSession(data.session);
+      setSummary(null);
+      if (data.resumed) toast.success('Resumed your session');
+
+      // A resumed session shows the question it was waiting on
+      if (data.session.question) {
+        showQuestion(data.session.question);
+      } else {
+        loadNextQuestion(data.session.id);
+      }
+    }
+  });
+
+  const finishSessionMutation = useMutation({
+    mutationFn: quizAPI.finishSession,
+    onSuccess: (data) => showSummary(data.session)
+  });
+
   const submitAnswerMutation = useMutation({
-    mutationFn: progressAPI.submitAnswer,
+    mutationFn: (userAnswer) => quizAPI.answerQuestion(session.id, {
+      userAnswer,
+      servedToken: currentQuestion.servedToken,
+      confidence
+    }),
     onSuccess: (data) => {
       setResult(data.data);
+      setSession(data.session);
       setShowFeedback(true);
 
-      // Add current question to answered list
-      if (currentQuestion) {
-        setAnsweredQuestions(prev => [...prev, currentQuestion.id]);
-      }
-
       queryClient.invalidateQueries(['user-stats']);
       queryClient.invalidateQueries(['progress']);
 
       if (data.data.isCorrect) {
         toast.success('Correct! 🎉');
       } else {
-        toast.error(`Incorrect. Answer: ${data.data.correctAnswer}`);
+        toast.error(`Incorrect. Answer: ${data.data.correctAnswerText}`);
       }
     }
   });
 
-  const loadQuestion = async (topicId, answered = []) => {
-    try {
-      const question = await quizAPI.getRandomQuestion(topicId, answered);
-
-      // Check if topic is completed
-      if (question.completed) {
-        setTopicCompleted(true);
-        setCurrentQuestion(null);
-        toast.success(question.message);
-        return;
-      }
-
-      setCurrentQuestion(question.question);
-      setSelectedAnswer(null);
-      setShowFeedback(false);
-      setResult(null);
-      setTopicCompleted(false);
-    } catch (error) {
-      toast.error('Failed to load question');
-      console.error(error);
-    }
-  };
+  const hintMutation = useMutation({
+    mutationFn: progressAPI.getHint,
+    onSuccess: (data) => setHints(data.hints)
+  });
 
-  const handleTopicSelect = (topicId) => {
-    setSelectedTopic(topicId);
-    setAnsweredQuestions([]);
-    setTopicCompleted(false);
-    loadQuestion(topicId, []);
+  const handleTopicSelect = (topicId, restart = false) => {
+    startSessionMutation.mutate({ topicId, strategy, restart });
   };
 
   const handleSubmit = () => {
-    if (!selectedAnswer || !currentQuestion) return;
-
-    submitAnswerMutation.mutate({
-      topicId: currentQuestion.topicId,
-      questionId: currentQuestion.id,
-      userAnswer: selectedAnswer,
-      timeTaken: 0
-    });
+    if (!currentQuestion || !isAnswerComplete(currentQuestion.type, selectedAnswer)) return;
+
+    submitAnswerMutation.mutate(selectedAnswer);
   };
 
   const handleNext = () => {
-    loadQuestion(selectedTopic, answeredQuestions);
+    loadNextQuestion(session.id);
+  };
+
+  const leaveTopic = () => {
+    setSelectedTopic(null);
+    setSession(null);
+    setSummary(null);
+    setCurrentQuestion(null);
   };
 
   return (
@@ -103,7 +159,31 @@ export default function Quiz() {
           Quiz
         </h1>
 
-        {!selectedSubject && (
+        {!selectedTopic && activeSessions?.sessions.length > 0 && (
+          <div className="mb-8">
+            <h2 className="text-2xl font-bold mb-4">Continue where you left off</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              {activeSessions.sessions.map((active) => (
+                <motion.div
+                  key={active.id}
+                  whileHover={{ scale: 1.02 }}
+                  onClick={() => handleTopicSelect(active.topicId)}
+                  className="glass-card p-4 cursor-pointer flex items-center"
+                >
+                  <PlayCircle className="w-8 h-8 text-cosmic-400 mr-3 flex-shrink-0" />
+                  <div>
+                    <h3 className="font-semibold">{active.topicTitle}</h3>
+                    <p className="text-sm text-gray-400">
+                      {active.answered} of {active.totalQuestions} answered · {active.correct} correct
+                    </p>
+                  </div>
+                </motion.div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {!selectedSubject && !selectedTopic && (
           <div>
             <h2 className="text-2xl font-bold mb-4">Select a Subject</h2>
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
@@ -131,7 +211,21 @@ export default function Quiz() {
             >
               ← Back to subjects
             </button>
-            <h2 className="text-2xl font-bold mb-4">Select a Topic</h2>
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-2xl font-bold">Select a Topic</h2>
+              <label className="flex items-center space-x-2 text-sm text-gray-400">
+                <span>Question order</span>
+                <select
+                  value={strategy}
+                  onChange={(e) => setStrategy(e.target.value)}
+                  className="input-field py-1 w-auto"
+                >
+                  <option value="adaptive">Adaptive</option>
+                  <option value="review-first">Review mistakes first</option>
+                  <option value="random">Random</option>
+                </select>
+              </label>
+            </div>
             <div className="grid grid-cols-1 gap-3">
               {subjectDetail?.subject.topics.map((topic) => (
                 <motion.div
@@ -148,7 +242,7 @@ export default function Quiz() {
           </div>
         )}
 
-        {selectedTopic && topicCompleted && (
+        {selectedTopic && summary && (
           <div className="glass-card p-8 text-center">
             <motion.div
               initial={{ scale: 0 }}
@@ -157,29 +251,36 @@ export default function Quiz() {
             >
               <CheckCircle className="w-20 h-20 text-neon-green mx-auto mb-4" />
               <h2 className="text-3xl font-bold mb-2 text-neon-green font-orbitron">
-                TOPIC COMPLETED!
+                SESSION COMPLETE
               </h2>
               <p className="text-gray-400 font-rajdhani">
-                You've answered all questions in this topic.
+                {session.topicTitle} · {summary.answered} of {session.totalQuestions} questions answered
               </p>
             </motion.div>
+            <div className="grid grid-cols-3 gap-4 mb-8">
+              <div className="glass-card p-4">
+                <p className="text-sm text-gray-400">Score</p>
+                <p className="text-2xl font-bold">{Math.round(summary.score * 100)}%</p>
+                <p className="text-xs text-gray-500">{summary.correct} correct</p>
+              </div>
+              <div className="glass-card p-4">
+                <p className="text-sm text-gray-400">Time</p>
+                <p className="text-2xl font-bold">{formatDuration(summary.durationSeconds)}</p>
+              </div>
+              <div className="glass-card p-4">
+                <p className="text-sm text-gray-400">Mastery</p>
+                <p className={`text-2xl font-bold ${summary.masteryDelta >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                  {summary.masteryDelta >= 0 ? '+' : ''}{Math.round(summary.masteryDelta * 100)}%
+                </p>
+                <p className="text-xs text-gray-500">now {Math.round(summary.endMastery * 100)}%</p>
+              </div>
+            </div>
             <div className="flex gap-4 justify-center">
-              <button
-                onClick={() => {
-                  setSelectedTopic(null);
-                  setTopicCompleted(false);
-                  setAnsweredQuestions([]);
-                }}
-                className="btn-primary"
-              >
+              <button onClick={leaveTopic} className="btn-primary">
                 [ SELECT ANOTHER TOPIC ]
               </button>
               <button
-                onClick={() => {
-                  setAnsweredQuestions([]);
-                  setTopicCompleted(false);
-                  loadQuestion(selectedTopic, []);
-                }}
+                onClick={() => handleTopicSelect(selectedTopic, true)}
                 className="glass-card px-6 py-3 rounded-lg border border-neon-cyan/30 hover:border-neon-cyan/50 transition-all font-rajdhani tracking-wider"
               >
                 [ RESTART TOPIC ]
@@ -188,80 +289,128 @@ export default function Quiz() {
           </div>
         )}
 
-        {selectedTopic && currentQuestion && !topicCompleted && (
+        {selectedTopic && currentQuestion && !summary && (
           <div className="glass-card p-8">
-            <div className="mb-4">
+            <div className="mb-4 flex justify-between items-center">
               <button
-                onClick={() => {
-                  setSelectedTopic(null);
-                  setCurrentQuestion(null);
-                }}
+                onClick={leaveTopic}
                 className="text-cosmic-400 hover:text-cosmic-300"
+                title="Your session is saved and can be resumed later"
               >
                 ← Back to topics
               </button>
+              <button
+                onClick={() => finishSessionMutation.mutate(session.id)}
+                disabled={finishSessionMutation.isPending}
+                className="text-sm text-gray-400 hover:text-white"
+              >
+                End session
+              </button>
             </div>
 
             <h2 className="text-xl font-bold mb-2">{currentQuestion.topicTitle}</h2>
-            <p className="text-sm text-gray-400 mb-6">{currentQuestion.subjectName}</p>
+            <p className="text-sm text-gray-400 mb-6">
+              {currentQuestion.subjectName} · {session.answered} of {session.totalQuestions} answered
+            </p>
 
-            <div className="bg-gradient-to-r from-cosmic-900/50 to-cosmic-800/50 p-6 rounded-xl mb-6">
-              <p className="text-lg">{currentQuestion.question}</p>
-            </div>
+            <QuestionCard
+              question={currentQuestion.question}
+              type={currentQuestion.type}
+              options={currentQuestion.options}
+              matches={currentQuestion.matches}
+              media={currentQuestion.media}
+              selectedAnswer={selectedAnswer}
+              onSelect={setSelectedAnswer}
+              showFeedback={showFeedback}
+              correctAnswer={result?.correctAnswer}
+              isCorrect={result?.isCorrect}
+            />
 
-            <div className="space-y-3 mb-6">
-              {currentQuestion.options.map((option, index) => (
-                <motion.button
-                  key={index}
-                  whileHover={{ scale: 1.02 }}
-                  onClick={() => !showFeedback && setSelectedAnswer(option[0])}
-                  disabled={showFeedback}
-                  className={`w-full p-4 rounded-xl text-left transition-all ${
-                    selectedAnswer === option[0]
-                      ? 'bg-cosmic-600 border-2 border-cosmic-400'
-                      : 'glass-card hover:bg-white/10'
-                  } ${
-                    showFeedback && result?.correctAnswer === option[0]
-                      ? 'border-2 border-green-500'
-                      : showFeedback && selectedAnswer === option[0] && !result?.isCorrect
-                      ? 'border-2 border-red-500'
-                      : ''
-                  }`}
-                >
-                  {option}
-                </motion.button>
-              ))}
-            </div>
+            {hints.length > 0 && (
+              <div className="space-y-2 mb-6">
+                {hints.map((hint, index) => (
+                  <div key={index} className="p-3 rounded-xl bg-yellow-500/10 border border-yellow-500/40 text-sm flex">
+                    <Lightbulb className="w-4 h-4 text-yellow-400 mr-2 mt-0.5 flex-shrink-0" />
+                    <Markdown>{hint}</Markdown>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {!showFeedback && hints.length < (currentQuestion.hintCount || 0) && (
+              <button
+                onClick={() => hintMutation.mutate({ topicId: currentQuestion.topicId, questionId: currentQuestion.id })}
+                disabled={hintMutation.isPending}
+                className="mb-6 text-sm text-yellow-400 hover:text-yellow-300 flex items-center"
+              >
+                <Lightbulb className="w-4 h-4 mr-1" />
+                Show hint ({currentQuestion.hintCount - hints.length} left, lowers mastery credit)
+              </button>
+            )}
 
             {showFeedback && (
               <motion.div
                 initial={{ opacity: 0, y: 20 }}
                 animate={{ opacity: 1, y: 0 }}
-                className={`p-4 rounded-xl mb-6 flex items-center ${
+                className={`p-4 rounded-xl mb-6 ${
                   result?.isCorrect ? 'bg-green-500/20 border border-green-500' : 'bg-red-500/20 border border-red-500'
                 }`}
               >
-                {result?.isCorrect ? (
-                  <>
-                    <CheckCircle className="w-6 h-6 text-green-400 mr-2" />
-                    <span className="text-green-400 font-semibold">Correct!</span>
-                  </>
-                ) : (
-                  <>
-                    <XCircle className="w-6 h-6 text-red-400 mr-2" />
-                    <span className="text-red-400 font-semibold">
-                      Incorrect. Correct answer: {result?.correctAnswer}
-                    </span>
-                  </>
+                <div className="flex items-center">
+                  {result?.isCorrect ? (
+                    <>
+                      <CheckCircle className="w-6 h-6 text-green-400 mr-2" />
+                      <span className="text-green-400 font-semibold">
+                        Correct!{result.hintsUsed > 0 && ` (${result.hintsUsed} hint${result.hintsUsed > 1 ? 's' : ''} used)`}
+                      </span>
+                    </>
+                  ) : (
+                    <>
+                      <XCircle className="w-6 h-6 text-red-400 mr-2" />
+                      <span className="text-red-400 font-semibold">
+                        Incorrect. Correct answer: {result?.correctAnswerText}
+                      </span>
+                    </>
+                  )}
+                  {result?.timeTaken != null && (
+                    <span className="ml-auto text-sm text-gray-400">{formatDuration(result.timeTaken)}</span>
+                  )}
+                </div>
+                {!result?.isCorrect && result?.confidence === 'high' && (
+                  <p className="mt-2 text-sm text-red-300">
+                    You were certain of this one, so it may be a misconception worth reviewing.
+                  </p>
+                )}
+                {result?.explanation && (
+                  <Markdown className="mt-3 text-gray-200">{result.explanation}</Markdown>
                 )}
               </motion.div>
             )}
 
+            {!showFeedback && (
+              <div className="flex items-center flex-wrap gap-2 mb-4 text-sm">
+                <span className="text-gray-400">How sure are you? (optional)</span>
+                {CONFIDENCE_OPTIONS.map((option) => (
+                  <button
+                    key={option.value}
+                    onClick={() => setConfidence(confidence === option.value ? null : option.value)}
+                    className={`px-3 py-1 rounded-lg border transition-colors ${
+                      confidence === option.value
+                        ? 'border-cosmic-400 bg-cosmic-500/20 text-white'
+                        : 'border-white/10 text-gray-400 hover:text-white'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            )}
+
             <div className="flex gap-4">
               {!showFeedback ? (
                 <button
                   onClick={handleSubmit}
-                  disabled={!selectedAnswer || submitAnswerMutation.isPending}
+                  disabled={!isAnswerComplete(currentQuestion.type, selectedAnswer) || submitAnswerMutation.isPending}
                   className="btn-primary flex-1"
                 >
                   {submitAnswerMutation.isPending ? 'Submitting...' : 'Submit Answer'}
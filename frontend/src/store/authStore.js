@@ -1,5 +1,6 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
+import { authAPI } from '../lib/api';
 
 export const useAuthStore = create(
   persist(
@@ -7,14 +8,22 @@ export const useAuthStore = create(
       user: null,
       token: null,
 
-      setAuth: (user, token) => {
+      setAuth: (user, token, refreshToken) => {
         set({ user, token });
         localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', refreshToken);
       },
 
+      // Revokes the session on the server too, so the tokens stop working everywhere
       logout: () => {
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (refreshToken) {
+          authAPI.logout(refreshToken).catch(() => {});
+        }
+
         set({ user: null, token: null });
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
       },
 
       updateUser: (updates) => {